@@ -7,23 +7,57 @@ export const MODELS = {
   EMBEDDING: {
     name: 'jina-embeddings-v3',
     dimension: 1024,
-    transformersId: 'jinaai/jina-embeddings-v3'
+    transformersId: 'jinaai/jina-embeddings-v3',
+    // Provider for user input embeddings: 'jina', 'openai' (OpenAI-compatible /embeddings), 'transformers'
+    defaultProvider: 'jina',
+    // Used when the active provider has no API key, so a missing key doesn't block translation
+    // Off by default: the in-browser model has no task adapters, so it only fits corpora built
+    // without a task (see checkEmbeddingCompatibility) - e.g. 'transformers' for such a corpus
+    fallbackProvider: null,
+    // Task adapters (Jina v3): user input is embedded with the task that pairs with the one the
+    // corpus vectors were built with (vector metadata.task) - symmetric tasks pair with themselves
+    queryTasks: {
+      'retrieval.passage': 'retrieval.query'
+    },
+    defaultQueryTask: 'retrieval.query', // When there is no vector metadata to read the task from
+    // User input embeddings cached in IndexedDB (embedding-cache.js), keyed by model, task,
+    // dimensions and text - least recently used entries are evicted past either limit
+    CACHE: {
+      enabled: true,
+      databaseName: 'pragmatic_embedding_cache',
+      maxEntries: 500,
+      maxBytes: 10 * 1024 * 1024,  // vectors (4 bytes per dimension) plus text length
+      maxTextLength: 20000         // characters; longer inputs are embedded but not cached
+    }
   },
 };
 
 // Corpus Configuration - Dynamic Path Configuration
 // Detect environment and set base path
-const isGitHubPages = window.location.hostname.includes('github.io');
+// (location is undefined when modules are loaded by the Node ingestion script)
+const isGitHubPages = typeof location !== 'undefined' && location.hostname.includes('github.io');
 const repoName = 'pragmatic-auto-translator-demo-test'; // Update this to match your actual repo name
-const basePath = isGitHubPages ? `/${repoName}` : '.';
+// The corpus worker (corpus-worker.js) resolves relative paths against its own URL,
+// frontend/js/ - two levels below the site root
+const isWorker = typeof WorkerGlobalScope !== 'undefined';
+const basePath = isGitHubPages ? `/${repoName}` : isWorker ? new URL('../..', location.href).pathname.replace(/\/$/, '') : '.';
 
 console.log(`Environment: ${isGitHubPages ? 'GitHub Pages' : 'Local'}, Base path: ${basePath}`);
 
 // Corpus Configuration  
 export const CORPUS = {
-  // Domain currently implemented: Generative AI
+  // Site base path (vector and database paths in the domain manifest are relative to it)
+  BASE_PATH: basePath,
+
+  // Domain registry: one entry per domain with its vector and database paths
+  // Add a domain by listing it in corpora/domains.json (see domains.js)
+  DOMAINS_MANIFEST: `${basePath}/corpora/domains.json`,
+
+  // Default domain, used when the manifest doesn't name one (or can't be loaded)
   DOMAIN: 'gai', // Update this to match your domain code
+  DOMAIN_NAME: 'Generative Artificial Intelligence',
   
+  // Fallback paths for the default domain when corpora/domains.json is unavailable
   // Vector file paths (dynamic for both local and GitHub Pages environments)
   // Update these to match your file paths and names
   VECTOR_PATHS: {
@@ -37,7 +71,13 @@ export const CORPUS = {
   DATABASE_PATHS: {
     en: `${basePath}/corpora/gai/eng/gai-eng_database.json`,
     es: `${basePath}/corpora/gai/esp/gai-esp_database.json`
-  }
+  },
+
+  // Aligned bilingual passages (see similarity.js findAlignedExamples for the file format)
+  ALIGNMENTS_PATH: `${basePath}/corpora/gai/gai-alignments.json`,
+
+  // Bilingual terminology enforced in translations (see glossary.js for the file format)
+  GLOSSARY_PATH: `${basePath}/corpora/gai/glossary.json`
 };
 
 // Similarity Search Configuration
@@ -57,7 +97,41 @@ export const SIMILARITY = {
     section: 0.15,
     paragraph: 0.2
   },
-  
+
+  // Passages from outside the top documents are only used when they clear this bar
+  EXCEPTIONAL_GLOBAL_THRESHOLD: 0.7,
+
+  // How many passages from outside the top documents are considered at each level
+  GLOBAL_CANDIDATES: {
+    section: 2,
+    paragraph: 3
+  },
+
+  // Which corpus languages to search (a passage's language is read from its document id,
+  // e.g. gai-eng_item001 -> en); passages are labeled SOURCE-LANGUAGE / TARGET-LANGUAGE
+  // REFERENCE in the translation prompt
+  // - 'all': every language searched together
+  // - 'source' / 'target': only the corpus in the source / target language
+  // - 'both': each corpus searched separately with its own share of MAX_CONTEXT_LENGTH
+  //   (unused budget passes on to the next language)
+  LANGUAGE_MODE: {
+    default: 'both',
+    // Target-language passages are what shape register and terminology, so they come first
+    budgetShare: { target: 0.6, source: 0.4 }
+  },
+
+  // Aligned source/target pairs offered to the translator as EXAMPLE TRANSLATIONS
+  // A pair is used when its source-language passage is similar enough to the input
+  ALIGNED_EXAMPLES: {
+    enabled: true,
+    maxExamples: 3,
+    minScore: 0.5,
+    maxLength: 4000 // characters for all example pairs together (on top of MAX_CONTEXT_LENGTH)
+  },
+
+  // Any of the settings above (plus the strategy's maxPrioritized/maxExceptionalGlobal)
+  // can be overridden per call via findSimilarContext(..., { retrievalProfile: {...} })
+
   // Maximum total context length to send to translation API
   // The number can be updated to reflect your preferences while keeping within DeepSeek context window usages
   // 15000 characters is roughly 20-30 paragraphs of context, leaving room for roughly 30,000 characters for source input
@@ -66,16 +140,137 @@ export const SIMILARITY = {
   // Similarity strategy options
   STRATEGIES: {
     useAdvancedScoring: true,    // Enable level-specific scoring
-    defaultPriorityStrategy: 'balanced'  // 'balanced', 'documents-first', 'paragraphs-first'
+    defaultPriorityStrategy: 'balanced',  // 'balanced', 'documents-first', 'paragraphs-first'
+
+    // Level-specific weights applied to cosine scores when advanced scoring is on
+    // Longer units (documents, sections) embed many topics at once, so their raw
+    // scores run lower than paragraphs for the same degree of relevance
+    levelWeights: {
+      document: 1.10,   // Discourse and functional similarity
+      section: 1.05,    // Topical and stylistic similarity
+      paragraph: 1.00   // Conceptual and terminological similarity
+    },
+
+    // How each priority strategy ranks candidates and splits the context budget
+    // - coherenceBoost: added to the ranking score of passages from the top documents
+    // - maxPrioritized / maxExceptionalGlobal: how many passages to keep per level
+    // - budgetShare: fraction of MAX_CONTEXT_LENGTH reserved for each level
+    //   (unused budget is handed to the best remaining passages of any level)
+    priorityProfiles: {
+      'balanced': {
+        coherenceBoost: 0.05,
+        maxPrioritized: { section: 3, paragraph: 4 },
+        maxExceptionalGlobal: { section: 1, paragraph: 2 },
+        budgetShare: { section: 0.5, paragraph: 0.5 }
+      },
+      'documents-first': {
+        coherenceBoost: 0.15,
+        maxPrioritized: { section: 5, paragraph: 3 },
+        maxExceptionalGlobal: { section: 1, paragraph: 0 },
+        budgetShare: { section: 0.7, paragraph: 0.3 }
+      },
+      'paragraphs-first': {
+        coherenceBoost: 0.0,
+        maxPrioritized: { section: 1, paragraph: 6 },
+        maxExceptionalGlobal: { section: 0, paragraph: 3 },
+        budgetShare: { section: 0.25, paragraph: 0.75 }
+      }
+    }
+  },
+
+  // Vector index (vector-index.js): every level is searched with a dot-product fast path;
+  // levels with annThreshold vectors or more also get an approximate IVF index
+  // Corpus loading and search run in a Web Worker (corpus-worker.js) when the browser supports module workers
+  INDEX: {
+    annThreshold: 20000,   // vectors - below this, search is exact (brute force)
+    lists: null,           // IVF lists (k-means clusters); null = √(vector count)
+    probes: 8,             // lists scanned per search - more is slower but misses fewer neighbours
+    iterations: 8,         // k-means iterations
+    trainingSample: 4096,  // vectors k-means is trained on (building takes seconds at tens of thousands of vectors)
+    useWorker: true        // false searches on the main thread
+  },
+
+  // Hybrid retrieval (similarity.js): when the input text is passed to findSimilarContext
+  // (queryText), sections and paragraphs are also ranked by BM25 keyword score
+  // (lexical-index.js) and the two rankings are fused:
+  // - 'weighted': weights.semantic × cosine + weights.lexical × BM25 (relative to the best BM25 score)
+  // - 'rrf': reciprocal rank fusion, weights.semantic / (rrfK + semantic rank) + weights.lexical / (rrfK + lexical rank)
+  // The fused score only orders the passages. minThreshold (passages below it can come back on keywords
+  // alone), EXCEPTIONAL_GLOBAL_THRESHOLD, the confidence levels and the displayed score are the cosine score
+  // Override per call via findSimilarContext(..., { retrievalProfile: { fusion: {...} } })
+  HYBRID: {
+    enabled: true,
+    method: 'weighted',
+    weights: { semantic: 0.75, lexical: 0.25 },
+    rrfK: 60,                          // rank offset for 'rrf' - higher flattens the ranking
+    candidates: 50,                    // passages taken from each ranking before fusing
+    levels: ['section', 'paragraph'],  // documents are matched on meaning only
+    bm25: { k1: 1.2, b: 0.75 }         // term frequency saturation and length normalization
+  }
+};
+
+// Translation Provider Configuration
+export const TRANSLATION = {
+  // Provider used until one is picked with setTranslationProvider()
+  // 'deepseek', 'openai' (any OpenAI-compatible server), 'anthropic', 'local' (Ollama/llama.cpp)
+  // Endpoints, models and parameters per provider live in translation-providers.js
+  DEFAULT_PROVIDER: 'deepseek',
+
+  // Show the translation while it is generated (server-sent events)
+  STREAMING: true,
+
+  // Translation memory: segment pairs from earlier translations, kept in the browser (IndexedDB)
+  // Exact matches are reused (no API call when they cover the whole text); fuzzy matches
+  // at or above fuzzyThreshold are passed to the prompt as references
+  MEMORY: {
+    enabled: true,
+    databaseName: 'pragmatic_translation_memory',
+    fuzzyThreshold: 0.75,    // 1 - edit distance / length of the longer segment
+    maxFuzzyMatches: 2,      // per segment
+    maxSegmentLength: 2000   // characters; longer segments are neither stored nor matched
+  },
+
+  // Document mode: texts longer than maxChunkLength are split on paragraph boundaries and
+  // translated part by part (context retrieved per part), carrying a running summary and
+  // the end of the previous part's translation from one part to the next
+  DOCUMENT: {
+    maxChunkLength: 6000,          // characters per part - keeps the translation within max_tokens
+    headingBreakRatio: 0.5,        // start a new part at a heading once the current one is this full
+    previousTranslationLength: 1200, // characters of the previous part's translation shown to the translator
+    summaryMaxWords: 150,
+    summaryMaxTokens: 400
   }
 };
 
 // UI Configuration
 export const UI = {
-  // Supported language directions
+  // Language registry - every language the translator works with, keyed by API 2-letter code
+  // - corpusCode: 3-letter code used in document ids and corpus folders (gai-eng_item001)
+  // - direction: 'rtl' for right-to-left scripts (Arabic, Hebrew, Persian, Urdu...)
+  // - defaultTarget: target language picked when this one becomes the source
+  // Adding a language here (plus its databases in corpora/domains.json) is all a new corpus needs, e.g.
+  //   fr: { name: 'French', nativeName: 'Français', corpusCode: 'fra', direction: 'ltr', defaultTarget: 'en', ... }
   LANGUAGES: {
-    en: { name: 'English' },
-    es: { name: 'Spanish' }
+    en: {
+      name: 'English',
+      nativeName: 'English',
+      corpusCode: 'eng',
+      direction: 'ltr',
+      defaultTarget: 'es',
+      placeholder: 'Enter your English text here for translation to {target}...',
+      unknownTitle: 'Unknown Title',
+      unknownYear: 'Unknown Year'
+    },
+    es: {
+      name: 'Spanish',
+      nativeName: 'Español',
+      corpusCode: 'esp',
+      direction: 'ltr',
+      defaultTarget: 'en',
+      placeholder: 'Ingrese su texto en español aquí para traducir...',
+      unknownTitle: 'Título Desconocido',
+      unknownYear: 'Año Desconocido'
+    }
   },
   
   // Default translation direction
@@ -96,19 +291,17 @@ export const UI = {
   }
 };
 
-// Language Code Mapping
+// Language Code Mapping (derived from UI.LANGUAGES)
 export const LANGUAGE_MAPPING = {
   // Your 3-letter ISO codes → API 2-letter codes
-  TO_API_CODES: {
-    eng: 'en',
-    esp: 'es'
-  },
+  TO_API_CODES: Object.fromEntries(
+    Object.entries(UI.LANGUAGES).map(([code, language]) => [language.corpusCode, code])
+  ),
   
   // API 2-letter codes → Your 3-letter ISO codes  
-  FROM_API_CODES: {
-    en: 'eng',
-    es: 'esp'
-  }
+  FROM_API_CODES: Object.fromEntries(
+    Object.entries(UI.LANGUAGES).map(([code, language]) => [code, language.corpusCode])
+  )
 };
 
 // Development Configuration
@@ -120,15 +313,44 @@ export const DEV = {
   SHOW_SIMILARITY_SCORES: true,
   
   // Cache strategy: vectors only (not full text) for faster similarity search
+  // Vector files are kept in IndexedDB (vector-store.js) and revalidated with the server
+  // (ETag / Last-Modified / content hash) each time they are loaded
   CACHE_VECTORS_ONLY: true,
+  VECTOR_CACHE_DATABASE: 'pragmatic_vector_cache',
   
-  // Maximum cache age in milliseconds (24 hours)
+  // Maximum cache age in milliseconds (24 hours) - how long a cached copy that could not
+  // be revalidated (server unreachable) is still used
   CACHE_MAX_AGE: 24 * 60 * 60 * 1000
 };
 
+// HTTP client (utils.fetchWithRetry) used for the embedding and translation APIs
+// Rate limits (429) and server errors are retried with exponential backoff and jitter,
+// honouring Retry-After when the server sends one
+export const HTTP = {
+  retries: 3,              // retries after the first attempt
+  baseDelay: 1000,         // ms before the first retry; doubled on every retry
+  maxDelay: 15000,         // ms cap for the backoff delay
+  maxRetryAfter: 60000,    // longer Retry-After waits are reported as errors instead
+  retryStatuses: [408, 429, 500, 502, 503, 504, 529]
+};
+
+// Service health (service-health.js): readiness checks are answered from a cache
+// instead of a test request each time; real requests keep the cache up to date
+export const HEALTH = {
+  ttl: 10 * 60 * 1000,     // ms a working service is trusted without another test request
+  failureTtl: 60 * 1000    // ms before a failed service is tested again
+};
+
 // Error Configuration
+// AUTH ... REQUEST are the codes of failed HTTP requests (see utils.getHttpErrorCode)
 export const ERRORS = {
   NETWORK: 'Network error - please check your connection',
+  TIMEOUT: 'The service did not respond in time',
+  AUTH: 'API key rejected - please check your API key',
+  PAYMENT: 'API account requires payment - please check your balance',
+  RATE_LIMIT: 'Rate limit reached - please wait a moment and try again',
+  SERVER: 'Service temporarily unavailable - please try again shortly',
+  REQUEST: 'Request rejected by the service',
   MODEL_LOAD: 'Could not load embedding model',
   VECTOR_LOAD: 'Could not load corpus vectors',
   TRANSLATION_API: 'Translation service unavailable',
@@ -141,8 +363,11 @@ export default {
   MODELS,
   CORPUS,
   SIMILARITY,
+  TRANSLATION,
   UI,
   LANGUAGE_MAPPING,
   DEV,
+  HTTP,
+  HEALTH,
   ERRORS
 };
@@ -13,15 +13,25 @@ async function loadCorpusSources() {
     try {
         console.log('Attempting to load corpus data...');
         
-        // Load both corpus databases - using absolute paths for GitHub Pages
-        const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-            ? '../corpora/gai/' 
-            : '/pragmatic-auto-translator-demo-test/corpora/gai/';
+        // Site root - using absolute paths for GitHub Pages
+        const rootUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
+            ? '../' 
+            : '/pragmatic-auto-translator-demo-test/';
+        
+        // Every domain in the registry contributes its databases
+        const domains = await loadDomainList(rootUrl);
+        const englishData = { documents: {} };
+        const spanishData = { documents: {} };
+        
+        for (const domain of domains) {
+            const [domainEnglish, domainSpanish] = await Promise.all([
+                domain.databases.en ? fetchCorpusData(rootUrl + domain.databases.en) : null,
+                domain.databases.es ? fetchCorpusData(rootUrl + domain.databases.es) : null
+            ]);
             
-        const [englishData, spanishData] = await Promise.all([
-            fetchCorpusData(baseUrl + 'eng/gai-eng_database.json'),
-            fetchCorpusData(baseUrl + 'esp/gai-esp_database.json')
-        ]);
+            addDomainDocuments(englishData, domainEnglish, domain, domains.length > 1);
+            addDomainDocuments(spanishData, domainSpanish, domain, domains.length > 1);
+        }
         
         console.log('English data loaded:', englishData);
         console.log('Spanish data loaded:', spanishData);
@@ -48,6 +58,37 @@ async function loadCorpusSources() {
     }
 }
 
+async function loadDomainList(rootUrl) {
+    try {
+        const manifest = await fetchCorpusData(rootUrl + 'corpora/domains.json');
+        return Object.entries(manifest.domains || {}).map(([code, domain]) => ({
+            code,
+            name: domain.name || code.toUpperCase(),
+            databases: domain.databases || {}
+        }));
+    } catch (error) {
+        console.warn('Domain manifest not available - showing the Generative AI corpus only');
+        return [{
+            code: 'gai',
+            name: 'Generative Artificial Intelligence',
+            databases: {
+                en: 'corpora/gai/eng/gai-eng_database.json',
+                es: 'corpora/gai/esp/gai-esp_database.json'
+            }
+        }];
+    }
+}
+
+function addDomainDocuments(target, data, domain, showDomain) {
+    if (!data || !data.documents) {
+        return;
+    }
+    
+    for (const [docId, doc] of Object.entries(data.documents)) {
+        target.documents[docId] = showDomain ? { ...doc, domainName: domain.name } : doc;
+    }
+}
+
 async function fetchCorpusData(url) {
     try {
         const response = await fetch(url);
@@ -80,12 +121,12 @@ function displayCorpusItems(containerId, documents, language) {
     });
 
     documentsArray.forEach(doc => {
-        const card = createCorpusCard(doc.document_metadata, language);
+        const card = createCorpusCard(doc.document_metadata, language, doc.domainName);
         container.appendChild(card);
     });
 }
 
-function createCorpusCard(metadata, language) {
+function createCorpusCard(metadata, language, domainName = null) {
     const card = document.createElement('div');
     card.className = 'corpus-card';
 
@@ -116,6 +157,10 @@ function createCorpusCard(metadata, language) {
             <strong>Type:</strong> ${escapeHtml(metadata.text_type)}
         </div>
         
+        ${domainName ? `<div class="corpus-domain">
+            <strong>Domain:</strong> ${escapeHtml(domainName)}
+        </div>` : ''}
+        
         ${topicsText ? `<div class="corpus-topics">
             <strong>Topics:</strong> ${escapeHtml(topicsText)}
         </div>` : ''}
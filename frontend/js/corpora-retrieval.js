@@ -10,23 +10,50 @@ import {
   startTimer, 
   isValidVectorData,
   validateVectorDataDetailed,
-  fromApiLanguageCode 
+  fromApiLanguageCode,
+  getDocumentLanguage,
+  getLanguage,
+  getLanguageName,
+  cosineSimilarity,
+  hashText
 } from './utils.js';
+import { getDomain, listDomains, getActiveDomainCode } from './domains.js';
+import { loadGlossary } from './glossary.js';
+import { getEmbeddingCacheStatus, clearEmbeddingCache } from './embedding-cache.js';
+import {
+  isVectorStoreAvailable,
+  getStoredVectors,
+  storeVectors,
+  touchStoredVectors,
+  listStoredVectors,
+  removeStoredVectors,
+  unpackVectorData
+} from './vector-store.js';
+import { resolveVectorFile } from './vector-format.js';
 
 // =====================================
 // CACHE MANAGEMENT
 // =====================================
 
+// Earlier versions kept vector files in localStorage under this prefix
+const LEGACY_CACHE_PREFIX = 'pragmatic_vectors_';
+
 /**
- * Generate cache key for vector data
- * @param {string} vectorType - Type of vectors ('document', 'section', 'paragraph')
- * @param {string} language - Language code
- * @returns {string} Cache key
+ * Remove vector copies left in localStorage by earlier versions (the cache is now in IndexedDB)
+ * Workers have no localStorage - corpus-service.js also calls this on the page
+ * @returns {number} Number of entries removed
  */
-function getCacheKey(vectorType, language = 'all') {
-  // Use the transformersId for cache key to be more specific
-  const modelKey = config.MODELS.EMBEDDING.transformersId || config.MODELS.EMBEDDING.name;
-  return `pragmatic_vectors_${vectorType}_${language}_${modelKey.replace('/', '_')}`;
+export function removeLegacyCacheEntries() {
+  if (typeof localStorage === 'undefined') {
+    return 0;
+  }
+
+  const keys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_CACHE_PREFIX));
+  keys.forEach(key => localStorage.removeItem(key));
+  if (keys.length > 0) {
+    debugLog(`Removed ${keys.length} vector cache entries from localStorage (now kept in IndexedDB)`, 'info');
+  }
+  return keys.length;
 }
 
 /**
@@ -41,147 +68,124 @@ function isCacheValid(timestamp) {
 }
 
 /**
- * Get vectors from browser cache (vectors only, not full text)
- * @param {string} vectorType - Type of vectors to retrieve
- * @param {string} language - Language filter (optional)
- * @returns {Object|null} Cached vector data or null if not found/expired
+ * Read the headers that identify the version of a file
+ * @param {Response} response - Fetch response
+ * @returns {Object} {etag, lastModified}
  */
-function getCachedVectors(vectorType, language = 'all') {
-  if (!config.DEV.CACHE_VECTORS_ONLY) {
-    return null;
+function getResponseValidators(response) {
+  return {
+    etag: response.headers?.get('etag') || null,
+    lastModified: response.headers?.get('last-modified') || null
+  };
+}
+
+/**
+ * Load a vector file through the vector store (vector-store.js)
+ * The stored copy is used as long as the server confirms it is current - 304 Not Modified
+ * for its ETag/Last-Modified, or a download with the same content hash. When the server
+ * can't be reached, a copy validated within config.DEV.CACHE_MAX_AGE is used.
+ * @param {string} vectorType - Type of vectors ('document', 'section', 'paragraph')
+ * @param {string} domainCode - Corpus domain code
+ * @param {string} filePath - Path to the vector file
+ * @param {boolean} useCache - false to download the file even if a current copy is stored (it is stored again)
+ * @returns {Promise<Object>} Vector data object
+ */
+async function loadVectorFileThroughCache(vectorType, domainCode, filePath, useCache = true) {
+  if (!isVectorStoreAvailable()) {
+    return loadVectorFile(filePath);
   }
 
-  try {
-    const cacheKey = getCacheKey(vectorType, language);
-    const cached = localStorage.getItem(cacheKey);
-    
-    if (!cached) {
-      debugLog(`No cache found for ${vectorType} vectors`, 'info');
-      return null;
+  let record = null;
+  if (useCache) {
+    try {
+      record = await getStoredVectors(domainCode, vectorType);
+    } catch (error) {
+      debugLog(`Cache read error for ${vectorType}: ${error.message}`, 'warn');
     }
-
-    const parsedCache = JSON.parse(cached);
-    
-    if (!isCacheValid(parsedCache.timestamp)) {
-      debugLog(`Cache expired for ${vectorType} vectors`, 'info');
-      localStorage.removeItem(cacheKey);
-      return null;
+    if (record && record.path !== filePath) {
+      record = null; // The domain now lists another file
     }
-
-    debugLog(`Cache hit for ${vectorType} vectors`, 'info');
-    return parsedCache.data;
-    
-  } catch (error) {
-    debugLog(`Cache read error for ${vectorType}: ${error.message}`, 'warn');
-    return null;
   }
-}
 
-/**
- * Store vectors in browser cache (vectors only)
- * @param {string} vectorType - Type of vectors
- * @param {Object} vectorData - Vector data to cache
- * @param {string} language - Language filter
- */
-function setCachedVectors(vectorType, vectorData, language = 'all') {
-  if (!config.DEV.CACHE_VECTORS_ONLY) {
-    return;
-  }
+  const headers = {};
+  if (record?.etag) headers['If-None-Match'] = record.etag;
+  if (record?.lastModified) headers['If-Modified-Since'] = record.lastModified;
 
+  let response;
   try {
-    const cacheKey = getCacheKey(vectorType, language);
-    
-    // Create cache data
-    const cacheData = {
-      metadata: vectorData.metadata,
-      vectors: vectorData.vectors.map(item => {
-        const baseItem = {
-          id: item.id,
-          document_id: item.document_id,
-          title: item.title,
-          level: item.level,
-          count: item.count,
-          created: item.created,
-          vector: item.vector,
-          textLength: item.text ? item.text.length : 0
-        };
-        
-        // Include text for sections and paragraphs (needed for context)
-        // Exclude text for documents (too long for DeepSeek anyway)
-        if (vectorType === 'section' || vectorType === 'paragraph') {
-          baseItem.text = item.text;
-        }
-        
-        return baseItem;
-      })
-    };
+    response = await fetch(filePath, { headers });
+  } catch (error) {
+    if (record && isCacheValid(record.validated)) {
+      debugLog(`⚠️ Could not revalidate ${filePath} (${error.message}) - using the cached copy`, 'warn');
+      return unpackVectorData(record);
+    }
+    throw error;
+  }
 
-    const cacheItem = {
-      data: cacheData,
-      timestamp: Date.now()
-    };
+  const useStoredCopy = async (reason, validators) => {
+    debugLog(`Cache hit for ${vectorType} vectors (${reason})`, 'info');
+    touchStoredVectors(record, validators).catch(error =>
+      debugLog(`Cache write error for ${vectorType}: ${error.message}`, 'warn'));
+    return unpackVectorData(record);
+  };
 
-    // Check estimated size before storing
-    const estimatedSize = JSON.stringify(cacheItem).length;
-    const sizeInMB = (estimatedSize / (1024 * 1024)).toFixed(2);
-    
-    // Skip caching for very large datasets (over 5MB)
-    if (estimatedSize > 5 * 1024 * 1024) {
-      debugLog(`Skipping cache for ${vectorType} - too large (${sizeInMB}MB)`, 'info');
-      return;
-    }
+  if (record && response.status === 304) {
+    return useStoredCopy('not modified', getResponseValidators(response));
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load ${filePath}: ${response.status} ${response.statusText}`);
+  }
 
-    localStorage.setItem(cacheKey, JSON.stringify(cacheItem));
-    debugLog(`Cached ${vectorType} vectors (${cacheData.vectors.length} items, ${sizeInMB}MB)`, 'info');
-    
-  } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      debugLog(`Cache quota exceeded for ${vectorType} - clearing old cache and skipping`, 'warn');
-      // Try to clear old cache entries to free up space
-      clearOldCacheEntries();
-    } else {
-      debugLog(`Cache write error for ${vectorType}: ${error.message}`, 'warn');
-    }
+  const text = await response.text();
+  const validators = { ...getResponseValidators(response), hash: await hashText(text) };
+  if (record && record.hash === validators.hash) {
+    return useStoredCopy('same content', validators);
   }
-}
 
-/**
- * Clear old cache entries to free up space
- */
-function clearOldCacheEntries() {
+  debugLog(`Cache ${record ? 'outdated' : 'miss'} for ${vectorType} vectors`, 'info');
+  const vectorData = await resolveVectorFile(validateLoadedVectors(JSON.parse(text), filePath), filePath);
+
   try {
-    const keys = Object.keys(localStorage).filter(key => 
-      key.startsWith('pragmatic_vectors_')
-    );
-    
-    // Remove oldest entries first
-    const entries = keys.map(key => {
-      try {
-        const item = JSON.parse(localStorage.getItem(key));
-        return { key, timestamp: item.timestamp || 0 };
-      } catch {
-        return { key, timestamp: 0 };
-      }
-    }).sort((a, b) => a.timestamp - b.timestamp);
-    
-    // Remove oldest half of entries
-    const toRemove = entries.slice(0, Math.floor(entries.length / 2));
-    toRemove.forEach(entry => localStorage.removeItem(entry.key));
-    
-    debugLog(`Cleared ${toRemove.length} old cache entries`, 'info');
-    
+    await storeVectors(domainCode, vectorType, vectorData, { path: filePath, ...validators });
+    removeLegacyCacheEntries();
   } catch (error) {
-    debugLog(`Error clearing old cache: ${error.message}`, 'warn');
+    debugLog(`Cache write error for ${vectorType}: ${error.message}`, 'warn');
   }
+
+  return vectorData;
 }
 
 // =====================================
 // VECTOR FILE LOADING
 // =====================================
 
+/**
+ * Validate the content of a vector file
+ * @param {Object} vectorData - Parsed vector file (or binary vector manifest)
+ * @param {string} filePath - Path to vector file (for messages)
+ * @returns {Object} The vector data
+ * @throws {Error} When the data is not a usable vector file
+ */
+function validateLoadedVectors(vectorData, filePath) {
+  // Use detailed validation for error reporting
+  const validation = validateVectorDataDetailed(vectorData, filePath);
+  
+  if (!validation.isValid) {
+    const errorDetails = validation.errors.join('; ');
+    throw new Error(`Invalid vector data in ${filePath}: ${errorDetails}`);
+  }
+  
+  // Log warnings if any
+  if (validation.warnings.length > 0) {
+    validation.warnings.forEach(warning => debugLog(`⚠️ ${filePath}: ${warning}`, 'warn'));
+  }
+
+  return vectorData;
+}
+
 /**
  * Load a single vector file from the server with validation
- * @param {string} filePath - Path to vector file
+ * @param {string} filePath - Path to vector file (JSON, or the manifest of a binary file - see vector-format.js)
  * @returns {Promise<Object>} Vector data object
  */
 const loadVectorFile = safeAsync(async (filePath) => {
@@ -194,20 +198,7 @@ const loadVectorFile = safeAsync(async (filePath) => {
       throw new Error(`Failed to load ${filePath}: ${response.status} ${response.statusText}`);
     }
 
-    const vectorData = await response.json();
-    
-    // Use detailed validation for error reporting
-    const validation = validateVectorDataDetailed(vectorData, filePath);
-    
-    if (!validation.isValid) {
-      const errorDetails = validation.errors.join('; ');
-      throw new Error(`Invalid vector data in ${filePath}: ${errorDetails}`);
-    }
-    
-    // Log warnings if any
-    if (validation.warnings.length > 0) {
-      validation.warnings.forEach(warning => debugLog(`⚠️ ${filePath}: ${warning}`, 'warn'));
-    }
+    const vectorData = await resolveVectorFile(validateLoadedVectors(await response.json(), filePath), filePath);
 
     endTimer();
     debugLog(`✅ Loaded ${vectorData.vectors.length} vectors from ${filePath} (${vectorData.metadata.model}, ${vectorData.metadata.dimension}D)`, 'info');
@@ -244,38 +235,29 @@ const loadVectorFile = safeAsync(async (filePath) => {
 }, 'VECTOR_LOAD');
 
 /**
- * Load all vector types for the current corpus domain
+ * Load all vector types for a corpus domain
  * @param {boolean} useCache - Whether to use cached data if available
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
  * @returns {Promise<Object>} Object containing all vector types
  */
-export const loadAllVectors = safeAsync(async (useCache = true) => {
+export const loadAllVectors = safeAsync(async (useCache = true, domainCode = null) => {
   const endTimer = startTimer('Loading all corpus vectors');
   
+  const domain = await getDomain(domainCode);
   const vectorTypes = ['document', 'section', 'paragraph'];
   const vectors = {};
   const errors = [];
 
   for (const type of vectorTypes) {
     try {
-      // Try cache first if enabled
-      if (useCache) {
-        const cached = getCachedVectors(type);
-        if (cached) {
-          vectors[type] = cached;
-          continue;
-        }
+      const filePath = domain.vectors[type];
+      if (!filePath) {
+        throw new Error(`No ${type} vector file listed for domain ${domain.code}`);
       }
-
-      // Load from server if not cached
-      const filePath = config.CORPUS.VECTOR_PATHS[type];
       debugLog(`Loading ${type} vectors from ${filePath}`, 'info');
       
-      const vectorData = await loadVectorFile(filePath);
-      
-      // Cache for future use
-      setCachedVectors(type, vectorData);
-      
-      vectors[type] = vectorData;
+      // Stored copy if the server says it is current, else a download (stored for next time)
+      vectors[type] = await loadVectorFileThroughCache(type, domain.code, filePath, useCache);
       
     } catch (error) {
       debugLog(`Failed to load ${type} vectors: ${error.message}`, 'error');
@@ -305,7 +287,7 @@ export const loadAllVectors = safeAsync(async (useCache = true) => {
     errors.forEach(error => debugLog(`  - ${error}`, 'warn'));
   }
   
-  debugLog(`📊 Vector loading summary: ${totalVectors} total vectors across ${vectorTypes.length} types`, 'info');
+  debugLog(`📊 Vector loading summary (${domain.code}): ${totalVectors} total vectors across ${vectorTypes.length} types`, 'info');
   
   // Provide helpful information about what was loaded
   vectorTypes.forEach(type => {
@@ -325,29 +307,21 @@ export const loadAllVectors = safeAsync(async (useCache = true) => {
  * Load vectors for a specific type only
  * @param {string} vectorType - Type of vectors ('document', 'section', 'paragraph')
  * @param {boolean} useCache - Whether to use cached data
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
  * @returns {Promise<Object>} Vector data for the specified type
  */
-export const loadVectorsByType = safeAsync(async (vectorType, useCache = true) => {
+export const loadVectorsByType = safeAsync(async (vectorType, useCache = true, domainCode = null) => {
   if (!['document', 'section', 'paragraph'].includes(vectorType)) {
     throw new Error(`Invalid vector type: ${vectorType}`);
   }
 
-  // Try cache first
-  if (useCache) {
-    const cached = getCachedVectors(vectorType);
-    if (cached) {
-      return cached;
-    }
-  }
+  const domain = await getDomain(domainCode);
 
-  // Load from server
-  const filePath = config.CORPUS.VECTOR_PATHS[vectorType];
-  const vectorData = await loadVectorFile(filePath);
-  
-  // Cache for future use
-  setCachedVectors(vectorType, vectorData);
-  
-  return vectorData;
+  const filePath = domain.vectors[vectorType];
+  if (!filePath) {
+    throw new Error(`No ${vectorType} vector file listed for domain ${domain.code}`);
+  }
+  return loadVectorFileThroughCache(vectorType, domain.code, filePath, useCache);
   
 }, 'VECTOR_LOAD');
 
@@ -382,15 +356,16 @@ export function filterVectorsByLanguage(vectorData, language) {
  * Get vectors for a specific language across all types
  * @param {string} language - Language code (2 or 3 letter)
  * @param {boolean} useCache - Whether to use cached data
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
  * @returns {Promise<Object>} Object containing filtered vectors by type
  */
-export const getVectorsByLanguage = safeAsync(async (language, useCache = true) => {
+export const getVectorsByLanguage = safeAsync(async (language, useCache = true, domainCode = null) => {
   // Convert to 3-letter code if needed
   const langCode = language.length === 2 ? fromApiLanguageCode(language) : language;
   
   debugLog(`Loading vectors for language: ${langCode}`, 'info');
   
-  const allVectors = await loadAllVectors(useCache);
+  const allVectors = await loadAllVectors(useCache, domainCode);
   const filteredVectors = {};
 
   for (const [type, vectorData] of Object.entries(allVectors)) {
@@ -414,13 +389,14 @@ export const getVectorsByLanguage = safeAsync(async (language, useCache = true)
  * Get full text for specific vector items (when not cached)
  * @param {Array} vectorIds - Array of vector IDs to get text for
  * @param {string} vectorType - Type of vectors
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
  * @returns {Promise<Object>} Map of vector ID to text content
  */
-export const getTextForVectors = safeAsync(async (vectorIds, vectorType) => {
+export const getTextForVectors = safeAsync(async (vectorIds, vectorType, domainCode = null) => {
   debugLog(`Fetching text for ${vectorIds.length} ${vectorType} vectors`, 'info');
   
   // Load fresh data from server (not cache) to get full text
-  const filePath = config.CORPUS.VECTOR_PATHS[vectorType];
+  const filePath = (await getDomain(domainCode)).vectors[vectorType];
   const fullVectorData = await loadVectorFile(filePath);
   
   const textMap = {};
@@ -441,46 +417,62 @@ export const getTextForVectors = safeAsync(async (vectorIds, vectorType) => {
 // =====================================
 
 /**
- * Clear all cached vector data
+ * Clear cached vector data
+ * @param {string} domainCode - Only clear this domain's entries (optional, defaults to all domains)
+ * @param {Object} options - {embeddings: false} to keep the cached user input embeddings
+ *                           (they belong to no domain and are only cleared with all domains)
+ * @returns {Promise<Object>} {vectors, embeddings} - number of entries removed
  */
-export function clearVectorCache() {
-  const keys = Object.keys(localStorage).filter(key => 
-    key.startsWith('pragmatic_vectors_')
-  );
-  
-  keys.forEach(key => localStorage.removeItem(key));
-  debugLog(`Cleared ${keys.length} vector cache entries`, 'info');
+export async function clearVectorCache(domainCode = null, options = {}) {
+  removeLegacyCacheEntries();
+  const vectors = await removeStoredVectors(domainCode);
+  debugLog(`Cleared ${vectors} vector cache entries`, 'info');
+
+  const clearEmbeddings = !domainCode && options.embeddings !== false;
+  const embeddings = clearEmbeddings ? await clearEmbeddingCache() : 0;
+
+  return { vectors, embeddings };
 }
 
 /**
  * Get cache status information
- * @returns {Object} Cache status details
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Cache status per vector type, and the user input embedding cache under 'embeddings'
  */
-export function getCacheStatus() {
+export async function getCacheStatus(domainCode = null) {
   const vectorTypes = ['document', 'section', 'paragraph'];
   const status = {};
+  const code = domainCode || await getActiveDomainCode();
+
+  let stored = [];
+  let storeError = null;
+  try {
+    stored = await listStoredVectors(code);
+  } catch (error) {
+    storeError = error.message;
+  }
 
   vectorTypes.forEach(type => {
-    const cacheKey = getCacheKey(type);
-    const cached = localStorage.getItem(cacheKey);
+    const entry = stored.find(item => item.type === type);
     
-    if (cached) {
-      try {
-        const parsedCache = JSON.parse(cached);
-        status[type] = {
-          cached: true,
-          timestamp: parsedCache.timestamp,
-          valid: isCacheValid(parsedCache.timestamp),
-          vectorCount: parsedCache.data.vectors.length
-        };
-      } catch (error) {
-        status[type] = { cached: false, error: 'Parse error' };
-      }
+    if (entry) {
+      status[type] = {
+        cached: true,
+        timestamp: entry.validated,
+        stored: entry.stored,
+        valid: isCacheValid(entry.validated),
+        vectorCount: entry.count,
+        dimension: entry.dimension,
+        bytes: entry.bytes,
+        etag: entry.etag,
+        hash: entry.hash
+      };
     } else {
-      status[type] = { cached: false };
+      status[type] = storeError ? { cached: false, error: storeError } : { cached: false };
     }
   });
 
+  status.embeddings = await getEmbeddingCacheStatus();
   return status;
 }
 
@@ -490,62 +482,48 @@ export function getCacheStatus() {
 
 /**
  * Load document databases for title lookup
- * @returns {Promise<Object>} Document database with english/spanish structure
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Document database keyed by language code ({en: {...}, es: {...}})
  */
-export const loadDocumentDatabases = safeAsync(async () => {
+export const loadDocumentDatabases = safeAsync(async (domainCode = null) => {
   debugLog('Loading document databases...', 'info');
   
-  const documentDatabase = {
-    english: {},
-    spanish: {}
-  };
+  const documentDatabase = {};
   
   try {
-    const databaseUrls = [
-      config.CORPUS.DATABASE_PATHS.en,
-      config.CORPUS.DATABASE_PATHS.es
-    ];
+    const domain = await getDomain(domainCode);
+    const databaseEntries = Object.entries(domain.databases);
     
-    debugLog('Fetching database files:', databaseUrls);
+    debugLog(`Fetching database files for ${domain.code}: ${databaseEntries.map(([, url]) => url).join(', ')}`, 'info');
     
-    const [engDatabaseRes, espDatabaseRes] = await Promise.all([
-      fetch(databaseUrls[0]).catch(err => {
-        debugLog('English database not found, continuing without it', 'warn');
-        return null;
-      }),
-      fetch(databaseUrls[1]).catch(err => {
-        debugLog('Spanish database not found, continuing without it', 'warn');
+    const responses = await Promise.all(databaseEntries.map(([languageCode, url]) =>
+      fetch(url).catch(err => {
+        debugLog(`${getLanguageName(languageCode)} database not found, continuing without it`, 'warn');
         return null;
       })
-    ]);
-
-    // Load English database
-    if (engDatabaseRes && engDatabaseRes.ok) {
-      const engData = await engDatabaseRes.json();
-      if (engData.documents) {
-        for (const [docId, docData] of Object.entries(engData.documents)) {
-          documentDatabase.english[docId] = {
-            title: docData.document_metadata?.title || 'Unknown Title',
-            authors: docData.document_metadata?.authors || [],
-            year: docData.document_metadata?.publication_year || 'Unknown Year'
-          };
-        }
-        debugLog(`English database loaded: ${Object.keys(documentDatabase.english).length} documents`, 'info');
-      }
-    }
+    ));
 
-    // Load Spanish database
-    if (espDatabaseRes && espDatabaseRes.ok) {
-      const espData = await espDatabaseRes.json();
-      if (espData.documents) {
-        for (const [docId, docData] of Object.entries(espData.documents)) {
-          documentDatabase.spanish[docId] = {
-            title: docData.document_metadata?.title || 'Título Desconocido',
+    for (let i = 0; i < databaseEntries.length; i++) {
+      const [languageCode] = databaseEntries[i];
+      const response = responses[i];
+      const language = getLanguage(languageCode);
+      
+      documentDatabase[language.code] = {};
+      if (!response || !response.ok) {
+        continue;
+      }
+      
+      const data = await response.json();
+      if (data.documents) {
+        for (const [docId, docData] of Object.entries(data.documents)) {
+          documentDatabase[language.code][docId] = {
+            title: docData.document_metadata?.title || language.unknownTitle,
             authors: docData.document_metadata?.authors || [],
-            year: docData.document_metadata?.publication_year || 'Año Desconocido'
+            year: docData.document_metadata?.publication_year || language.unknownYear,
+            language: language.code
           };
         }
-        debugLog(`Spanish database loaded: ${Object.keys(documentDatabase.spanish).length} documents`, 'info');
+        debugLog(`${language.name} database loaded: ${Object.keys(documentDatabase[language.code]).length} documents`, 'info');
       }
     }
 
@@ -566,14 +544,17 @@ export const loadDocumentDatabases = safeAsync(async () => {
  * @returns {Object} Document info with title, authors, year
  */
 export function getDocumentTitle(documentId, documentDatabase) {
-  // Try English database first
-  if (documentDatabase.english[documentId]) {
-    return documentDatabase.english[documentId];
+  // The language bucket named in the id (gai-eng_item001 -> en) is the likely match
+  const preferred = getDocumentLanguage(documentId);
+  
+  if (preferred && documentDatabase[preferred]?.[documentId]) {
+    return documentDatabase[preferred][documentId];
   }
   
-  // Then try Spanish database
-  if (documentDatabase.spanish[documentId]) {
-    return documentDatabase.spanish[documentId];
+  for (const bucket of Object.values(documentDatabase || {})) {
+    if (bucket?.[documentId]) {
+      return bucket[documentId];
+    }
   }
   
   // Fallback to document ID
@@ -584,6 +565,53 @@ export function getDocumentTitle(documentId, documentDatabase) {
   };
 }
 
+// =====================================
+// ALIGNED PASSAGES
+// =====================================
+
+/**
+ * Check that an alignment links at least two languages with usable units
+ * @param {Object} alignment - Alignment entry {id, level, units: {en: {...}, es: {...}}}
+ * @returns {boolean} True if the alignment can be used
+ */
+function isUsableAlignment(alignment) {
+  const units = Object.values(alignment?.units || {});
+  return units.length >= 2 && units.every(unit => unit && (unit.text || (unit.document_id && unit.id)));
+}
+
+/**
+ * Load the aligned bilingual passages of a domain (alignment files are optional)
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Alignment data {metadata, alignments} - an empty list when the domain has none
+ */
+export const loadAlignments = safeAsync(async (domainCode = null) => {
+  const domain = await getDomain(domainCode);
+  const noAlignments = { metadata: { domain: domain.code }, alignments: [] };
+
+  if (!domain.alignments) {
+    debugLog(`No alignment file listed for ${domain.code}`, 'info');
+    return noAlignments;
+  }
+
+  try {
+    const response = await fetch(domain.alignments);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const alignments = (Array.isArray(data.alignments) ? data.alignments : []).filter(isUsableAlignment);
+    const skipped = (data.alignments?.length || 0) - alignments.length;
+
+    debugLog(`Alignments loaded for ${domain.code}: ${alignments.length} pairs${skipped > 0 ? ` (${skipped} incomplete skipped)` : ''}`, 'info');
+    return { metadata: data.metadata || {}, alignments };
+
+  } catch (error) {
+    debugLog(`Could not load alignments for ${domain.code} (${error.message}) - continuing without example translations`, 'warn');
+    return noAlignments;
+  }
+}, 'VECTOR_LOAD');
+
 // =====================================
 // LEGACY STRUCTURE COMPATIBILITY
 // =====================================
@@ -591,18 +619,27 @@ export function getDocumentTitle(documentId, documentDatabase) {
 /**
  * Load vectors in your existing format 
  * @param {boolean} useCache - Whether to use cached data
- * @returns {Promise<Object>} vectorData with .documents, .paragraphs, .sections arrays
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} vectorData with .documents, .paragraphs, .sections arrays and .domain
  */
-export const loadVectorDataLegacyFormat = safeAsync(async (useCache = true) => {
+export const loadVectorDataLegacyFormat = safeAsync(async (useCache = true, domainCode = null) => {
   debugLog('Loading vector data in legacy format...', 'info');
   
-  const allVectors = await loadAllVectors(useCache);
+  const domain = await getDomain(domainCode);
+  const allVectors = await loadAllVectors(useCache, domain.code);
   
   // Convert to your existing structure
+  // (metadata per level lets the embedding layer check provider compatibility)
   const vectorData = {
+    domain: { code: domain.code, name: domain.name },
     documents: allVectors.document?.vectors || [],
     paragraphs: allVectors.paragraph?.vectors || [],
-    sections: allVectors.section?.vectors || []
+    sections: allVectors.section?.vectors || [],
+    metadata: {
+      document: allVectors.document?.metadata || null,
+      section: allVectors.section?.metadata || null,
+      paragraph: allVectors.paragraph?.metadata || null
+    }
   };
   
   const totalVectors = vectorData.documents.length + vectorData.paragraphs.length + vectorData.sections.length;
@@ -614,9 +651,10 @@ export const loadVectorDataLegacyFormat = safeAsync(async (useCache = true) => {
 
 /**
  * Initialize corpus system with legacy format
- * @returns {Promise<Object>} Object with vectorData and documentDatabase
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Object with vectorData, documentDatabase, alignments, glossary and domain
  */
-export const initializeCorpusLegacyFormat = safeAsync(async () => {
+export const initializeCorpusLegacyFormat = safeAsync(async (domainCode = null) => {
   debugLog('🚀 Initializing corpus system...', 'info');
   
   try {
@@ -629,29 +667,40 @@ export const initializeCorpusLegacyFormat = safeAsync(async () => {
       throw new Error('Corpus configuration missing - check CORPUS section in config.js');
     }
     
+    const domain = await getDomain(domainCode);
+    
     // Log configuration for debugging
     debugLog(`📋 Using configuration:`, 'info');
     debugLog(`  - Model name: ${config.MODELS.EMBEDDING.name}`, 'info');
     debugLog(`  - Transformers ID: ${config.MODELS.EMBEDDING.transformersId}`, 'info');
     debugLog(`  - Dimension: ${config.MODELS.EMBEDDING.dimension}`, 'info');
-    debugLog(`  - Domain: ${config.CORPUS.DOMAIN}`, 'info');
+    debugLog(`  - Domain: ${domain.code} (${domain.name})`, 'info');
     debugLog(`  - Cache enabled: ${config.DEV.CACHE_VECTORS_ONLY}`, 'info');
     debugLog(`  - Vector paths:`, 'info');
-    Object.entries(config.CORPUS.VECTOR_PATHS).forEach(([type, path]) => {
+    Object.entries(domain.vectors).forEach(([type, path]) => {
       debugLog(`    - ${type}: ${path}`, 'info');
     });
     
     // Load vectors in your expected format
-    const vectorData = await loadVectorDataLegacyFormat();
+    const vectorData = await loadVectorDataLegacyFormat(true, domain.code);
     
     // Load document databases for title lookup
-    const documentDatabase = await loadDocumentDatabases();
+    const documentDatabase = await loadDocumentDatabases(domain.code);
+    
+    // Load aligned passages for example translations
+    const alignments = await loadAlignments(domain.code);
+    
+    // Load the terminology glossary
+    const glossary = await loadGlossary(domain.code);
     
     debugLog('✅ Corpus system initialized successfully', 'info');
     
     return {
       vectorData,
-      documentDatabase
+      documentDatabase,
+      alignments,
+      glossary,
+      domain
     };
     
   } catch (error) {
@@ -662,8 +711,46 @@ export const initializeCorpusLegacyFormat = safeAsync(async () => {
     debugLog('  1. Check that vector files exist at expected paths', 'info');
     debugLog('  2. Verify vector files have correct jina-embeddings-v3 format', 'info');
     debugLog('  3. Ensure model name and dimension match in config.js', 'info');
-    debugLog('  4. Try clearing cache: localStorage.clear()', 'info');
+    debugLog('  4. Try clearing cache: PragmaticTranslator.clearVectorCache()', 'info');
     
     throw error;
   }
 }, 'VECTOR_LOAD');
+
+// =====================================
+// DOMAIN DETECTION
+// =====================================
+
+/**
+ * Rank corpus domains by how close their documents are to the input
+ * Each domain scores the mean of its top document similarities
+ * @param {number[]} userEmbedding - Input embedding
+ * @param {Object} options - {topK: documents averaged per domain (default 2), useCache}
+ * @returns {Promise<Object[]>} Domains sorted best first: {code, name, score}
+ */
+export const detectCorpusDomain = safeAsync(async (userEmbedding, options = {}) => {
+  const topK = options.topK || 2;
+  const domains = await listDomains();
+  const ranking = [];
+
+  for (const domain of domains) {
+    try {
+      const documentVectors = await loadVectorsByType('document', options.useCache !== false, domain.code);
+      const scores = documentVectors.vectors
+        .filter(item => Array.isArray(item.vector))
+        .map(item => cosineSimilarity(userEmbedding, item.vector))
+        .sort((a, b) => b - a)
+        .slice(0, topK);
+
+      const score = scores.length > 0 ? scores.reduce((sum, value) => sum + value, 0) / scores.length : 0;
+      ranking.push({ code: domain.code, name: domain.name, score });
+    } catch (error) {
+      debugLog(`Skipping domain ${domain.code} in detection: ${error.message}`, 'warn');
+    }
+  }
+
+  ranking.sort((a, b) => b.score - a.score);
+  debugLog(`Domain detection: ${ranking.map(entry => `${entry.code}=${entry.score.toFixed(3)}`).join(', ')}`, 'info');
+
+  return ranking;
+}, 'VECTOR_LOAD');
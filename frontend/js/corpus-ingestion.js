@@ -0,0 +1,341 @@
+// =====================================
+// CORPUS INGESTION
+// Turns a document into document/section/paragraph vectors and merges them
+// into the corpus vector files (used by scripts/ingest-document.mjs)
+//
+// Processed document format (stored at processing_metadata.file_paths.processed):
+//   { title, paragraphs: [...], sections: [{ title, paragraphs: [...], sections: [...] }] }
+// Top-level paragraphs are text before the first heading (e.g. an abstract).
+// Markdown or plain text is converted to this format with parseDocumentText().
+//
+// Units follow the layout of the existing vector files:
+// - document: title followed by the full text
+// - section: id section_<n>_<m>..., level = nesting depth, text = heading + own text + subsections
+// - paragraph: id <section id>_p<n>, one per paragraph (long ones are chunked)
+// =====================================
+
+import config from './config.js';
+import { debugLog, cleanText, isEmbeddingModelCompatible } from './utils.js';
+import { createPassageEmbeddings } from './embedding.js';
+import { chunkTextIntoParagraphs, PARAGRAPH_CHUNKING } from './paragraph-vectors.js';
+
+export const VECTOR_LEVELS = ['document', 'section', 'paragraph'];
+
+// =====================================
+// DOCUMENT PARSING
+// =====================================
+
+/**
+ * Split a block of text into paragraphs on blank lines
+ * @param {string} text - Text block
+ * @returns {string[]} Cleaned paragraphs
+ */
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => cleanText(paragraph.replace(/\s+/g, ' ')))
+    .filter(Boolean);
+}
+
+/**
+ * Convert Markdown or plain text into the processed document format
+ * Headings (#, ##, ...) become nested sections; a single leading top-level heading is the title
+ * @param {string} text - Document text
+ * @param {Object} options - {title} used when the text has no title heading
+ * @returns {Object} Processed document {title, paragraphs, sections}
+ */
+export function parseDocumentText(text, options = {}) {
+  const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+  const headings = lines
+    .map((line, index) => ({ index, match: line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/) }))
+    .filter(heading => heading.match);
+
+  let title = options.title || '';
+  let minDepth = Math.min(...headings.map(heading => heading.match[1].length));
+
+  // "# Title" followed by "## Sections" - the lone top heading is the document title
+  const topHeadings = headings.filter(heading => heading.match[1].length === minDepth);
+  if (topHeadings.length === 1 && headings.length > 1 && headings[0] === topHeadings[0]) {
+    title = title || headings[0].match[2];
+    lines[headings[0].index] = '';
+    headings.shift();
+    minDepth = Math.min(...headings.map(heading => heading.match[1].length));
+  }
+
+  const document = { title, paragraphs: [], sections: [] };
+  const stack = [{ depth: 0, node: document, buffer: [] }];
+
+  const flush = (entry) => {
+    entry.node.paragraphs.push(...splitParagraphs(entry.buffer.join('\n')));
+    entry.buffer = [];
+  };
+
+  const headingAt = new Map(headings.map(heading => [heading.index, heading.match]));
+
+  lines.forEach((line, index) => {
+    const match = headingAt.get(index);
+    if (!match) {
+      stack[stack.length - 1].buffer.push(line);
+      return;
+    }
+
+    flush(stack[stack.length - 1]);
+    const depth = match[1].length - minDepth + 1;
+    while (stack.length > 1 && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+
+    const section = { title: cleanText(match[2]), paragraphs: [], sections: [] };
+    stack[stack.length - 1].node.sections.push(section);
+    stack.push({ depth, node: section, buffer: [] });
+  });
+
+  flush(stack[stack.length - 1]);
+  return normalizeProcessedDocument(document);
+}
+
+/**
+ * Normalize a processed document (sections may carry `text` instead of `paragraphs`)
+ * @param {Object} processed - Processed document
+ * @returns {Object} {title, paragraphs, sections} with paragraphs arrays everywhere
+ */
+export function normalizeProcessedDocument(processed) {
+  const normalizeNode = (node) => ({
+    title: cleanText(node.title || ''),
+    paragraphs: Array.isArray(node.paragraphs)
+      ? node.paragraphs.map(paragraph => cleanText(paragraph)).filter(Boolean)
+      : splitParagraphs(node.text),
+    sections: (node.sections || []).map(normalizeNode)
+  });
+
+  return normalizeNode(processed || {});
+}
+
+// =====================================
+// UNIT CREATION
+// =====================================
+
+/**
+ * Join a section's heading, own paragraphs and subsections into one flat text
+ * @param {Object} section - Normalized section
+ * @returns {string} Section text
+ */
+function getFullSectionText(section) {
+  return [section.title, ...section.paragraphs, ...section.sections.map(getFullSectionText)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Chunk a section's own paragraphs into paragraph units
+ * @param {string[]} paragraphs - Paragraph texts
+ * @param {Object} options - Chunking options
+ * @returns {string[]} Paragraph unit texts
+ */
+function chunkParagraphs(paragraphs, options) {
+  const { maxLength, minKeepLength } = { ...PARAGRAPH_CHUNKING, ...options };
+
+  return paragraphs
+    .flatMap(paragraph => paragraph.length > maxLength ? chunkTextIntoParagraphs(paragraph, options) : [paragraph])
+    .filter(paragraph => paragraph.length >= minKeepLength);
+}
+
+/**
+ * Split a processed document into document/section/paragraph units (without vectors)
+ * @param {string} documentId - Document id (e.g. gai-eng_item005)
+ * @param {Object} processed - Processed document
+ * @param {Object} options - Paragraph chunking options
+ * @returns {Object} {document: [], section: [], paragraph: [], wordCount}
+ */
+export function createDocumentUnits(documentId, processed, options = {}) {
+  const documentData = normalizeProcessedDocument(processed);
+  const units = { document: [], section: [], paragraph: [] };
+
+  const addParagraphs = (paragraphs, sectionId, title, level) => {
+    const prefix = sectionId || 'preamble';
+    chunkParagraphs(paragraphs, options).forEach((text, index) => {
+      units.paragraph.push({
+        id: `${prefix}_p${index + 1}`,
+        document_id: documentId,
+        section_id: sectionId,
+        title,
+        level,
+        text
+      });
+    });
+  };
+
+  const addSection = (section, path) => {
+    const id = `section_${path.join('_')}`;
+    const level = path.length - 1;
+
+    units.section.push({
+      id,
+      document_id: documentId,
+      title: section.title,
+      level,
+      text: getFullSectionText(section)
+    });
+
+    addParagraphs(section.paragraphs, id, section.title, level);
+    section.sections.forEach((subsection, index) => addSection(subsection, [...path, index + 1]));
+  };
+
+  addParagraphs(documentData.paragraphs, null, documentData.title, 0);
+  documentData.sections.forEach((section, index) => addSection(section, [index + 1]));
+
+  const bodyText = [...documentData.paragraphs, ...documentData.sections.map(getFullSectionText)].join(' ');
+  units.document.push({
+    id: documentId,
+    title: documentData.title,
+    text: [documentData.title, bodyText].filter(Boolean).join(' ')
+  });
+
+  units.wordCount = bodyText.split(/\s+/).filter(Boolean).length;
+
+  debugLog(`${documentId}: ${units.section.length} sections, ${units.paragraph.length} paragraphs, ${units.wordCount} words`, 'info');
+  return units;
+}
+
+// =====================================
+// EMBEDDING & VECTOR FILES
+// =====================================
+
+/**
+ * Embed all units of a document in one batched pass
+ * With lateChunking each level is embedded on its own, in one batch, so its units share context
+ * @param {Object} units - Output of createDocumentUnits
+ * @param {Object} options - createPassageEmbeddings options {providerId, settings, batchSize, lateChunking, onProgress}
+ * @returns {Promise<Object>} {vectors: {document, section, paragraph}, provider, model, dimension, task, lateChunking}
+ */
+export async function embedDocumentUnits(units, options = {}) {
+  const groups = options.lateChunking
+    ? VECTOR_LEVELS.filter(level => units[level].length > 0).map(level => [level])
+    : [VECTOR_LEVELS];
+  const total = VECTOR_LEVELS.reduce((count, level) => count + units[level].length, 0);
+
+  const created = new Date().toISOString();
+  const vectors = {};
+  let done = 0;
+  let result = null;
+
+  for (const levels of groups) {
+    const groupUnits = levels.flatMap(level => units[level]);
+    const embedded = done;
+    result = await createPassageEmbeddings(groupUnits.map(unit => unit.text), {
+      ...options,
+      batchSize: options.lateChunking ? groupUnits.length : options.batchSize,
+      onProgress: (count) => options.onProgress?.(embedded + count, total)
+    });
+    done += groupUnits.length;
+
+    let offset = 0;
+    for (const level of levels) {
+      vectors[level] = units[level].map((unit, index) => ({
+        ...unit,
+        created,
+        vector: result.embeddings[offset + index]
+      }));
+      offset += units[level].length;
+    }
+  }
+
+  VECTOR_LEVELS.forEach(level => { vectors[level] = vectors[level] || []; });
+
+  return {
+    vectors,
+    provider: result.provider,
+    model: result.model,
+    dimension: result.dimension,
+    task: result.task,
+    lateChunking: result.lateChunking
+  };
+}
+
+/**
+ * Replace a document's vectors in a vector file (creating the file if needed)
+ * @param {Object|null} vectorFile - Existing vector file {metadata, vectors} or null
+ * @param {string} documentId - Document id
+ * @param {Object[]} newVectors - The document's vectors for this level
+ * @param {Object} embeddingInfo - {provider, model, dimension, task, lateChunking, environment}
+ * @returns {Object} Updated vector file
+ */
+export function mergeDocumentVectors(vectorFile, documentId, newVectors, embeddingInfo) {
+  const metadata = vectorFile?.metadata;
+
+  if (metadata?.model && !isEmbeddingModelCompatible(metadata.model, [embeddingInfo.model])) {
+    throw new Error(`Vector file was built with "${metadata.model}" - cannot add vectors from "${embeddingInfo.model}"`);
+  }
+  if (metadata?.dimension && metadata.dimension !== embeddingInfo.dimension) {
+    throw new Error(`Vector file has dimension ${metadata.dimension} - new vectors have ${embeddingInfo.dimension}`);
+  }
+  if (metadata?.task && embeddingInfo.task && metadata.task !== embeddingInfo.task) {
+    throw new Error(`Vector file was built with task "${metadata.task}" - new vectors use "${embeddingInfo.task}"`);
+  }
+  if (metadata?.task && !embeddingInfo.task) {
+    debugLog(`⚠️ Vector file was built with task "${metadata.task}" - ${embeddingInfo.provider} embeds without task adapters`, 'warn');
+  }
+
+  const kept = (vectorFile?.vectors || []).filter(item => (item.document_id || item.id) !== documentId);
+  const lastCount = kept.reduce((max, item) => Math.max(max, item.count || 0), 0);
+
+  const now = new Date().toISOString();
+
+  return {
+    metadata: {
+      ...(metadata || {
+        model: embeddingInfo.model || config.MODELS.EMBEDDING.transformersId,
+        dimension: embeddingInfo.dimension,
+        task: embeddingInfo.task || null,
+        ...(embeddingInfo.lateChunking ? { late_chunking: true } : {}),
+        normalization: true,
+        environment: embeddingInfo.environment || 'node',
+        created: now
+      }),
+      updated: now
+    },
+    vectors: [
+      ...kept,
+      ...newVectors.map((item, index) => ({ ...item, count: lastCount + index + 1 }))
+    ]
+  };
+}
+
+/**
+ * Record a finished ingestion in a database entry
+ * @param {Object} entry - Database entry {document_metadata, processing_metadata}
+ * @param {Object} details - {wordCount, processedPath, vectorCounts, provider, model}
+ * @returns {Object} Updated entry
+ */
+export function markDocumentVectorized(entry, details) {
+  const processing = entry.processing_metadata || {};
+
+  return {
+    ...entry,
+    processing_metadata: {
+      ...processing,
+      word_count: details.wordCount ?? processing.word_count,
+      status: 'vectorized',
+      file_paths: {
+        ...processing.file_paths,
+        processed: details.processedPath
+      },
+      vectorization: {
+        date: new Date().toISOString().slice(0, 10),
+        embedding_provider: details.provider,
+        embedding_model: details.model,
+        vector_counts: details.vectorCounts
+      }
+    }
+  };
+}
+
+export default {
+  VECTOR_LEVELS,
+  parseDocumentText,
+  normalizeProcessedDocument,
+  createDocumentUnits,
+  embedDocumentUnits,
+  mergeDocumentVectors,
+  markDocumentVectorized
+};
@@ -0,0 +1,215 @@
+// =====================================
+// CORPUS SERVICE
+// The page's interface to the corpus: loading, similarity search, domain detection
+// and the vector cache, run in a Web Worker (corpus-worker.js) so that parsing and
+// searching large corpora doesn't freeze the page
+//
+// - The corpus lives in the worker; the page only gets what it needs to translate
+//   (domain, counts, vector metadata, document database, glossary)
+// - Every function sends one request and resolves with the worker's answer
+// - Without module worker support (or with config.SIMILARITY.INDEX.useWorker off), and
+//   if the worker fails, the same requests are handled on the main thread instead
+// =====================================
+
+import config from './config.js';
+import { debugLog } from './utils.js';
+import { getActiveDomainCode } from './domains.js';
+import { removeLegacyCacheEntries } from './corpora-retrieval.js';
+import { getEmbeddingCacheStatus } from './embedding-cache.js';
+import { handleCorpusMessage } from './corpus-worker.js';
+
+let worker = null;
+let workerDisabled = false;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// Domain of the corpus the worker loaded - loaded again on the main thread if the worker fails
+let loadedDomainCode = null;
+let mainThreadReady = Promise.resolve();
+
+// =====================================
+// WORKER
+// =====================================
+
+/**
+ * Stop using the worker; requests it hasn't answered are handled on the main thread
+ * @param {string} reason - Why the worker can't be used
+ */
+function disableWorker(reason) {
+  debugLog(`Corpus worker unavailable (${reason}) - working on the main thread`, 'warn');
+  worker?.terminate();
+  worker = null;
+  workerDisabled = true;
+
+  const pending = [...pendingRequests.values()];
+  pendingRequests.clear();
+
+  const reload = loadedDomainCode && !pending.some(request => request.message.type === 'load')
+    ? handleCorpusMessage({ type: 'load', domainCode: loadedDomainCode })
+    : Promise.resolve();
+  mainThreadReady = reload.catch(() => {});
+  pending.forEach(request => reload.then(() => handleCorpusMessage(request.message)).then(request.resolve, request.reject));
+}
+
+/**
+ * Get the corpus worker, starting it on first use
+ * @returns {Worker|null} Worker, or null when requests are handled on the main thread
+ */
+function getWorker() {
+  if (worker || workerDisabled) {
+    return worker;
+  }
+  if (!config.SIMILARITY.INDEX.useWorker || typeof Worker === 'undefined') {
+    workerDisabled = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('./corpus-worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    disableWorker(error.message);
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+    pendingRequests.delete(data.id);
+
+    if (data.error) {
+      const { message, ...fields } = data.error;
+      request.reject(Object.assign(new Error(message), fields));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+  // Errors the worker doesn't answer with a message (e.g. module workers not supported)
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    disableWorker(event.message || 'worker error');
+  };
+
+  debugLog('Corpus worker started', 'info');
+  return worker;
+}
+
+/**
+ * Send a request to the worker (or handle it on the main thread)
+ * @param {Object} message - {type, ...arguments}
+ * @returns {Promise<*>} Result
+ */
+async function request(message) {
+  const corpusWorker = getWorker();
+  if (!corpusWorker) {
+    await mainThreadReady;
+    return handleCorpusMessage(message);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { message, resolve, reject });
+    corpusWorker.postMessage({ ...message, id });
+  });
+}
+
+// =====================================
+// CORPUS
+// =====================================
+
+/**
+ * Load a domain's corpus (replaces the loaded one)
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain, which is kept on the page)
+ * @returns {Promise<Object>} {domain: {code, name}, counts: {documents, sections, paragraphs},
+ *                            metadata (vector metadata per level), documentDatabase, glossary,
+ *                            alignmentCount (aligned pairs available as example translations)}
+ */
+export async function loadCorpus(domainCode = null) {
+  removeLegacyCacheEntries();
+  const corpus = await request({ type: 'load', domainCode: domainCode || await getActiveDomainCode() });
+  loadedDomainCode = corpus.domain.code;
+  return corpus;
+}
+
+/**
+ * Find corpus context for an embedding (findSimilarContext over the loaded corpus)
+ * @param {number[]} userEmbedding - User input embedding
+ * @param {Object} options - findSimilarContext options; aligned examples come from the corpus
+ *                           alignments (alignments: false leaves them out); with a signal,
+ *                           the promise rejects as soon as the signal is aborted
+ * @returns {Promise<Object>} findSimilarContext result
+ */
+export async function findCorpusContext(userEmbedding, options = {}) {
+  options.signal?.throwIfAborted();
+
+  const { signal, alignments, ...searchOptions } = options;
+  const search = request({
+    type: 'search',
+    embedding: userEmbedding,
+    options: { ...searchOptions, alignments: alignments !== false }
+  });
+  if (!signal) {
+    return search;
+  }
+
+  // The search runs to the end anyway - its result is dropped
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    search.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Rank corpus domains by how close their documents are to the input (detectCorpusDomain)
+ * @param {number[]} userEmbedding - Input embedding
+ * @param {Object} options - {topK, useCache}
+ * @returns {Promise<Object[]>} Domains sorted best first: {code, name, score}
+ */
+export function detectDomain(userEmbedding, options = {}) {
+  return request({ type: 'detectDomain', embedding: userEmbedding, options });
+}
+
+/**
+ * Describe the loaded corpus (for debugging)
+ * @returns {Promise<Object>} {domain, counts, metadata, documents, sections, paragraphs (items without vectors),
+ *                            indexes (stats per level), lexicalIndexes (BM25 stats per hybrid level)}
+ */
+export function getCorpus() {
+  return request({ type: 'corpus' });
+}
+
+// =====================================
+// CACHE
+// =====================================
+
+/**
+ * Get the status of the vector cache (getCacheStatus)
+ * @param {string} domainCode - Corpus domain code (defaults to the loaded domain)
+ * @returns {Promise<Object>} Cache status per vector type, and the user input embedding cache under 'embeddings'
+ */
+export async function getCorpusCacheStatus(domainCode = null) {
+  const status = await request({ type: 'cacheStatus', domainCode });
+  // Embedding cache hits and misses are counted where the embeddings are made - on the page
+  status.embeddings = await getEmbeddingCacheStatus();
+  return status;
+}
+
+/**
+ * Clear cached vector data (clearVectorCache)
+ * @param {string} domainCode - Only clear this domain's entries (all domains when null)
+ * @param {Object} options - {embeddings: false} to keep the cached user input embeddings
+ * @returns {Promise<Object>} {vectors, embeddings} - number of entries removed
+ */
+export function clearCorpusCache(domainCode = null, options = {}) {
+  removeLegacyCacheEntries();
+  return request({ type: 'clearCache', domainCode, options });
+}
+
+export default {
+  loadCorpus,
+  findCorpusContext,
+  detectDomain,
+  getCorpus,
+  getCorpusCacheStatus,
+  clearCorpusCache
+};
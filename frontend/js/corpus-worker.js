@@ -0,0 +1,178 @@
+// =====================================
+// CORPUS WORKER
+// Corpus loading and similarity search in a module Web Worker, so that parsing
+// multi-megabyte vector files and searching them doesn't freeze the page
+// corpus-service.js starts the worker and holds the message API; without worker
+// support it runs the same handlers (handleCorpusMessage) on the main thread
+//
+// Messages in:  {id, type, ...arguments} - load, search, detectDomain, cacheStatus, clearCache, corpus
+// Messages out: {id, result} or {id, error: {message, name, code, type, details}}
+//
+// The loaded corpus stays here: items keep their fields but not their vectors, which
+// are packed into each level's index (vector-index.js) as soon as the corpus loads.
+// Levels searched with hybrid retrieval also get their BM25 index (lexical-index.js) then.
+// =====================================
+
+import config from './config.js';
+import { initializeCorpusLegacyFormat, detectCorpusDomain, getCacheStatus, clearVectorCache } from './corpora-retrieval.js';
+import { findSimilarContext } from './similarity.js';
+import { createVectorIndex, packVectors, setVectorIndex, getVectorIndex } from './vector-index.js';
+import { getLexicalIndex } from './lexical-index.js';
+
+// Level keys of vector data and the level names the indexes are labelled with
+const LEVEL_NAMES = {
+  documents: 'document',
+  sections: 'section',
+  paragraphs: 'paragraph'
+};
+
+// Loaded corpus {domain, vectorData, alignments}
+let corpus = null;
+
+// =====================================
+// CORPUS
+// =====================================
+
+/**
+ * Index the items of one level and drop their vectors
+ * @param {Array} items - Vector items
+ * @param {string} level - Level name
+ * @returns {Array} Items without vectors (their indexes are kept with this array)
+ */
+function indexLevel(items, level) {
+  const { matrix, dimension } = packVectors(items);
+  const indexedItems = items.map(({ vector, ...fields }) => fields);
+  setVectorIndex(indexedItems, createVectorIndex(matrix, dimension, { label: level }));
+
+  const hybrid = config.SIMILARITY.HYBRID;
+  if (hybrid.enabled && hybrid.levels.includes(level)) {
+    getLexicalIndex(indexedItems, { label: level });
+  }
+  return indexedItems;
+}
+
+/**
+ * Count the items of every level of the loaded corpus
+ * @returns {Object} {documents, sections, paragraphs}
+ */
+function getCounts() {
+  return Object.fromEntries(Object.keys(LEVEL_NAMES).map(key => [key, corpus.vectorData[key].length]));
+}
+
+/**
+ * Get the loaded corpus
+ * @returns {Object} Loaded corpus
+ * @throws {Error} When no corpus is loaded
+ */
+function requireCorpus() {
+  if (!corpus) {
+    throw new Error('No corpus loaded - load a corpus before searching');
+  }
+  return corpus;
+}
+
+// =====================================
+// HANDLERS
+// =====================================
+
+/**
+ * Load a domain's corpus (replaces the loaded one) and index it
+ * @param {Object} message - {domainCode}
+ * @returns {Promise<Object>} {domain, counts, metadata, documentDatabase, glossary, alignmentCount} - what the page needs
+ */
+async function load({ domainCode }) {
+  const corpusData = await initializeCorpusLegacyFormat(domainCode);
+  const vectorData = { metadata: corpusData.vectorData.metadata };
+  for (const [key, level] of Object.entries(LEVEL_NAMES)) {
+    vectorData[key] = indexLevel(corpusData.vectorData[key] || [], level);
+  }
+
+  corpus = {
+    domain: { code: corpusData.domain.code, name: corpusData.domain.name },
+    vectorData,
+    alignments: corpusData.alignments
+  };
+
+  return {
+    domain: corpus.domain,
+    counts: getCounts(),
+    metadata: vectorData.metadata,
+    documentDatabase: corpusData.documentDatabase,
+    glossary: corpusData.glossary,
+    alignmentCount: corpusData.alignments?.alignments.length || 0
+  };
+}
+
+/**
+ * Search the loaded corpus
+ * @param {Object} message - {embedding, options (findSimilarContext options; alignments: true uses the corpus alignments)}
+ * @returns {Promise<Object>} findSimilarContext result
+ */
+async function search({ embedding, options = {} }) {
+  const { vectorData, alignments } = requireCorpus();
+  return findSimilarContext(embedding, vectorData, {
+    ...options,
+    alignments: options.alignments ? alignments : null
+  });
+}
+
+/**
+ * Describe the loaded corpus (for debugging)
+ * @returns {Object} {domain, counts, metadata, documents, sections, paragraphs (items without vectors),
+ *                   indexes (vector index stats per level), lexicalIndexes (BM25 index stats per hybrid level)}
+ */
+function describeCorpus() {
+  const { domain, vectorData } = requireCorpus();
+  return {
+    domain,
+    counts: getCounts(),
+    ...vectorData,
+    indexes: Object.fromEntries(Object.entries(LEVEL_NAMES).map(([key, level]) => [level, getVectorIndex(vectorData[key]).stats()])),
+    lexicalIndexes: Object.fromEntries(config.SIMILARITY.HYBRID.levels.map(level => {
+      const key = Object.keys(LEVEL_NAMES).find(name => LEVEL_NAMES[name] === level);
+      return [level, getLexicalIndex(vectorData[key], { label: level }).stats()];
+    }))
+  };
+}
+
+const handlers = {
+  load,
+  search,
+  detectDomain: ({ embedding, options }) => detectCorpusDomain(embedding, options),
+  // Defaults to the loaded domain (getCacheStatus itself defaults to config.CORPUS.DOMAIN)
+  cacheStatus: ({ domainCode }) => getCacheStatus(domainCode || corpus?.domain.code || null),
+  clearCache: ({ domainCode, options }) => clearVectorCache(domainCode, options),
+  corpus: describeCorpus
+};
+
+/**
+ * Handle one corpus request
+ * @param {Object} message - {type, ...arguments}
+ * @returns {Promise<*>} Handler result
+ */
+export async function handleCorpusMessage(message) {
+  const handler = handlers[message.type];
+  if (!handler) {
+    throw new Error(`Unknown corpus request: ${message.type}`);
+  }
+  return handler(message);
+}
+
+// =====================================
+// MESSAGES
+// =====================================
+
+// Only when running as the worker - corpus-service.js also imports this module on the page
+if (typeof WorkerGlobalScope !== 'undefined') {
+  self.onmessage = async ({ data }) => {
+    try {
+      self.postMessage({ id: data.id, result: await handleCorpusMessage(data) });
+    } catch (error) {
+      // Errors from safeAsync wrappers are plain objects {type, message, details, code}
+      self.postMessage({
+        id: data.id,
+        error: { message: error.message, name: error.name || 'Error', code: error.code || null, type: error.type || null, details: error.details || null }
+      });
+    }
+  };
+}
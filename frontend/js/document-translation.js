@@ -0,0 +1,428 @@
+// =====================================
+// DOCUMENT TRANSLATION
+// Long texts (whole reports) are translated in parts instead of one prompt:
+//
+// 1. splitDocument() cuts the text on paragraph boundaries into parts of at most
+//    config.TRANSLATION.DOCUMENT.maxChunkLength characters, preferring to start a
+//    new part at a heading. Oversized paragraphs are cut on lines, then sentences
+//    (ASCII or CJK terminators), then whitespace - and as a last resort mid-word.
+// 2. Each part gets its own embedding and corpus context (findSimilarContext) and is
+//    translated with translateWithContext, told where it sits in the document, given
+//    a running summary of the parts before it and the end of the previous translation.
+// 3. The translated parts are joined with the separators that followed the source
+//    parts, so paragraph and section breaks survive.
+// =====================================
+
+import config from './config.js';
+import { debugLog, createError, safeAsync, startTimer, getLanguageName, isAbortError, cleanText } from './utils.js';
+import { chunkTextIntoParagraphs, getSentenceSeparator } from './paragraph-vectors.js';
+import { createUserInputEmbedding } from './embedding.js';
+import { findSimilarContext } from './similarity.js';
+import { translateWithContext } from './translation.js';
+import { callTranslationProvider } from './translation-providers.js';
+
+// =====================================
+// DOCUMENT SPLITTING
+// =====================================
+
+/**
+ * Check whether a block looks like a heading (Markdown heading or a short line without closing punctuation)
+ * @param {string} block - Text block
+ * @returns {boolean} True for headings
+ */
+function isHeading(block) {
+  const text = block.trim();
+  return /^#{1,6}\s/.test(text) || (!text.includes('\n') && text.length <= 100 && !/[.!?:;,…。！？：；，]["')\]”’」』）]*$/.test(text));
+}
+
+/**
+ * Find the separators between consecutive pieces of a line
+ * Read from the line itself: a space where the pieces were cut on whitespace, nothing after a
+ * CJK sentence or a cut inside a word
+ * @param {string} line - Line the pieces come from (chunkTextIntoParagraphs cleans its whitespace)
+ * @param {string[]} pieces - Pieces, in order
+ * @returns {string[]} Separator after each piece but the last
+ */
+function findPieceSeparators(line, pieces) {
+  const text = cleanText(line);
+  let position = 0;
+
+  return pieces.slice(0, -1).map(piece => {
+    const start = text.indexOf(piece, position);
+    if (start < 0) {
+      return getSentenceSeparator(piece);
+    }
+    position = start + piece.length;
+    return /\s/.test(text[position]) ? ' ' : '';
+  });
+}
+
+/**
+ * Split text into blocks, each with the separator that followed it
+ * Blocks longer than maxLength are cut on line breaks, then on sentences (see chunkTextIntoParagraphs) -
+ * no block is longer than maxLength
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum block length
+ * @returns {Object[]} Blocks {text, separator}
+ */
+function splitBlocks(text, maxLength) {
+  const parts = text.split(/(\n[ \t]*\n\s*)/);
+  const blocks = [];
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const block = { text: parts[i], separator: parts[i + 1] || '' };
+    if (!block.text.trim()) continue;
+
+    if (block.text.length <= maxLength) {
+      blocks.push(block);
+      continue;
+    }
+
+    // Oversized paragraph: lines first, sentences for lines that are still too long
+    const lines = block.text.split('\n').filter(line => line.trim());
+    const pieces = lines.flatMap((line, index) => {
+      const lineSeparator = index < lines.length - 1 ? '\n' : block.separator;
+      if (line.length <= maxLength) {
+        return [{ text: line, separator: lineSeparator }];
+      }
+      // Pieces well below maxLength so they pack into parts without leaving slivers
+      const sentences = chunkTextIntoParagraphs(line, { targetLength: maxLength / 4, maxLength: maxLength / 2, minLength: 0, minKeepLength: 0 });
+      const separators = findPieceSeparators(line, sentences);
+      return sentences.map((sentence, sentenceIndex) => ({
+        text: sentence,
+        separator: separators[sentenceIndex] ?? lineSeparator
+      }));
+    });
+    blocks.push(...pieces);
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a long text into parts for document translation
+ * @param {string} text - Source text
+ * @param {Object} options - Overrides for config.TRANSLATION.DOCUMENT {maxChunkLength, headingBreakRatio}
+ * @returns {Object[]} Parts {index, text, separator} - joining text + separator restores the layout
+ */
+export function splitDocument(text, options = {}) {
+  const { maxChunkLength, headingBreakRatio } = { ...config.TRANSLATION.DOCUMENT, ...options };
+  const blocks = splitBlocks((text || '').replace(/\r\n/g, '\n').trim(), maxChunkLength);
+
+  // Length of the text from each block to the end
+  const remaining = [];
+  blocks.reduceRight((total, block, index) => (remaining[index] = total + block.text.length + block.separator.length), 0);
+
+  const chunks = [];
+  let current = null;
+
+  const closeChunk = () => {
+    if (current) {
+      chunks.push({ index: chunks.length, text: current.text, separator: current.separator });
+      current = null;
+    }
+  };
+
+  blocks.forEach((block, index) => {
+    if (current) {
+      const combinedLength = current.text.length + current.separator.length + block.text.length;
+      // Start a section in a new part - unless the rest of the text fits in this one
+      const headingBreak = isHeading(block.text)
+        && current.text.length >= maxChunkLength * headingBreakRatio
+        && current.text.length + current.separator.length + remaining[index] > maxChunkLength;
+      if (combinedLength > maxChunkLength || headingBreak) {
+        closeChunk();
+      }
+    }
+
+    current = current
+      ? { text: current.text + current.separator + block.text, separator: block.separator }
+      : { ...block };
+  });
+  closeChunk();
+
+  // The text ends with the last part - no separator after it
+  if (chunks.length > 0) {
+    chunks[chunks.length - 1].separator = '';
+  }
+
+  return chunks;
+}
+
+/**
+ * Check whether a text needs document mode
+ * @param {string} text - Source text
+ * @returns {boolean} True when the text is longer than one part
+ */
+export function isLongDocument(text) {
+  return (text || '').trim().length > config.TRANSLATION.DOCUMENT.maxChunkLength;
+}
+
+// =====================================
+// CROSS-PART COHERENCE
+// =====================================
+
+/**
+ * Get the end of a translation, starting at a word boundary
+ * @param {string} text - Translated part
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Tail of the text
+ */
+function getTail(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const tail = text.slice(-maxLength);
+  const paragraphStart = tail.indexOf('\n');
+  return paragraphStart >= 0 && paragraphStart < maxLength / 2
+    ? tail.slice(paragraphStart + 1)
+    : tail.slice(tail.search(/\s/) + 1);
+}
+
+/**
+ * Fold a newly translated part into the running summary
+ * A failed summary call keeps the previous summary - it only costs some coherence
+ * @param {string} summary - Summary of the earlier parts
+ * @param {string} translatedPart - Translation of the latest part
+ * @param {string} targetLang - Target language code
+ * @param {AbortSignal} signal - Cancels the summary call (optional)
+ * @returns {Promise<string>} Updated summary
+ */
+async function updateRunningSummary(summary, translatedPart, targetLang, signal = null) {
+  const { summaryMaxWords, summaryMaxTokens } = config.TRANSLATION.DOCUMENT;
+  const targetLanguageName = getLanguageName(targetLang);
+
+  const prompt = `You are helping translate a long document into ${targetLanguageName} part by part. Update the running summary so the translator of the next part knows what the document has covered.
+
+RULES:
+1. Write the summary in ${targetLanguageName}, at most ${summaryMaxWords} words
+2. Keep the document's topic, structure so far, names and key terms exactly as they were translated
+3. Reply with the summary only
+
+SUMMARY SO FAR:
+${summary || '(none - this is the first part)'}
+
+LATEST PART (translated):
+${translatedPart}
+
+UPDATED SUMMARY:`;
+
+  try {
+    const result = await callTranslationProvider(prompt, {
+      parameters: { max_tokens: summaryMaxTokens, temperature: 0 },
+      signal
+    });
+    return result.text || summary;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    debugLog(`Could not update document summary (${error.message}) - keeping the previous one`, 'warn');
+    return summary;
+  }
+}
+
+// =====================================
+// RESULT MERGING
+// =====================================
+
+/**
+ * Merge the context shown for each part (best score per passage, top 10)
+ * @param {Object[]} partResults - translateWithContext results
+ * @returns {Object} Context for display {summary, details, confidence, coverage}
+ */
+function mergeContextUsed(partResults) {
+  const passages = new Map();
+
+  for (const result of partResults) {
+    for (const detail of result.contextUsed.details || []) {
+      const key = `${detail.documentId}::${detail.id}`;
+      if (!passages.has(key) || passages.get(key).score < detail.score) {
+        passages.set(key, detail);
+      }
+    }
+  }
+
+  const details = [...passages.values()].sort((a, b) => b.score - a.score);
+  const confidenceOrder = ['low', 'medium', 'high'];
+  const confidence = partResults
+    .map(result => result.contextUsed.confidence)
+    .reduce((best, value) => confidenceOrder.indexOf(value) > confidenceOrder.indexOf(best) ? value : best, 'low');
+
+  return {
+    summary: details.length > 0
+      ? `Found ${details.length} relevant passages across ${partResults.length} parts`
+      : 'No relevant context found in corpus',
+    details: details.slice(0, 10),
+    confidence,
+    coverage: details.length > 0 ? 'per-part' : 'none'
+  };
+}
+
+/**
+ * Merge the glossary checks of all parts (one violation per term and type)
+ * @param {Object[]} partResults - translateWithContext results
+ * @returns {Object} {checked, compliant, violations}
+ */
+function mergeGlossaryChecks(partResults) {
+  const violations = new Map();
+
+  for (const result of partResults) {
+    for (const violation of result.glossaryCheck.violations) {
+      const key = `${violation.id}:${violation.type}`;
+      const existing = violations.get(key);
+      violations.set(key, existing
+        ? { ...existing, found: [...new Set([...existing.found, ...violation.found])] }
+        : violation);
+    }
+  }
+
+  return {
+    checked: partResults.reduce((total, result) => total + result.glossaryCheck.checked, 0),
+    compliant: violations.size === 0,
+    violations: [...violations.values()]
+  };
+}
+
+// =====================================
+// DOCUMENT TRANSLATION
+// =====================================
+
+/**
+ * Translate a long text part by part with per-part context and cross-part coherence
+ * @param {string} sourceText - Text to translate
+ * @param {Object} languageDirection - {source, target} language codes
+ * @param {Object} options - {vectorData, alignments, documentDatabase, domain, glossary, useTranslationMemory,
+ *                           retrieval: findSimilarContext options,
+ *                           findContext(embedding, options) to search the corpus instead of vectorData (e.g. corpus-service.js
+ *                           findCorpusContext, which holds the loaded corpus) - with vectorMetadata in place of vectorData,
+ *                           onProgress({stage: 'context'|'translate'|'done', part, parts}) - 'done' adds {reused, truncated},
+ *                           onStream(delta) to receive the reassembled translation while it is generated,
+ *                           signal to cancel - checked before every part and passed to each request}
+ * @returns {Promise<Object>} {translatedText, contextUsed, glossaryCheck, parts, metadata} - same shape as translateWithContext
+ */
+export const translateDocument = safeAsync(async (sourceText, languageDirection, options = {}) => {
+  if (!sourceText || typeof sourceText !== 'string' || sourceText.trim().length === 0) {
+    throw createError('INVALID_INPUT', 'Source text is required for translation');
+  }
+  if (!options.vectorData && !options.findContext) {
+    throw createError('INVALID_INPUT', 'Corpus vectors are required for document translation');
+  }
+
+  const { previousTranslationLength } = config.TRANSLATION.DOCUMENT;
+  const chunks = splitDocument(sourceText);
+  const endTimer = startTimer(`Document translation (${chunks.length} parts)`);
+  const notify = (stage, part, extra = {}) => options.onProgress?.({ stage, part, parts: chunks.length, ...extra });
+
+  debugLog(`Document mode: ${sourceText.length} chars in ${chunks.length} parts (${chunks.map(chunk => chunk.text.length).join(', ')})`, 'info');
+
+  const partResults = [];
+  // Parts whose context came from an embedding of their beginning only
+  const partEmbeddingsTruncated = [];
+  let summary = '';
+
+  for (const chunk of chunks) {
+    const part = chunk.index + 1;
+    options.signal?.throwIfAborted();
+
+    // Context for this part only - one embedding of the whole text would cover just its beginning
+    notify('context', part);
+    const embedding = await createUserInputEmbedding(chunk.text, { vectorMetadata: options.vectorMetadata || options.vectorData?.metadata, signal: options.signal });
+    partEmbeddingsTruncated.push(embedding.inputTruncated);
+    const searchOptions = {
+      ...options.retrieval,
+      languages: languageDirection,
+      queryText: chunk.text,
+      signal: options.signal
+    };
+    const contextResults = options.findContext
+      ? await options.findContext(embedding.embedding, searchOptions)
+      : await findSimilarContext(embedding.embedding, options.vectorData, { ...searchOptions, alignments: options.alignments });
+
+    notify('translate', part);
+    const previous = partResults[partResults.length - 1];
+    if (previous) {
+      options.onStream?.(chunks[chunk.index - 1].separator);
+    }
+    const result = await translateWithContext(chunk.text, contextResults, languageDirection, options.documentDatabase, {
+      domain: options.domain,
+      glossary: options.glossary,
+      useTranslationMemory: options.useTranslationMemory,
+      onStream: options.onStream,
+      signal: options.signal,
+      documentContext: {
+        part,
+        parts: chunks.length,
+        summary,
+        previousTranslation: previous ? getTail(previous.translatedText, previousTranslationLength) : ''
+      }
+    });
+    partResults.push(result);
+
+    // Parts reused from the translation memory were never streamed
+    if (result.metadata.translationMemory.reused) {
+      options.onStream?.(result.translatedText);
+    }
+
+    if (result.metadata.truncated) {
+      debugLog(`⚠️ Part ${part} of ${chunks.length} hit the output limit - its end is missing`, 'warn');
+    }
+
+    if (part < chunks.length) {
+      summary = await updateRunningSummary(summary, result.translatedText, languageDirection.target, options.signal);
+    }
+
+    notify('done', part, { reused: result.metadata.translationMemory.reused, truncated: result.metadata.truncated });
+  }
+
+  // Reassemble with the original paragraph/section breaks between parts
+  const translatedText = partResults
+    .map((result, index) => result.translatedText + chunks[index].separator)
+    .join('');
+
+  endTimer();
+
+  const truncatedParts = partResults
+    .map((result, index) => result.metadata.truncated ? index + 1 : null)
+    .filter(Boolean);
+  const embeddingTruncatedParts = partEmbeddingsTruncated
+    .map((inputTruncated, index) => inputTruncated ? index + 1 : null)
+    .filter(Boolean);
+  const contextUsed = mergeContextUsed(partResults);
+
+  debugLog(`✅ Document translation complete: ${chunks.length} parts, ${translatedText.length} chars`, 'info');
+
+  return {
+    translatedText,
+    contextUsed,
+    glossaryCheck: mergeGlossaryChecks(partResults),
+    parts: partResults.map((result, index) => ({
+      part: index + 1,
+      sourceLength: chunks[index].text.length,
+      translatedLength: result.translatedText.length,
+      contextResults: result.metadata.contextAvailable ? result.contextUsed.details.length : 0,
+      strategy: result.metadata.translationStrategy,
+      truncated: result.metadata.truncated
+    })),
+    metadata: {
+      sourceLength: sourceText.length,
+      translatedLength: translatedText.length,
+      languageDirection,
+      domain: options.domain?.code || config.CORPUS.DOMAIN,
+      translationStrategy: 'document',
+      parts: chunks.length,
+      truncatedParts,
+      embeddingTruncatedParts,
+      summary,
+      translationMemory: {
+        reused: partResults.every(result => result.metadata.translationMemory.reused),
+        partsReused: partResults.filter(result => result.metadata.translationMemory.reused).length,
+        segmentsSaved: partResults.reduce((total, result) => total + result.metadata.translationMemory.segmentsSaved, 0)
+      }
+    }
+  };
+}, 'DOCUMENT_TRANSLATION');
+
+export default {
+  splitDocument,
+  isLongDocument,
+  translateDocument
+};
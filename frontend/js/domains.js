@@ -0,0 +1,207 @@
+// =====================================
+// CORPUS DOMAIN REGISTRY
+// Domains are listed in corpora/domains.json (config.CORPUS.DOMAINS_MANIFEST):
+//
+//   {
+//     "default": "gai",
+//     "domains": {
+//       "gai": {
+//         "name": "Generative Artificial Intelligence",
+//         "vectors": { "document": "vectors/gai/...", "section": "...", "paragraph": "..." },
+//         "databases": { "en": "corpora/gai/eng/...", "es": "corpora/gai/esp/..." },
+//         "alignments": "corpora/gai/gai-alignments.json",  (optional)
+//         "glossary": "corpora/gai/glossary.json"           (optional)
+//       }
+//     }
+//   }
+//
+// Paths are relative to the site root. Without a manifest the registry holds
+// the single domain described by config.CORPUS.
+// =====================================
+
+import config from './config.js';
+import { debugLog } from './utils.js';
+
+const ACTIVE_DOMAIN_STORAGE_KEY = 'corpus_domain';
+
+let registry = null;
+let registryPromise = null;
+let activeDomainCode = null;
+
+// =====================================
+// REGISTRY LOADING
+// =====================================
+
+/**
+ * Prefix a manifest path with the site base path
+ * @param {string} filePath - Path relative to the site root
+ * @returns {string} Fetchable path
+ */
+function resolvePath(filePath) {
+  if (!filePath || /^(https?:)?\/\//.test(filePath) || filePath.startsWith(`${config.CORPUS.BASE_PATH}/`)) {
+    return filePath;
+  }
+  return `${config.CORPUS.BASE_PATH}/${filePath.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Build the registry from config.CORPUS when there is no manifest
+ * @returns {Object} Registry {defaultDomain, domains}
+ */
+function createFallbackRegistry() {
+  return {
+    defaultDomain: config.CORPUS.DOMAIN,
+    domains: {
+      [config.CORPUS.DOMAIN]: {
+        code: config.CORPUS.DOMAIN,
+        name: config.CORPUS.DOMAIN_NAME || config.CORPUS.DOMAIN.toUpperCase(),
+        description: '',
+        vectors: { ...config.CORPUS.VECTOR_PATHS },
+        databases: { ...config.CORPUS.DATABASE_PATHS },
+        alignments: config.CORPUS.ALIGNMENTS_PATH || null,
+        glossary: config.CORPUS.GLOSSARY_PATH || null
+      }
+    }
+  };
+}
+
+/**
+ * Turn a parsed manifest into a registry with resolved paths
+ * @param {Object} manifest - Parsed domains.json
+ * @returns {Object} Registry {defaultDomain, domains}
+ */
+function createRegistry(manifest) {
+  const domains = {};
+
+  for (const [code, domain] of Object.entries(manifest.domains || {})) {
+    if (!domain?.vectors) {
+      debugLog(`Skipping domain "${code}" - no vector paths in manifest`, 'warn');
+      continue;
+    }
+
+    domains[code] = {
+      code,
+      name: domain.name || code.toUpperCase(),
+      description: domain.description || '',
+      vectors: Object.fromEntries(Object.entries(domain.vectors).map(([level, filePath]) => [level, resolvePath(filePath)])),
+      databases: Object.fromEntries(Object.entries(domain.databases || {}).map(([lang, filePath]) => [lang, resolvePath(filePath)])),
+      alignments: domain.alignments ? resolvePath(domain.alignments) : null,
+      glossary: domain.glossary ? resolvePath(domain.glossary) : null
+    };
+  }
+
+  if (Object.keys(domains).length === 0) {
+    throw new Error('Domain manifest lists no usable domains');
+  }
+
+  const defaultDomain = domains[manifest.default] ? manifest.default
+    : domains[config.CORPUS.DOMAIN] ? config.CORPUS.DOMAIN
+    : Object.keys(domains)[0];
+
+  return { defaultDomain, domains };
+}
+
+/**
+ * Load the domain registry (once)
+ * @returns {Promise<Object>} Registry {defaultDomain, domains}
+ */
+export async function loadDomainRegistry() {
+  if (registry) {
+    return registry;
+  }
+
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      try {
+        const response = await fetch(config.CORPUS.DOMAINS_MANIFEST);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        registry = createRegistry(await response.json());
+        debugLog(`Domain registry loaded: ${Object.keys(registry.domains).join(', ')}`, 'info');
+      } catch (error) {
+        debugLog(`Could not load ${config.CORPUS.DOMAINS_MANIFEST} (${error.message}) - using config.CORPUS paths`, 'warn');
+        registry = createFallbackRegistry();
+      }
+      return registry;
+    })();
+  }
+
+  return registryPromise;
+}
+
+// =====================================
+// DOMAIN ACCESS
+// =====================================
+
+/**
+ * List all registered domains
+ * @returns {Promise<Object[]>} Domain entries {code, name, description, vectors, databases, alignments, glossary}
+ */
+export async function listDomains() {
+  const { domains } = await loadDomainRegistry();
+  return Object.values(domains);
+}
+
+/**
+ * Get the code of the domain currently in use
+ * @returns {Promise<string>} Domain code
+ */
+export async function getActiveDomainCode() {
+  const { defaultDomain, domains } = await loadDomainRegistry();
+
+  if (!activeDomainCode) {
+    let storedCode = null;
+    try {
+      storedCode = localStorage.getItem(ACTIVE_DOMAIN_STORAGE_KEY);
+    } catch (error) {
+      // localStorage unavailable - use the default domain
+    }
+    activeDomainCode = domains[storedCode] ? storedCode : defaultDomain;
+  }
+
+  return activeDomainCode;
+}
+
+/**
+ * Get a domain entry
+ * @param {string} domainCode - Domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Domain entry
+ */
+export async function getDomain(domainCode = null) {
+  const { domains } = await loadDomainRegistry();
+  const code = domainCode || await getActiveDomainCode();
+
+  const domain = domains[code];
+  if (!domain) {
+    throw new Error(`Unknown corpus domain: ${code}. Available: ${Object.keys(domains).join(', ')}`);
+  }
+  return domain;
+}
+
+/**
+ * Switch the active domain
+ * @param {string} domainCode - Domain code
+ * @returns {Promise<Object>} The new active domain
+ */
+export async function setActiveDomain(domainCode) {
+  const domain = await getDomain(domainCode); // Validates the code
+  activeDomainCode = domain.code;
+
+  try {
+    localStorage.setItem(ACTIVE_DOMAIN_STORAGE_KEY, domain.code);
+  } catch (error) {
+    debugLog('Could not persist corpus domain selection', 'warn');
+  }
+
+  debugLog(`Corpus domain set to ${domain.code} (${domain.name})`, 'info');
+  return domain;
+}
+
+export default {
+  loadDomainRegistry,
+  listDomains,
+  getActiveDomainCode,
+  getDomain,
+  setActiveDomain
+};
@@ -0,0 +1,276 @@
+// =====================================
+// EMBEDDING CACHE
+// User input embeddings stored in the browser (IndexedDB database
+// config.MODELS.EMBEDDING.CACHE.databaseName), so the same text isn't sent to
+// the embedding API again - e.g. when it is translated twice or re-run with
+// another language direction
+//
+// - Entries are keyed by a SHA-256 hash of model, task, dimensions and text:
+//   an embedding is only reused for the exact request that produced it
+// - The cache is bounded by CACHE.maxEntries and CACHE.maxBytes; when it grows
+//   past either, the least recently used entries are evicted
+// - Cache errors are logged and treated as misses - they never fail an embedding
+// =====================================
+
+import config from './config.js';
+import { debugLog, hashText } from './utils.js';
+
+const DATABASE_VERSION = 1;
+const EMBEDDING_STORE = 'embeddings';
+
+// Lookups in this session (getEmbeddingCacheStatus)
+const sessionStats = { hits: 0, misses: 0, evictions: 0 };
+
+// =====================================
+// CACHE KEYS
+// =====================================
+
+/**
+ * Hash the parts of an embedding request into a cache key
+ * @param {Object} request - {model, task, dimensions, text}
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+function createCacheKey({ model, task = null, dimensions = null, text }) {
+  return hashText(JSON.stringify([model, task || null, dimensions || null, text]));
+}
+
+// =====================================
+// INDEXEDDB STORAGE
+// =====================================
+
+let databasePromise = null;
+
+/**
+ * Check whether the browser can hold the embedding cache
+ * @returns {boolean} True if IndexedDB and Web Crypto are available and the cache is enabled
+ */
+export function isEmbeddingCacheAvailable() {
+  return config.MODELS.EMBEDDING.CACHE.enabled
+    && typeof indexedDB !== 'undefined'
+    && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Open (once) the embedding cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this environment'));
+        return;
+      }
+
+      const request = indexedDB.open(config.MODELS.EMBEDDING.CACHE.databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(EMBEDDING_STORE, { keyPath: 'key' });
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null; // Allow a retry
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run requests in one transaction on the embedding store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store; its return value (or request result) resolves the promise
+ * @returns {Promise<*>} Callback result once the transaction completes
+ */
+async function withEmbeddingStore(mode, callback) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(EMBEDDING_STORE, mode);
+    const result = callback(transaction.objectStore(EMBEDDING_STORE));
+
+    transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Embedding cache transaction aborted'));
+  });
+}
+
+/**
+ * Evict the least recently used entries until the cache is within its limits
+ * @param {IDBObjectStore} store - Embedding store (readwrite)
+ * @returns {Object} {evicted} - filled in as the cursor walks the store
+ */
+function evictLeastRecentlyUsed(store) {
+  const { maxEntries, maxBytes } = config.MODELS.EMBEDDING.CACHE;
+  const result = { evicted: 0 };
+  let entries = 0;
+  let bytes = 0;
+
+  // Newest first: everything after the limits are reached is evicted
+  const request = store.index('lastUsed').openCursor(null, 'prev');
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    entries += 1;
+    bytes += cursor.value.bytes || 0;
+    if (entries > maxEntries || bytes > maxBytes) {
+      cursor.delete();
+      result.evicted += 1;
+    }
+    cursor.continue();
+  };
+
+  return result;
+}
+
+// =====================================
+// LOOKUP & STORAGE
+// =====================================
+
+/**
+ * Get a cached embedding (and mark it as recently used)
+ * @param {Object} request - {model, task, dimensions, text}
+ * @returns {Promise<Object|null>} {embedding, provider, created, hits}, or null on a miss
+ */
+export async function getCachedEmbedding(request) {
+  if (!isEmbeddingCacheAvailable()) {
+    return null;
+  }
+
+  try {
+    const key = await createCacheKey(request);
+    const record = await withEmbeddingStore('readwrite', store => {
+      const result = {};
+      const lookup = store.get(key);
+      lookup.onsuccess = () => {
+        if (!lookup.result) return;
+        result.record = { ...lookup.result, lastUsed: Date.now(), hits: (lookup.result.hits || 0) + 1 };
+        store.put(result.record);
+      };
+      return result;
+    }).then(result => result.record);
+
+    if (!record) {
+      sessionStats.misses += 1;
+      return null;
+    }
+
+    sessionStats.hits += 1;
+    debugLog(`Embedding cache hit (${record.model}${record.task ? `, ${record.task}` : ''}, used ${record.hits} times)`, 'info');
+    return {
+      embedding: Array.from(record.embedding),
+      provider: record.provider,
+      truncated: Boolean(record.truncated),
+      created: record.created,
+      hits: record.hits
+    };
+  } catch (error) {
+    debugLog(`Embedding cache read failed: ${error.message}`, 'warn');
+    return null;
+  }
+}
+
+/**
+ * Store an embedding, evicting old entries when the cache is full
+ * @param {Object} request - {model, task, dimensions, text} the embedding was created for
+ * @param {number[]} embedding - Embedding vector
+ * @param {Object} details - {provider, truncated (only the beginning of the text was embedded)}
+ * @returns {Promise<boolean>} True if the embedding was stored
+ */
+export async function storeCachedEmbedding(request, embedding, details = {}) {
+  if (!isEmbeddingCacheAvailable() || !Array.isArray(embedding) || embedding.length === 0) {
+    return false;
+  }
+
+  if (request.text.length > config.MODELS.EMBEDDING.CACHE.maxTextLength) {
+    debugLog(`Embedding cache: text longer than ${config.MODELS.EMBEDDING.CACHE.maxTextLength} characters not cached`, 'info');
+    return false;
+  }
+
+  try {
+    const key = await createCacheKey(request);
+    const vector = Float32Array.from(embedding);
+    const now = Date.now();
+
+    const { evicted } = await withEmbeddingStore('readwrite', store => {
+      store.put({
+        key,
+        model: request.model,
+        task: request.task || null,
+        dimensions: request.dimensions || null,
+        provider: details.provider || null,
+        truncated: Boolean(details.truncated),
+        textLength: request.text.length,
+        embedding: vector,
+        bytes: vector.byteLength + request.text.length,
+        created: now,
+        lastUsed: now,
+        hits: 0
+      });
+      return evictLeastRecentlyUsed(store);
+    });
+
+    if (evicted > 0) {
+      sessionStats.evictions += evicted;
+      debugLog(`Embedding cache: evicted ${evicted} least recently used entries`, 'info');
+    }
+    return true;
+  } catch (error) {
+    debugLog(`Embedding cache write failed: ${error.message}`, 'warn');
+    return false;
+  }
+}
+
+// =====================================
+// CACHE MANAGEMENT
+// =====================================
+
+/**
+ * Get embedding cache status
+ * @returns {Promise<Object>} {available, entries, bytes, maxEntries, maxBytes, hits, misses, evictions}
+ */
+export async function getEmbeddingCacheStatus() {
+  const { maxEntries, maxBytes } = config.MODELS.EMBEDDING.CACHE;
+  const status = { available: isEmbeddingCacheAvailable(), entries: 0, bytes: 0, maxEntries, maxBytes, ...sessionStats };
+  if (!status.available) {
+    return status;
+  }
+
+  try {
+    const records = await withEmbeddingStore('readonly', store => store.getAll());
+    status.entries = records.length;
+    status.bytes = records.reduce((total, record) => total + (record.bytes || 0), 0);
+  } catch (error) {
+    status.error = error.message;
+  }
+  return status;
+}
+
+/**
+ * Remove all cached embeddings
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function clearEmbeddingCache() {
+  if (!isEmbeddingCacheAvailable()) {
+    return 0;
+  }
+
+  const count = await withEmbeddingStore('readwrite', store => {
+    const countRequest = store.count();
+    store.clear();
+    return countRequest;
+  });
+  debugLog(`Cleared ${count} embedding cache entries`, 'info');
+  return count;
+}
+
+export default {
+  isEmbeddingCacheAvailable,
+  getCachedEmbedding,
+  storeCachedEmbedding,
+  getEmbeddingCacheStatus,
+  clearEmbeddingCache
+};
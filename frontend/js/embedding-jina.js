@@ -1,9 +1,10 @@
 // =====================================
 // JINA EMBEDDINGS - ROBUST DUAL ENVIRONMENT
+// Jina client used by the 'jina' embedding provider (see embedding-providers.js)
 // =====================================
 
-import config from './config.js';
-import { debugLog, createError, safeAsync, startTimer, cleanText } from './utils.js';
+import { debugLog, safeAsync, startTimer, fetchWithRetry } from './utils.js';
+import { invalidateServiceHealth } from './service-health.js';
 
 // Will hold static import result
 let STATIC_API_CONFIG = null;
@@ -17,6 +18,9 @@ let staticImportAttempted = false;
  * Detect current environment
  */
 function detectEnvironment() {
+  if (typeof window === 'undefined') {
+    return 'node';
+  }
   if (window.location.hostname.includes('github.io') || 
       window.location.hostname.includes('github.com')) {
     return 'github_pages';
@@ -67,7 +71,12 @@ const JINA_CONFIG = {
   DIMENSIONS: 1024,
   API_KEY: null,  // Will be set via functions below
   MAX_INPUT_LENGTH: 8192,
-  TIMEOUT: 30000,
+  TIMEOUT: 30000,  // Per attempt - failed attempts are retried (config.HTTP)
+  ERROR_MESSAGES: {
+    401: 'JINA API key is invalid. Please check your API key.',
+    402: 'JINA API token balance is used up. Please top up your key at jina.ai',
+    429: 'JINA API rate limit exceeded. Please try again in a moment.'
+  },
   DEFAULT_OPTIONS: {
     normalized: true,
     embedding_type: 'float'
@@ -86,6 +95,7 @@ export function setJinaApiKey(apiKey) {
     throw new Error('Invalid API key provided');
   }
   JINA_CONFIG.API_KEY = apiKey;
+  invalidateServiceHealth('embedding', 'jina');
   debugLog('JINA API key set manually', 'info');
 }
 
@@ -161,7 +171,7 @@ export async function getApiKeyStatus() {
     if (JINA_CONFIG.API_KEY && key === JINA_CONFIG.API_KEY) {
       source = 'manual';
       details = 'Set via setJinaApiKey()';
-    } else if (localStorage.getItem('jina_api_key') === key) {
+    } else if (typeof localStorage !== 'undefined' && localStorage.getItem('jina_api_key') === key) {
       source = 'localStorage';
       details = 'Stored in browser localStorage';
     } else {
@@ -184,7 +194,27 @@ export async function getApiKeyStatus() {
 // API COMMUNICATION
 // =====================================
 
-const callJinaAPI = safeAsync(async (input, options = {}) => {
+/**
+ * Get the Jina model, dimensions and endpoint (for provider status reporting)
+ * @returns {Object} {model, dimensions, endpointUrl}
+ */
+export function getJinaModelInfo() {
+  return {
+    model: JINA_CONFIG.MODEL,
+    dimensions: JINA_CONFIG.DIMENSIONS,
+    endpointUrl: JINA_CONFIG.EMBEDDING_URL
+  };
+}
+
+/**
+ * Call the JINA embeddings API
+ * @param {string|string[]} input - Text or texts to embed
+ * @param {Object} options - Extra request options merged into the body, {signal} to cancel the request
+ * @returns {Promise<Object>} Raw API response ({data: [{embedding}], usage}) plus truncatedInputs:
+ *                            indexes of the inputs cut to MAX_INPUT_LENGTH (only their beginning is embedded)
+ */
+export const callJinaAPI = safeAsync(async (input, options = {}) => {
+  const { signal, ...bodyOptions } = options;
   const endTimer = startTimer('JINA API call');
   
   const apiKey = await getApiKey();
@@ -193,15 +223,17 @@ const callJinaAPI = safeAsync(async (input, options = {}) => {
     throw new Error(`JINA API key not available. Environment: ${status.environment}. ${status.details}. Use setJinaApiKey() or configure api-config.js.`);
   }
   
-  const inputArray = Array.isArray(input) ? input : [input];
+  const inputArray = Array.isArray(input) ? [...input] : [input];
+  const truncatedInputs = [];
   
   inputArray.forEach((text, index) => {
     if (typeof text !== 'string') {
       throw new Error(`Input ${index} must be a string`);
     }
     if (text.length > JINA_CONFIG.MAX_INPUT_LENGTH) {
-      debugLog(`Input ${index} truncated`, 'warn');
+      debugLog(`Input ${index} truncated from ${text.length} to ${JINA_CONFIG.MAX_INPUT_LENGTH} characters - only the beginning is embedded`, 'warn');
       inputArray[index] = text.substring(0, JINA_CONFIG.MAX_INPUT_LENGTH);
+      truncatedInputs.push(index);
     }
   });
   
@@ -210,24 +242,24 @@ const callJinaAPI = safeAsync(async (input, options = {}) => {
     model: JINA_CONFIG.MODEL,
     dimensions: JINA_CONFIG.DIMENSIONS,
     ...JINA_CONFIG.DEFAULT_OPTIONS,
-    ...options
+    ...bodyOptions
   };
   
-  const response = await fetch(JINA_CONFIG.EMBEDDING_URL, {
+  const response = await fetchWithRetry(JINA_CONFIG.EMBEDDING_URL, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${apiKey}`
     },
-    body: JSON.stringify(requestBody),
-    signal: AbortSignal.timeout(JINA_CONFIG.TIMEOUT)
+    body: JSON.stringify(requestBody)
+  }, {
+    label: 'JINA API',
+    timeout: JINA_CONFIG.TIMEOUT,
+    signal,
+    errorMessage: async (failedResponse) => JINA_CONFIG.ERROR_MESSAGES[failedResponse.status]
+      || `JINA API error ${failedResponse.status}: ${await failedResponse.text().catch(() => 'Unknown error')}`
   });
   
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => 'Unknown error');
-    throw new Error(`JINA API error ${response.status}: ${errorText}`);
-  }
-  
   const data = await response.json();
   
   if (!data.data || !Array.isArray(data.data)) {
@@ -236,111 +268,9 @@ const callJinaAPI = safeAsync(async (input, options = {}) => {
   
   endTimer();
   debugLog(`JINA API call successful: ${data.data.length} embeddings returned`, 'info');
-  return data;
+  return { ...data, truncatedInputs };
 }, 'JINA_API_ERROR');
 
-export const createUserInputEmbedding = safeAsync(async (text) => {
-  if (!text || typeof text !== 'string') {
-    throw new Error('Input text is required and must be a string');
-  }
-  
-  const cleanedText = cleanText(text);
-  if (!cleanedText) {
-    throw new Error('Input text is empty after cleaning');
-  }
-  
-  const response = await callJinaAPI(cleanedText);
-  const embeddingData = response.data[0];
-  
-  if (!embeddingData.embedding) {
-    throw new Error('No embedding returned from JINA API');
-  }
-  
-  const keyStatus = await getApiKeyStatus();
-  
-  return {
-    originalText: text,
-    preprocessedText: cleanedText,
-    embedding: embeddingData.embedding,
-    dimension: embeddingData.embedding.length,
-    model: JINA_CONFIG.MODEL,
-    apiType: 'jina',
-    apiKeySource: keyStatus.source,
-    environment: keyStatus.environment,
-    usage: response.usage || null,
-    timestamp: new Date().toISOString(),
-    
-    dimensionMismatch: {
-      userEmbedding: embeddingData.embedding.length,
-      corpusVectors: config.MODELS.EMBEDDING.dimension,
-      note: embeddingData.embedding.length !== config.MODELS.EMBEDDING.dimension 
-        ? 'Dimension mismatch - consider regenerating corpus'
-        : 'Dimensions match'
-    }
-  };
-}, 'EMBEDDING_CREATE_ERROR');
-
-export const loadEmbeddingModel = safeAsync(async () => {
-  const keyStatus = await getApiKeyStatus();
-  if (!keyStatus.hasKey) {
-    throw new Error(`JINA API key required. Environment: ${keyStatus.environment}. ${keyStatus.details}`);
-  }
-  
-  await callJinaAPI('test');
-  debugLog(`✅ JINA model ready via ${keyStatus.source}`, 'info');
-  return keyStatus;
-}, 'MODEL_LOAD_ERROR');
-
-export const isEmbeddingModelReady = safeAsync(async () => {
-  const keyStatus = await getApiKeyStatus();
-  if (!keyStatus.hasKey) return false;
-  
-  try {
-    await callJinaAPI('test');
-    return true;
-  } catch (error) {
-    return false;
-  }
-}, 'MODEL_CHECK_ERROR');
-
-export const getEmbeddingModelStatus = safeAsync(async () => {
-  const keyStatus = await getApiKeyStatus();
-  
-  const baseStatus = {
-    modelName: JINA_CONFIG.MODEL,
-    dimensions: JINA_CONFIG.DIMENSIONS,
-    apiType: 'jina',
-    endpointUrl: JINA_CONFIG.EMBEDDING_URL,
-    ...keyStatus
-  };
-  
-  if (!keyStatus.hasKey) {
-    return {
-      ...baseStatus,
-      status: 'api_key_missing',
-      ready: false,
-      message: `JINA API key required for ${keyStatus.environment}. ${keyStatus.details}`
-    };
-  }
-  
-  try {
-    await callJinaAPI('test');
-    return {
-      ...baseStatus,
-      status: 'ready',
-      ready: true,
-      testPassed: true
-    };
-  } catch (error) {
-    return {
-      ...baseStatus,
-      status: 'error',
-      ready: false,
-      error: error.message
-    };
-  }
-}, 'MODEL_STATUS_ERROR');
-
 // Simple initialization
 debugLog('JINA Embeddings loaded', 'info');
 debugLog(`Environment: ${detectEnvironment()}`, 'info');
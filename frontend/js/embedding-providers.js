@@ -0,0 +1,373 @@
+// =====================================
+// EMBEDDING PROVIDERS
+// Backends that turn user input into vectors comparable with the corpus
+//
+// - jina: Jina AI embeddings API (embedding-jina.js)
+// - openai: any OpenAI-compatible /embeddings endpoint (hosted or local server)
+// - transformers: in-browser transformers.js, keyed off config.MODELS.EMBEDDING.transformersId
+//   (no API key, works offline once the model files are cached by the browser)
+//
+// Every provider exposes the same interface:
+//   embed(texts, settings, {signal}) -> {embeddings: number[][], usage, truncated}
+//     (truncated: indexes of texts cut to the provider's input limit - optional)
+//   getKeyStatus() -> {hasKey, source, details, ...}
+//   supportsTask - whether settings.task (Jina task adapters) is applied
+//   downloadsModel - the first embedding downloads the model (status checks don't send a test embedding)
+//
+// Embedding settings: the provider defaults plus {task, dimensions, lateChunking} per call
+// =====================================
+
+import config from './config.js';
+import { debugLog, fetchWithRetry, normalizeVector } from './utils.js';
+import { callJinaAPI, getApiKeyStatus, getJinaModelInfo } from './embedding-jina.js';
+import { invalidateServiceHealth } from './service-health.js';
+
+// =====================================
+// OPENAI-COMPATIBLE CLIENT
+// =====================================
+
+// Local API configuration (loaded dynamically)
+let localApiConfig = null;
+
+/**
+ * Load api-config.js if available
+ * @returns {Promise<Object|false>} Imported module or false if not found
+ */
+async function loadLocalApiConfig() {
+  if (localApiConfig !== null) {
+    return localApiConfig;
+  }
+
+  try {
+    localApiConfig = await import('./api-config.js');
+  } catch (error) {
+    localApiConfig = false; // Mark as attempted but not found
+  }
+
+  return localApiConfig;
+}
+
+/**
+ * Get the API key for the OpenAI-compatible embeddings endpoint
+ * Optional: local servers usually accept requests without one
+ * @returns {Promise<Object>} Key status with the key itself
+ */
+async function getOpenAIKeyStatus() {
+  const apiConfig = await loadLocalApiConfig();
+  const configKey = apiConfig?.OPENAI_CONFIG?.API_KEY;
+  if (configKey && configKey !== 'your-openai-api-key-here') {
+    return { hasKey: true, key: configKey, source: 'api_config_file', details: 'Loaded from api-config.js' };
+  }
+
+  try {
+    const storedKey = localStorage.getItem('openai_api_key');
+    if (storedKey) {
+      return { hasKey: true, key: storedKey, source: 'localStorage', details: 'Stored in browser localStorage' };
+    }
+  } catch (error) {
+    debugLog('Could not access localStorage for OpenAI-compatible API key', 'warn');
+  }
+
+  return { hasKey: false, key: null, source: 'none', details: 'No API key (fine for local servers)' };
+}
+
+/**
+ * Call an OpenAI-compatible /embeddings endpoint
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} settings - {baseUrl, model, dimensions, apiKey (optional, overrides stored keys)}
+ * @param {Object} options - {signal} to cancel the request
+ * @returns {Promise<Object>} {embeddings, usage}
+ */
+async function callOpenAICompatibleEmbeddings(texts, settings, options = {}) {
+  const keyStatus = await getOpenAIKeyStatus();
+  const apiKey = settings.apiKey || keyStatus.key;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const requestBody = {
+    input: texts,
+    model: settings.model,
+    encoding_format: 'float'
+  };
+  if (settings.dimensions) {
+    requestBody.dimensions = settings.dimensions;
+  }
+
+  const response = await fetchWithRetry(settings.baseUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(requestBody)
+  }, {
+    label: 'OpenAI-compatible embeddings',
+    timeout: settings.timeout,
+    signal: options.signal
+  });
+
+  const data = await response.json();
+  if (!data.data || !Array.isArray(data.data)) {
+    throw new Error('Invalid response structure from OpenAI-compatible embeddings endpoint');
+  }
+
+  return {
+    embeddings: data.data.map(item => item.embedding),
+    usage: data.usage || null
+  };
+}
+
+// =====================================
+// TRANSFORMERS.JS CLIENT
+// =====================================
+
+let transformersPipeline = null;
+let transformersPipelinePromise = null;
+
+/**
+ * Load (once) the transformers.js feature-extraction pipeline
+ * @param {Object} settings - {libraryUrl, model, dtype}
+ * @returns {Promise<Function>} Feature-extraction pipeline
+ */
+async function loadTransformersPipeline(settings) {
+  if (transformersPipeline) {
+    return transformersPipeline;
+  }
+
+  if (!transformersPipelinePromise) {
+    debugLog(`Loading transformers.js model ${settings.model} (first load downloads the model files)...`, 'info');
+
+    transformersPipelinePromise = import(settings.libraryUrl)
+      .then(({ pipeline }) => pipeline('feature-extraction', settings.model, { dtype: settings.dtype }))
+      .then(loadedPipeline => {
+        transformersPipeline = loadedPipeline;
+        debugLog(`✅ transformers.js model ready: ${settings.model}`, 'info');
+        return loadedPipeline;
+      })
+      .catch(error => {
+        transformersPipelinePromise = null; // Allow a retry
+        throw new Error(`Could not load transformers.js model ${settings.model}: ${error.message}`);
+      });
+  }
+
+  return transformersPipelinePromise;
+}
+
+/**
+ * Embed texts in the browser with transformers.js
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} settings - {libraryUrl, model, dtype, dimensions}
+ * @param {Object} options - {signal} - checked before and after inference (which itself cannot be interrupted)
+ * @returns {Promise<Object>} {embeddings, usage}
+ */
+async function embedWithTransformers(texts, settings, options = {}) {
+  const extractor = await loadTransformersPipeline(settings);
+  options.signal?.throwIfAborted();
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  options.signal?.throwIfAborted();
+
+  // Matryoshka models keep their meaning in the leading dimensions - cut and renormalize
+  let embeddings = output.tolist();
+  if (settings.dimensions && embeddings[0]?.length > settings.dimensions) {
+    embeddings = embeddings.map(embedding => normalizeVector(embedding.slice(0, settings.dimensions)));
+  }
+
+  return {
+    embeddings,
+    usage: null
+  };
+}
+
+// =====================================
+// PROVIDER DEFINITIONS
+// =====================================
+
+export const EMBEDDING_PROVIDERS = {
+  jina: {
+    id: 'jina',
+    name: 'Jina AI',
+    requiresApiKey: true,
+    getDefaults: () => ({
+      ...getJinaModelInfo(),
+      baseUrl: getJinaModelInfo().endpointUrl
+    }),
+    supportsTask: true,
+    getKeyStatus: () => getApiKeyStatus(),
+    embed: async (texts, settings = {}, options = {}) => {
+      const response = await callJinaAPI(texts, {
+        ...(settings.task ? { task: settings.task } : {}),
+        ...(settings.dimensions ? { dimensions: settings.dimensions } : {}),
+        ...(settings.lateChunking ? { late_chunking: true } : {}),
+        signal: options.signal
+      });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        usage: response.usage || null,
+        truncated: response.truncatedInputs
+      };
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    requiresApiKey: false, // Sent when available; hosted endpoints will reject requests without one
+    supportsTask: false,
+    getDefaults: () => ({
+      baseUrl: 'https://api.openai.com/v1/embeddings', // Point at any compatible server
+      model: config.MODELS.EMBEDDING.name,             // Must match the model the corpus was embedded with
+      dimensions: config.MODELS.EMBEDDING.dimension,
+      timeout: 30000
+    }),
+    getKeyStatus: async () => {
+      const { key, ...status } = await getOpenAIKeyStatus();
+      return { ...status, keyPreview: key ? `${key.substring(0, 10)}...` : null };
+    },
+    embed: callOpenAICompatibleEmbeddings
+  },
+
+  transformers: {
+    id: 'transformers',
+    name: 'transformers.js (in-browser)',
+    requiresApiKey: false,
+    supportsTask: false, // The ONNX export has no task adapters
+    downloadsModel: true,
+    getDefaults: () => ({
+      libraryUrl: 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3',
+      model: config.MODELS.EMBEDDING.transformersId,
+      dimensions: config.MODELS.EMBEDDING.dimension,
+      dtype: 'q8' // Quantized weights keep the download manageable
+    }),
+    getKeyStatus: async () => ({
+      hasKey: true,
+      source: 'none_required',
+      details: 'Runs in the browser - no API key required',
+      keyPreview: null
+    }),
+    embed: embedWithTransformers
+  }
+};
+
+// =====================================
+// ACTIVE PROVIDER & SETTINGS
+// =====================================
+
+const ACTIVE_PROVIDER_STORAGE_KEY = 'embedding_provider';
+const PROVIDER_SETTINGS_STORAGE_KEY = 'embedding_provider_settings';
+
+let activeProviderId = null;
+
+/**
+ * Get the id of the provider used for user input embeddings
+ * @returns {string} Provider id
+ */
+export function getActiveEmbeddingProviderId() {
+  if (activeProviderId) {
+    return activeProviderId;
+  }
+
+  let storedId = null;
+  try {
+    storedId = localStorage.getItem(ACTIVE_PROVIDER_STORAGE_KEY);
+  } catch (error) {
+    // localStorage unavailable - fall back to config default
+  }
+
+  activeProviderId = EMBEDDING_PROVIDERS[storedId] ? storedId : config.MODELS.EMBEDDING.defaultProvider;
+  return activeProviderId;
+}
+
+/**
+ * Get a provider definition
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Object} Provider definition
+ */
+export function getEmbeddingProvider(providerId = getActiveEmbeddingProviderId()) {
+  const provider = EMBEDDING_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${providerId}. Available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Switch the active embedding provider, optionally overriding its settings
+ * @param {string} providerId - Provider id
+ * @param {Object} overrides - Optional {baseUrl, model, dimensions}
+ */
+export function setEmbeddingProvider(providerId, overrides = null) {
+  getEmbeddingProvider(providerId); // Validates the id
+
+  activeProviderId = providerId;
+  if (overrides) {
+    invalidateServiceHealth('embedding', providerId); // Another endpoint, model or key
+  }
+
+  try {
+    localStorage.setItem(ACTIVE_PROVIDER_STORAGE_KEY, providerId);
+
+    if (overrides) {
+      const allSettings = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY) || '{}');
+      allSettings[providerId] = overrides;
+      localStorage.setItem(PROVIDER_SETTINGS_STORAGE_KEY, JSON.stringify(allSettings));
+    }
+  } catch (error) {
+    debugLog('Could not persist embedding provider selection', 'warn');
+  }
+
+  debugLog(`Embedding provider set to ${providerId}`, 'info');
+}
+
+/**
+ * Get effective settings for a provider (defaults merged with stored overrides)
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Object} Provider settings
+ */
+export function getEmbeddingProviderSettings(providerId = getActiveEmbeddingProviderId()) {
+  const provider = getEmbeddingProvider(providerId);
+
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY) || '{}')[providerId] || {};
+  } catch (error) {
+    // Ignore unreadable settings
+  }
+
+  return {
+    ...provider.getDefaults(),
+    ...stored
+  };
+}
+
+/**
+ * Model names a provider produces, for compatibility checks against vector metadata
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {string[]} Model names
+ */
+export function getEmbeddingProviderModels(providerId = getActiveEmbeddingProviderId()) {
+  const settings = getEmbeddingProviderSettings(providerId);
+  return [settings.model];
+}
+
+/**
+ * Check if a provider can be used right now without prompting for a key
+ * @param {string} providerId - Provider id
+ * @returns {Promise<boolean>} True if the provider has what it needs
+ */
+export async function hasEmbeddingProviderCredentials(providerId = getActiveEmbeddingProviderId()) {
+  const provider = getEmbeddingProvider(providerId);
+  if (!provider.requiresApiKey) {
+    return true;
+  }
+  const keyStatus = await provider.getKeyStatus();
+  return keyStatus.hasKey;
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  getActiveEmbeddingProviderId,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  getEmbeddingProviderSettings,
+  getEmbeddingProviderModels,
+  hasEmbeddingProviderCredentials
+};
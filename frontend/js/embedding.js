@@ -0,0 +1,406 @@
+// =====================================
+// USER INPUT EMBEDDINGS
+// Provider-independent entry point used by main.js
+// (providers are defined in embedding-providers.js)
+// =====================================
+
+import config from './config.js';
+import { debugLog, safeAsync, startTimer, cleanText, isEmbeddingModelCompatible } from './utils.js';
+import {
+  getActiveEmbeddingProviderId,
+  getEmbeddingProvider,
+  getEmbeddingProviderSettings,
+  getEmbeddingProviderModels,
+  hasEmbeddingProviderCredentials
+} from './embedding-providers.js';
+import {
+  getCachedHealth,
+  recordServiceHealth,
+  recordServiceSuccess,
+  recordServiceError,
+  registerHealthCheck
+} from './service-health.js';
+import { getCachedEmbedding, storeCachedEmbedding } from './embedding-cache.js';
+
+// =====================================
+// PROVIDER RESOLUTION
+// =====================================
+
+/**
+ * Pick the provider to embed with, falling back when the active one has no API key
+ * @returns {Promise<Object>} {provider, settings, fallbackUsed}
+ */
+async function resolveEmbeddingProvider() {
+  const activeId = getActiveEmbeddingProviderId();
+  let providerId = activeId;
+
+  if (!(await hasEmbeddingProviderCredentials(activeId))) {
+    const fallbackId = config.MODELS.EMBEDDING.fallbackProvider;
+    if (fallbackId && fallbackId !== activeId) {
+      debugLog(`⚠️ ${getEmbeddingProvider(activeId).name} has no API key - falling back to ${getEmbeddingProvider(fallbackId).name}`, 'warn');
+      providerId = fallbackId;
+    }
+  }
+
+  return {
+    provider: getEmbeddingProvider(providerId),
+    settings: getEmbeddingProviderSettings(providerId),
+    fallbackUsed: providerId !== activeId
+  };
+}
+
+/**
+ * List vector file metadata, given a single metadata object or one per level
+ * @param {Object} vectorMetadata - Vector file metadata (or {document, section, paragraph} of them)
+ * @returns {Object[]} Metadata objects
+ */
+function getMetadataList(vectorMetadata) {
+  return vectorMetadata?.model
+    ? [vectorMetadata]
+    : Object.values(vectorMetadata || {}).filter(metadata => metadata?.model);
+}
+
+/**
+ * Check whether a provider's embeddings can be compared with the corpus vectors
+ * Same model is not enough: vectors built with a task adapter (metadata.task) are in another
+ * space than plain embeddings, so a provider without task adapters can't query them
+ * @param {string} providerId - Provider id
+ * @param {Object} vectorMetadata - Vector file metadata (or {document, section, paragraph} of them);
+ *                                  without it, the corpus is assumed to use config.MODELS.EMBEDDING.defaultQueryTask
+ * @returns {Object} {compatible, vectorModel, providerModels, queryTask, taskSupported, reason (null when compatible)}
+ */
+export function checkEmbeddingCompatibility(providerId = getActiveEmbeddingProviderId(), vectorMetadata = null) {
+  const provider = getEmbeddingProvider(providerId);
+  const metadataList = getMetadataList(vectorMetadata);
+
+  const vectorModel = metadataList[0]?.model || config.MODELS.EMBEDDING.transformersId;
+  const providerModels = getEmbeddingProviderModels(providerId);
+  const modelCompatible = isEmbeddingModelCompatible(vectorModel, providerModels);
+
+  const queryTask = getQueryTask(vectorMetadata);
+  const taskSupported = !queryTask || Boolean(provider.supportsTask);
+
+  let reason = null;
+  if (!modelCompatible) {
+    reason = `${provider.name} model "${getEmbeddingProviderSettings(providerId).model}" does not match corpus model "${vectorModel}"`;
+  } else if (!taskSupported) {
+    reason = `${provider.name} has no task adapters - queries against these corpus vectors need the "${queryTask}" task`;
+  }
+
+  return {
+    compatible: modelCompatible && taskSupported,
+    vectorModel,
+    providerModels,
+    queryTask,
+    taskSupported,
+    reason
+  };
+}
+
+/**
+ * Pick the task to embed user input with, from the task the corpus vectors were built with
+ * (queries against 'retrieval.passage' vectors use 'retrieval.query' - see config.MODELS.EMBEDDING.queryTasks)
+ * @param {Object} vectorMetadata - Vector file metadata (or {document, section, paragraph} of them)
+ * @returns {string|null} Task, or null when the corpus was built without one
+ */
+export function getQueryTask(vectorMetadata = null) {
+  const metadataList = getMetadataList(vectorMetadata);
+  if (metadataList.length === 0) {
+    return config.MODELS.EMBEDDING.defaultQueryTask;
+  }
+
+  const corpusTasks = [...new Set(metadataList.map(metadata => metadata.task || null))];
+  if (corpusTasks.length > 1) {
+    debugLog(`⚠️ Vector files were built with different tasks (${corpusTasks.join(', ')}) - using the query task for ${corpusTasks[0]}`, 'warn');
+  }
+
+  const corpusTask = corpusTasks[0];
+  return corpusTask ? config.MODELS.EMBEDDING.queryTasks[corpusTask] || corpusTask : null;
+}
+
+/**
+ * Get the dimension of the corpus vectors
+ * @param {Object} vectorMetadata - Vector file metadata (or {document, section, paragraph} of them)
+ * @returns {number|null} Dimension, or null without metadata
+ */
+function getCorpusDimension(vectorMetadata) {
+  return getMetadataList(vectorMetadata).find(metadata => metadata.dimension)?.dimension || null;
+}
+
+// =====================================
+// EMBEDDING CREATION
+// =====================================
+
+/**
+ * Create an embedding for the user's input text
+ * @param {string} text - Input text
+ * @param {Object} options - {vectorMetadata} of the corpus to match (model, task, dimension),
+ *                           {task, dimensions} to override what is read from it, {signal} to cancel,
+ *                           {cache: false} to skip the embedding cache
+ * @returns {Promise<Object>} Embedding with provider, model and task details (cached: true when reused,
+ *                            inputTruncated: true when the provider only embedded the beginning of the text)
+ */
+export const createUserInputEmbedding = safeAsync(async (text, options = {}) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Input text is required and must be a string');
+  }
+
+  const cleanedText = cleanText(text);
+  if (!cleanedText) {
+    throw new Error('Input text is empty after cleaning');
+  }
+
+  const { provider, settings, fallbackUsed } = await resolveEmbeddingProvider();
+
+  const compatibility = checkEmbeddingCompatibility(provider.id, options.vectorMetadata);
+  if (!compatibility.compatible) {
+    throw new Error(compatibility.reason);
+  }
+
+  // Same task family and size as the corpus vectors - a mismatch silently degrades retrieval
+  const requestedTask = options.task || getQueryTask(options.vectorMetadata);
+  const task = provider.supportsTask ? requestedTask : null;
+  if (requestedTask && !task) {
+    debugLog(`${provider.name} has no task adapters - embedding without task "${requestedTask}"`, 'info');
+  }
+  const corpusDimension = getCorpusDimension(options.vectorMetadata);
+  const embedSettings = {
+    ...settings,
+    task,
+    dimensions: options.dimensions || corpusDimension || settings.dimensions
+  };
+
+  // The same text with the same model, task and size gives the same vector - reuse it
+  const cacheRequest = { model: settings.model, task, dimensions: embedSettings.dimensions, text: cleanedText };
+  const cached = options.cache === false ? null : await getCachedEmbedding(cacheRequest);
+
+  let response;
+  if (cached) {
+    response = { embeddings: [cached.embedding], usage: null, truncated: cached.truncated ? [0] : [] };
+  } else {
+    const endTimer = startTimer(`${provider.name} embedding${task ? ` (${task})` : ''}`);
+    try {
+      response = await provider.embed([cleanedText], embedSettings, { signal: options.signal });
+    } catch (error) {
+      recordServiceError('embedding', provider.id, error);
+      throw error;
+    }
+    recordServiceSuccess('embedding', provider.id);
+    endTimer();
+  }
+
+  const embedding = response.embeddings[0];
+  if (!embedding) {
+    throw new Error(`No embedding returned from ${provider.name}`);
+  }
+  // The provider cut the text to its input limit - the vector only covers the beginning
+  const inputTruncated = Boolean(response.truncated?.length);
+  if (!cached && options.cache !== false) {
+    await storeCachedEmbedding(cacheRequest, embedding, { provider: provider.id, truncated: inputTruncated });
+  }
+
+  const keyStatus = await provider.getKeyStatus();
+
+  return {
+    originalText: text,
+    preprocessedText: cleanedText,
+    embedding: embedding,
+    dimension: embedding.length,
+    model: settings.model,
+    task: task,
+    apiType: provider.id,
+    provider: provider.id,
+    fallbackUsed: fallbackUsed,
+    apiKeySource: keyStatus.source,
+    environment: keyStatus.environment || null,
+    usage: response.usage || null,
+    cached: Boolean(cached),
+    inputTruncated: inputTruncated,
+    timestamp: new Date().toISOString(),
+
+    dimensionMismatch: {
+      userEmbedding: embedding.length,
+      corpusVectors: corpusDimension || config.MODELS.EMBEDDING.dimension,
+      note: embedding.length !== (corpusDimension || config.MODELS.EMBEDDING.dimension)
+        ? 'Dimension mismatch - consider regenerating corpus'
+        : 'Dimensions match'
+    }
+  };
+}, 'EMBEDDING_CREATE_ERROR');
+
+/**
+ * Embed corpus passages in batches (used when building vector files)
+ * @param {string[]} texts - Passage texts
+ * @param {Object} options - {providerId, settings (overrides, incl. task and dimensions), batchSize,
+ *                           lateChunking: embed each batch as one text so chunks keep the context of their
+ *                           neighbours (Jina late_chunking - every batch must hold consecutive chunks of one text),
+ *                           onProgress(done, total), signal}
+ * @returns {Promise<Object>} {embeddings, provider, model, dimension, task, lateChunking,
+ *                            truncated: indexes of the texts the provider cut to its input limit}
+ */
+export async function createPassageEmbeddings(texts, options = {}) {
+  const providerId = options.providerId || getActiveEmbeddingProviderId();
+  const provider = getEmbeddingProvider(providerId);
+  const settings = {
+    ...getEmbeddingProviderSettings(providerId),
+    task: 'retrieval.passage',
+    lateChunking: Boolean(options.lateChunking),
+    ...options.settings
+  };
+  if (!provider.supportsTask) {
+    settings.task = null;
+    settings.lateChunking = false;
+  }
+  const batchSize = options.batchSize || 32;
+
+  const endTimer = startTimer(`Embedding ${texts.length} passages with ${provider.name}`);
+  const embeddings = [];
+  const truncated = [];
+
+  for (let start = 0; start < texts.length; start += batchSize) {
+    const batch = texts.slice(start, start + batchSize);
+    const response = await provider.embed(batch, settings, { signal: options.signal });
+
+    if (!response.embeddings || response.embeddings.length !== batch.length) {
+      throw new Error(`${provider.name} returned ${response.embeddings?.length || 0} embeddings for ${batch.length} passages`);
+    }
+
+    embeddings.push(...response.embeddings);
+    truncated.push(...(response.truncated || []).map(index => start + index));
+    options.onProgress?.(embeddings.length, texts.length);
+  }
+
+  endTimer();
+  if (truncated.length > 0) {
+    debugLog(`${truncated.length} of ${texts.length} passages were cut to the ${provider.name} input limit - only their beginning is embedded`, 'warn');
+  }
+
+  return {
+    embeddings,
+    provider: provider.id,
+    model: settings.model,
+    dimension: embeddings[0]?.length || settings.dimensions,
+    task: settings.task,
+    lateChunking: settings.lateChunking,
+    truncated
+  };
+}
+
+// =====================================
+// MODEL STATUS
+// Readiness is cached in service-health.js - a test embedding is only sent when
+// neither a recent test nor a recent real request vouches for the provider.
+// In-browser models (provider.downloadsModel) are never tested just for a status:
+// the test would download the model - loadEmbeddingModel() loads them on request.
+// =====================================
+
+/**
+ * Make sure an embedding provider is usable (loads in-browser models)
+ * Always sends a test embedding - use isEmbeddingModelReady() to check first
+ * @returns {Promise<Object>} Key status of the provider that will be used
+ */
+export const loadEmbeddingModel = safeAsync(async () => {
+  const status = await getEmbeddingModelStatus({ force: true });
+
+  if (!status.ready) {
+    throw new Error(status.message);
+  }
+
+  debugLog(`✅ ${status.providerName} model ready via ${status.source}`, 'info');
+  return status;
+}, 'MODEL_LOAD_ERROR');
+
+/**
+ * Check whether the embedding provider can be used (cached - see getEmbeddingModelStatus)
+ * @returns {Promise<boolean>} True if the provider is ready
+ */
+export const isEmbeddingModelReady = safeAsync(async () => {
+  const status = await getEmbeddingModelStatus();
+  return status.ready;
+}, 'MODEL_CHECK_ERROR');
+
+/**
+ * Get the status of the embedding provider
+ * @param {Object} options - {force: true} to send a test embedding even when the cached health is valid
+ *                           (and to load in-browser models)
+ * @returns {Promise<Object>} Status {status, ready, message, providerName, modelName, ...key status, checkedAt, cached}
+ */
+export const getEmbeddingModelStatus = safeAsync(async (options = {}) => {
+  const { provider, settings, fallbackUsed } = await resolveEmbeddingProvider();
+  const keyStatus = await provider.getKeyStatus();
+  const compatibility = checkEmbeddingCompatibility(provider.id);
+
+  const baseStatus = {
+    modelName: settings.model,
+    dimensions: settings.dimensions,
+    apiType: provider.id,
+    provider: provider.id,
+    providerName: provider.name,
+    fallbackUsed: fallbackUsed,
+    compatible: compatibility.compatible,
+    endpointUrl: settings.baseUrl || settings.libraryUrl,
+    ...keyStatus
+  };
+
+  if (provider.requiresApiKey && !keyStatus.hasKey) {
+    return {
+      ...baseStatus,
+      status: 'api_key_missing',
+      ready: false,
+      message: `${provider.name} API key required for ${keyStatus.environment}. ${keyStatus.details}`
+    };
+  }
+
+  if (!compatibility.compatible) {
+    return {
+      ...baseStatus,
+      status: 'incompatible_model',
+      ready: false,
+      message: compatibility.reason
+    };
+  }
+
+  const cached = options.force ? null : getCachedHealth('embedding', provider.id);
+  if (cached) {
+    return { ...baseStatus, ...cached, provider: provider.id };
+  }
+
+  if (provider.downloadsModel && !options.force) {
+    return {
+      ...baseStatus,
+      status: 'not_loaded',
+      ready: true,
+      message: `${provider.name} model is downloaded on first use`
+    };
+  }
+
+  try {
+    await provider.embed(['test'], settings);
+    const health = recordServiceHealth('embedding', provider.id, { status: 'ready', ready: true });
+    return {
+      ...baseStatus,
+      ...health,
+      testPassed: true
+    };
+  } catch (error) {
+    const health = recordServiceError('embedding', provider.id, error)
+      || recordServiceHealth('embedding', provider.id, { status: 'error', ready: false, message: error.message, code: error.code || null });
+    return {
+      ...baseStatus,
+      ...health,
+      error: error.message
+    };
+  }
+}, 'MODEL_STATUS_ERROR');
+
+registerHealthCheck('embedding', options => getEmbeddingModelStatus(options));
+
+export default {
+  createUserInputEmbedding,
+  createPassageEmbeddings,
+  getQueryTask,
+  loadEmbeddingModel,
+  isEmbeddingModelReady,
+  getEmbeddingModelStatus,
+  checkEmbeddingCompatibility
+};
@@ -0,0 +1,187 @@
+// =====================================
+// TERMINOLOGY GLOSSARY
+// Per-domain bilingual glossaries (listed as "glossary" in corpora/domains.json):
+//
+//   { "terms": [{
+//       "id": "fine-tuning",
+//       "languages": {
+//         "en": { "term": "fine-tuning", "variants": ["fine tuning"], "forbidden": [] },
+//         "es": { "term": "ajuste fino", "variants": ["ajustes finos"], "forbidden": ["afinación"] }
+//       },
+//       "notes": "..."
+//   }] }
+//
+// - term: the required rendering in that language
+// - variants: accepted forms (plurals, acronyms) - used for detection and the output check
+// - forbidden: renderings that must not appear in a translation into that language
+//
+// Terms found in the source text are sent to the translator as mandatory pairs, and
+// the translation is checked afterwards for missing terms and forbidden renderings.
+// Matching ignores case and treats spaces and hyphens alike ("fine tuning" = "fine-tuning").
+// =====================================
+
+import { debugLog } from './utils.js';
+import { getDomain } from './domains.js';
+
+// =====================================
+// GLOSSARY LOADING
+// =====================================
+
+/**
+ * Check that a glossary entry has a term in at least two languages
+ * @param {Object} entry - Glossary entry {id, languages, notes}
+ * @returns {boolean} True if the entry can be used
+ */
+function isUsableEntry(entry) {
+  return Object.values(entry?.languages || {}).filter(language => language?.term).length >= 2;
+}
+
+/**
+ * Load the glossary of a domain (glossaries are optional)
+ * @param {string} domainCode - Corpus domain code (defaults to the active domain)
+ * @returns {Promise<Object>} Glossary {metadata, terms} - an empty list when the domain has none
+ */
+export async function loadGlossary(domainCode = null) {
+  const domain = await getDomain(domainCode);
+  const noGlossary = { metadata: { domain: domain.code }, terms: [] };
+
+  if (!domain.glossary) {
+    debugLog(`No glossary listed for ${domain.code}`, 'info');
+    return noGlossary;
+  }
+
+  try {
+    const response = await fetch(domain.glossary);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const terms = (Array.isArray(data.terms) ? data.terms : []).filter(isUsableEntry);
+
+    debugLog(`Glossary loaded for ${domain.code}: ${terms.length} terms`, 'info');
+    return { metadata: data.metadata || {}, terms };
+
+  } catch (error) {
+    debugLog(`Could not load glossary for ${domain.code} (${error.message}) - translating without terminology checks`, 'warn');
+    return noGlossary;
+  }
+}
+
+// =====================================
+// TERM MATCHING
+// =====================================
+
+/**
+ * Build a whole-word, case-insensitive pattern for a term
+ * @param {string} term - Term text
+ * @returns {RegExp} Pattern matching the term anywhere in a text
+ */
+function createTermPattern(term) {
+  const words = term.trim().split(/[\s\-‐‑]+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[\\s\\-\\u2010\\u2011]+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Count the occurrences of any of the given forms in a text
+ * @param {string} text - Text to search
+ * @param {string[]} forms - Term forms
+ * @returns {Object} {count, matches} with the matched text of each occurrence
+ */
+function findForms(text, forms) {
+  // Keyed by position: "fine tuning" matches both the term and a variant written with a space
+  const matches = new Map();
+  for (const form of forms.filter(Boolean)) {
+    for (const match of text.matchAll(createTermPattern(form))) {
+      matches.set(match.index, match[0]);
+    }
+  }
+  return { count: matches.size, matches: [...matches.values()] };
+}
+
+/**
+ * Find the glossary terms that occur in the source text
+ * @param {string} sourceText - Text to translate
+ * @param {Object} glossary - Glossary from loadGlossary()
+ * @param {Object} languageDirection - {source, target} language codes
+ * @returns {Array} Hits: {id, source: {term, matches}, target: {term, variants, forbidden}, notes, count}
+ */
+export function findGlossaryTerms(sourceText, glossary, languageDirection) {
+  const hits = [];
+  if (!sourceText || !glossary?.terms?.length || !languageDirection) {
+    return hits;
+  }
+
+  for (const entry of glossary.terms) {
+    const source = entry.languages[languageDirection.source];
+    const target = entry.languages[languageDirection.target];
+    if (!source?.term || !target?.term) continue;
+
+    const found = findForms(sourceText, [source.term, ...(source.variants || [])]);
+    if (found.count === 0) continue;
+
+    hits.push({
+      id: entry.id,
+      source: { term: source.term, matches: [...new Set(found.matches)] },
+      target: { term: target.term, variants: target.variants || [], forbidden: target.forbidden || [] },
+      notes: entry.notes || '',
+      count: found.count
+    });
+  }
+
+  debugLog(`Glossary: ${hits.length} terms found in source text${hits.length > 0 ? ` (${hits.map(hit => hit.source.term).join(', ')})` : ''}`, 'info');
+  return hits;
+}
+
+// =====================================
+// OUTPUT CHECK
+// =====================================
+
+/**
+ * Check a translation against the glossary terms found in its source text
+ * @param {string} translatedText - Translation returned by the provider
+ * @param {Array} hits - Hits from findGlossaryTerms
+ * @returns {Object} {checked, compliant, violations: [{id, type: 'missing'|'forbidden', sourceTerm, expected, found}]}
+ */
+export function checkGlossaryCompliance(translatedText, hits) {
+  const violations = [];
+
+  for (const hit of hits || []) {
+    const required = findForms(translatedText || '', [hit.target.term, ...hit.target.variants]);
+    const forbidden = findForms(translatedText || '', hit.target.forbidden);
+
+    if (forbidden.count > 0) {
+      violations.push({
+        id: hit.id,
+        type: 'forbidden',
+        sourceTerm: hit.source.term,
+        expected: hit.target.term,
+        found: [...new Set(forbidden.matches)]
+      });
+    } else if (required.count === 0) {
+      violations.push({
+        id: hit.id,
+        type: 'missing',
+        sourceTerm: hit.source.term,
+        expected: hit.target.term,
+        found: []
+      });
+    }
+  }
+
+  if (violations.length > 0) {
+    debugLog(`⚠️ Glossary check: ${violations.length} of ${hits.length} terms not rendered as required`, 'warn');
+  }
+
+  return {
+    checked: hits?.length || 0,
+    compliant: violations.length === 0,
+    violations
+  };
+}
+
+export default {
+  loadGlossary,
+  findGlossaryTerms,
+  checkGlossaryCompliance
+};
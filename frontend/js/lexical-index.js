@@ -0,0 +1,206 @@
+// =====================================
+// LEXICAL INDEX
+// BM25 keyword search over the text of one level of corpus items (similarity.js
+// fuses it with the vector index for hybrid retrieval)
+//
+// Embeddings capture meaning but can miss exact domain terms, acronyms and names;
+// BM25 scores passages by the query terms they contain, weighting rare terms higher
+// and dampening repeated terms and long passages:
+//   score = Σ idf(term) × tf × (k1 + 1) / (tf + k1 × (1 - b + b × length / averageLength))
+//
+// Terms are lowercased letter/digit runs without diacritics ("Traducción" → "traduccion"),
+// so they match across spelling variants of the same word; one-letter terms are dropped.
+// Function words ("the", "and", "de", "la"...) are dropped too, using the stopword list of
+// each text's language (read from its document id) - all lists for texts and queries
+// whose language isn't known. Languages without a list keep all their terms.
+//
+// The index is built when a level is first searched and kept with its item array
+// (getLexicalIndex); the corpus worker builds it when the corpus loads.
+// =====================================
+
+import config from './config.js';
+import { debugLog, startTimer, getDocumentLanguage } from './utils.js';
+
+const levelIndexes = new WeakMap();
+
+// =====================================
+// STOPWORDS
+// =====================================
+
+// Per language code (config.UI.LANGUAGES), in term form: lowercase, no diacritics, two letters or more.
+// Words that are also content words in another listed language (Spanish "son", "sin", "era") are left out.
+const STOPWORD_LISTS = {
+  en: `about above after again all also an and any are as at be because been before being below between both
+    but by can could did do does down during each for from further had has have he her here him his how if in
+    into is it its just may me might more most must my no nor not of off on only or other our out over own same
+    shall she should so some such than that the their them then there these they this those through to too under
+    until up us very was we were what when where which while who whom why will with would you your`,
+  es: `al algunas algunos ante asi aunque bajo como con cual cuales cuando de del desde donde durante el ella
+    ellas ellos en entre es esa esas ese eso esos esta estan estas este esto estos fue fueron ha han hasta hay he
+    la las le les lo los mas me mi mis mismo misma muy ni no nos nosotros otra otras otro otros para pero por
+    porque que quien se segun ser si sido sino sobre su sus tambien te todas todo todos tras tu tus un una unas
+    uno unos ya yo`
+};
+
+const STOPWORDS = Object.fromEntries(
+  Object.entries(STOPWORD_LISTS).map(([language, words]) => [language, new Set(words.split(/\s+/))])
+);
+const ALL_STOPWORDS = new Set(Object.values(STOPWORDS).flatMap(words => [...words]));
+
+/**
+ * Get the stopwords of a language
+ * @param {string|null} language - 2-letter language code (null when unknown)
+ * @returns {Set<string>} Stopwords - every list when the language is unknown, none when it has no list
+ */
+export function getStopwords(language) {
+  if (!language) {
+    return ALL_STOPWORDS;
+  }
+  return STOPWORDS[language] || new Set();
+}
+
+// =====================================
+// TOKENIZATION
+// =====================================
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text
+ * @param {Object} options - {stopwords: Set of terms to leave out (getStopwords)}
+ * @returns {string[]} Terms, in text order
+ */
+export function tokenize(text, options = {}) {
+  if (!text) {
+    return [];
+  }
+
+  const stopwords = options.stopwords || null;
+  const terms = text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.filter(term => term.length > 1 && !stopwords?.has(term));
+}
+
+// =====================================
+// INDEX
+// =====================================
+
+/**
+ * Create a BM25 index over texts
+ * @param {string[]} texts - Texts to index (empty texts are never matched)
+ * @param {Object} options - Overrides for config.SIMILARITY.HYBRID.bm25 {k1, b}, {label} for logging,
+ *                           {languages: language code of each text (null when unknown) for its stopwords}
+ * @returns {Object} Index {size, terms, search, stats}
+ */
+export function createLexicalIndex(texts, options = {}) {
+  const settings = { ...config.SIMILARITY.HYBRID.bm25, ...options };
+  const endTimer = startTimer(`Lexical index${settings.label ? ` (${settings.label})` : ''}`);
+
+  // term → [position, term frequency, position, term frequency, ...]
+  const postings = new Map();
+  const lengths = new Float32Array(texts.length);
+  let totalLength = 0;
+
+  texts.forEach((text, position) => {
+    const terms = tokenize(text, { stopwords: getStopwords(settings.languages?.[position] || null) });
+    lengths[position] = terms.length;
+    totalLength += terms.length;
+
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(position, frequency);
+    }
+  });
+
+  const averageLength = texts.length > 0 ? totalLength / texts.length : 0;
+  const indexedCount = lengths.filter(length => length > 0).length;
+
+  /**
+   * Inverse document frequency of a term (Lucene's variant, never negative)
+   * @param {number} matches - Number of texts containing the term
+   * @returns {number} IDF
+   */
+  const idf = (matches) => Math.log(1 + (indexedCount - matches + 0.5) / (matches + 0.5));
+
+  const index = {
+    size: texts.length,
+    terms: postings.size,
+
+    /**
+     * Find the texts that best match a query
+     * @param {string} queryText - Query
+     * @param {Object} searchOptions - {topK, filter(position) => boolean, language of the query (for its stopwords)}
+     * @returns {Array} [{position, score, matchedTerms (the query terms that scored)}] highest BM25 score first
+     *                  (texts without query terms are left out)
+     */
+    search(queryText, searchOptions = {}) {
+      const filter = searchOptions.filter || null;
+      const scores = new Map();
+      const matchedTerms = new Map();
+
+      // Each distinct query term counts once
+      for (const term of new Set(tokenize(queryText, { stopwords: getStopwords(searchOptions.language || null) }))) {
+        const termPostings = postings.get(term);
+        if (!termPostings) continue;
+
+        const termIdf = idf(termPostings.length / 2);
+        for (let i = 0; i < termPostings.length; i += 2) {
+          const position = termPostings[i];
+          if (filter && !filter(position)) continue;
+
+          const frequency = termPostings[i + 1];
+          const norm = settings.k1 * (1 - settings.b + settings.b * lengths[position] / averageLength);
+          scores.set(position, (scores.get(position) || 0) + termIdf * frequency * (settings.k1 + 1) / (frequency + norm));
+          if (!matchedTerms.has(position)) matchedTerms.set(position, []);
+          matchedTerms.get(position).push(term);
+        }
+      }
+
+      return [...scores]
+        .map(([position, score]) => ({ position, score, matchedTerms: matchedTerms.get(position) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, searchOptions.topK ?? scores.size);
+    },
+
+    /**
+     * Describe the index (for status and debugging)
+     * @returns {Object} {size, indexed, terms, averageLength}
+     */
+    stats() {
+      return { size: texts.length, indexed: indexedCount, terms: postings.size, averageLength };
+    }
+  };
+
+  endTimer();
+  debugLog(`Lexical index${settings.label ? ` (${settings.label})` : ''}: ${indexedCount} of ${texts.length} texts, ${postings.size} terms`, 'info');
+  return index;
+}
+
+/**
+ * Get the lexical index of a level's items, building it on first use
+ * @param {Array} items - Items of one level with their text (the index is kept with this array)
+ * @param {Object} options - createLexicalIndex options (languages are read from the items' document ids)
+ * @returns {Object} Index (positions are indexes into items)
+ */
+export function getLexicalIndex(items, options = {}) {
+  let index = levelIndexes.get(items);
+  if (!index) {
+    index = createLexicalIndex(items.map(item => item.text || ''), {
+      languages: items.map(item => item.language || getDocumentLanguage(item.document_id || item.id)),
+      ...options
+    });
+    levelIndexes.set(items, index);
+  }
+  return index;
+}
+
+export default {
+  getStopwords,
+  tokenize,
+  createLexicalIndex,
+  getLexicalIndex
+};
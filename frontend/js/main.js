@@ -3,25 +3,49 @@
 // =====================================
 
 import config from './config.js';
-import { debugLog, truncateText } from './utils.js';
-import { initializeCorpusLegacyFormat, getDocumentTitle } from './corpora-retrieval.js';
+import { debugLog, truncateText, listLanguages, getLanguageName, getLanguageDirection, getOppositeLanguage, isAbortError, getOriginalError, onRequestRetry } from './utils.js';
+import { getDocumentTitle } from './corpora-retrieval.js';
+import { listDomains, getActiveDomainCode, setActiveDomain, getDomain } from './domains.js';
 import { 
   loadEmbeddingModel, 
   createUserInputEmbedding, 
   isEmbeddingModelReady,
-  getEmbeddingModelStatus,
+  getEmbeddingModelStatus
+} from './embedding.js';
+import { getServiceHealth, onServiceHealthChange } from './service-health.js';
+import {
   setJinaApiKey,
-  storeApiKeyLocally, 
-  getApiKeyStatus
+  storeApiKeyLocally
 } from './embedding-jina.js';
-import { findSimilarContext } from './similarity.js';
+import { setEmbeddingProvider, getEmbeddingProvider } from './embedding-providers.js';
+import { loadCorpus, findCorpusContext, detectDomain, getCorpus, getCorpusCacheStatus, clearCorpusCache } from './corpus-service.js';
+import { buildParagraphVectorFile } from './paragraph-vectors.js';
 import { 
   translateWithContext, 
   setDeepSeekApiKey, 
   storeDeepSeekApiKeyLocally, 
-  isDeepSeekApiReady,
-  testDeepSeekConnection 
+  testDeepSeekConnection,
+  setTranslationApiKey,
+  storeTranslationApiKeyLocally,
+  isTranslationApiReady,
+  testTranslationConnection,
+  getTranslationApiStatus,
+  getTranslationStats
 } from './translation.js';
+import {
+  isTranslationMemoryAvailable,
+  getTranslationMemoryStats,
+  clearTranslationMemory,
+  exportTMX,
+  importTMX
+} from './translation-memory.js';
+import { isLongDocument, splitDocument, translateDocument } from './document-translation.js';
+import { createProgress, formatDuration } from './progress.js';
+import {
+  getTranslationProvider,
+  listTranslationProviders,
+  setTranslationProvider
+} from './translation-providers.js';
 
 /**
  * Convert markdown-style formatting to HTML
@@ -44,30 +68,45 @@ function formatMarkdownText(text) {
 // GLOBAL VARIABLES (matching your existing structure)
 // =====================================
 
-let vectorData = {
-    documents: [],
-    paragraphs: [],
-    sections: []
+// The corpus itself (vectors and aligned passages) stays in the corpus service (corpus-service.js);
+// what the page keeps of it: item counts and vector metadata per level
+let corpusSummary = {
+    counts: { documents: 0, sections: 0, paragraphs: 0 },
+    metadata: null
 };
 
-let documentDatabase = {
-    english: {},
-    spanish: {}
-};
+// Document info per language bucket ({en: {...}, es: {...}})
+let documentDatabase = {};
+
+// Terminology glossary of the loaded domain ({metadata, terms})
+let glossaryData = { terms: [] };
+
+let currentSourceLang = config.UI.DEFAULT_DIRECTION.source;
+let currentTargetLang = config.UI.DEFAULT_DIRECTION.target;
 
-let currentSourceLang = 'en';
+// Corpus domain the loaded vectors belong to ({code, name}); autoDetectDomain
+// picks the closest domain for each input instead of the selected one
+let currentDomain = null;
+let autoDetectDomain = false;
+let activeTranslation = null; // AbortController of the run in progress
+let stopProgressView = null; // Unsubscribes the stepper from the run it shows
+const serviceHealth = {}; // Latest status per service, shown in the health badge
 
 // =====================================
 // DOM ELEMENTS (matching your existing structure)
 // =====================================
 
-const languageOptions = document.querySelectorAll('.language-option');
-const targetLanguageSpan = document.getElementById('targetLanguage');
+const languageToggle = document.querySelector('.language-toggle');
+const targetLanguageSelect = document.getElementById('targetLanguage');
 const sourceTextArea = document.getElementById('sourceText');
 const translateButton = document.getElementById('translateButton');
+const cancelButton = document.getElementById('cancelTranslation');
 const statusIndicator = document.getElementById('statusIndicator');
+const progressSteps = document.getElementById('progressSteps');
+const healthBadge = document.getElementById('serviceHealth');
 const translationOutput = document.getElementById('translationOutput');
 const contextInfo = document.getElementById('contextInfo');
+const domainSelect = document.getElementById('domainSelect');
 
 // =====================================
 // STATUS INDICATOR SYSTEM
@@ -115,21 +154,141 @@ function showStatus(message, type = 'info', duration = null) {
     debugLog(`Status: ${message} (${type}, ${duration}ms)`, type === 'error' ? 'error' : 'info');
 }
 
+// =====================================
+// PROGRESS STEPPER
+// =====================================
+
+/**
+ * Start a run whose steps are shown in the stepper - finished steps stay visible until the next run
+ * @param {string} name - Run name
+ * @returns {Object} Progress (see progress.js)
+ */
+function startProgressRun(name) {
+    const progress = createProgress(name);
+    
+    // Only the latest run is shown - a superseded run keeps reporting to nobody
+    stopProgressView?.();
+    stopProgressView = progress.subscribe(({ steps }) => renderProgressSteps(steps));
+    renderProgressSteps([]);
+    
+    return progress;
+}
+
 /**
- * Show a sequence of status messages with delays between them
- * @param {Array} messages - Array of {message, type, delay} objects
+ * Render the steps of the current run
+ * @param {Array} steps - Steps {label, status, detail, duration}
  */
-async function showStatusSequence(messages) {
-    for (let i = 0; i < messages.length; i++) {
-        const { message, type = 'info', delay = 0, duration = null } = messages[i];
+function renderProgressSteps(steps) {
+    if (!progressSteps) return;
+    
+    progressSteps.hidden = steps.length === 0;
+    progressSteps.replaceChildren(...steps.map(step => {
+        const item = document.createElement('li');
+        item.className = `progress-step progress-${step.status}`;
         
-        showStatus(message, type, duration);
+        const label = document.createElement('span');
+        label.className = 'progress-label';
+        label.textContent = step.label;
+        item.append(label);
         
-        // Wait before showing next message (except for last message)
-        if (delay > 0 && i < messages.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, delay));
+        if (step.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'progress-detail';
+            detail.textContent = step.detail;
+            item.append(detail);
         }
-    }
+        
+        if (step.duration !== null) {
+            const duration = document.createElement('span');
+            duration.className = 'progress-duration';
+            duration.textContent = formatDuration(step.duration);
+            item.append(duration);
+        }
+        
+        return item;
+    }));
+}
+
+/**
+ * Create progress for work outside a run (domain switches) - reported in the status bar
+ * @param {string} name - Task name
+ * @returns {Object} Progress (see progress.js)
+ */
+function createStatusProgress(name) {
+    const progress = createProgress(name);
+    
+    progress.subscribe(({ type, step }) => {
+        if (type === 'start' || type === 'update') {
+            showStatus(`${step.label}${step.detail ? `: ${step.detail}` : ''}...`, 'loading');
+        } else if (type === 'finish' && step.status === 'done') {
+            showStatus(`✅ ${step.detail || step.label}`, 'success');
+        } else if (type === 'finish') {
+            showStatus(`${step.label} failed${step.detail ? `: ${step.detail}` : ''}`, 'error');
+        }
+    });
+    
+    return progress;
+}
+
+// =====================================
+// SERVICE HEALTH BADGE
+// =====================================
+
+// Badge state per service status: ok (working), unknown (not tested yet), anything else is an error
+const HEALTH_STATES = { ready: 'ok', configured: 'unknown', unchecked: 'unknown' };
+const SERVICE_LABELS = { embedding: 'Embeddings', translation: 'Translation' };
+
+/**
+ * Render the health badge from the latest service statuses
+ */
+function renderHealthBadge() {
+    if (!healthBadge) return;
+    
+    const services = Object.keys(SERVICE_LABELS).filter(service => serviceHealth[service]);
+    healthBadge.hidden = services.length === 0;
+    healthBadge.replaceChildren(...services.map(service => {
+        const health = serviceHealth[service];
+        const item = document.createElement('span');
+        item.className = `health-item health-${HEALTH_STATES[health.status] || 'error'}`;
+        item.textContent = SERVICE_LABELS[service];
+        item.title = `${health.providerName || health.provider}: ${health.message || health.status}`;
+        return item;
+    }));
+}
+
+/**
+ * Check both services (from the health cache where possible) and update the badge
+ * @param {Object} options - {force: true} to send test requests
+ * @returns {Promise<Object>} Result of getServiceHealth
+ */
+async function refreshServiceHealth(options = {}) {
+    const health = await getServiceHealth(options);
+    Object.keys(SERVICE_LABELS).forEach(service => {
+        serviceHealth[service] = health[service];
+    });
+    renderHealthBadge();
+    return health;
+}
+
+/**
+ * Keep the badge in step with the health cache; clicking it tests both services again
+ */
+function setupHealthBadge() {
+    onServiceHealthChange(entry => {
+        const current = serviceHealth[entry.service];
+        // Requests to other providers (console tests) don't change the badge
+        if (current && current.provider !== entry.provider) return;
+        serviceHealth[entry.service] = { ...current, ...entry };
+        renderHealthBadge();
+    });
+    
+    healthBadge?.addEventListener('click', async () => {
+        showStatus('Testing embedding and translation services...', 'loading');
+        const health = await refreshServiceHealth({ force: true });
+        showStatus(health.ready
+            ? '✅ Embedding and translation services working'
+            : 'A service is not available - hover the badge for details', health.ready ? 'success' : 'error');
+    });
 }
 
 // =====================================
@@ -138,86 +297,240 @@ async function showStatusSequence(messages) {
 
 /**
  * Setup language toggle functionality
+ * Builds one source button per language in config.UI.LANGUAGES and a target selector
  */
 function setupLanguageToggle() {
-    if (!languageOptions.length) {
+    if (!languageToggle) {
         debugLog('Language toggle elements not found', 'warn');
         return;
     }
     
-    languageOptions.forEach(option => {
-        option.addEventListener('click', () => {
-            // Remove active class from all options
-            languageOptions.forEach(opt => opt.classList.remove('active'));
-            
-            // Add active class to clicked option
-            option.classList.add('active');
-            
-            // Update current source language
-            currentSourceLang = option.dataset.lang;
-            
-            // Update target language display
-            if (targetLanguageSpan) {
-                targetLanguageSpan.textContent = currentSourceLang === 'en' ? 'Spanish' : 'English';
-            }
-            
-            // Update placeholder text
-            if (sourceTextArea) {
-                if (currentSourceLang === 'en') {
-                    sourceTextArea.placeholder = 'Enter your English text here for translation to Spanish...';
-                } else {
-                    sourceTextArea.placeholder = 'Ingrese su texto en español aquí para traducir al inglés...';
-                }
-            }
-            
-            debugLog(`Language direction changed: ${currentSourceLang} → ${currentSourceLang === 'en' ? 'es' : 'en'}`, 'info');
-        });
+    languageToggle.innerHTML = '';
+    listLanguages().forEach(language => {
+        const option = document.createElement('button');
+        option.className = 'language-option';
+        option.dataset.lang = language.code;
+        option.textContent = language.name;
+        option.addEventListener('click', () => setSourceLanguage(language.code));
+        languageToggle.appendChild(option);
     });
     
+    if (targetLanguageSelect) {
+        targetLanguageSelect.addEventListener('change', () => {
+            currentTargetLang = targetLanguageSelect.value;
+            updateSourceTextArea();
+            debugLog(`Language direction changed: ${currentSourceLang} → ${currentTargetLang}`, 'info');
+        });
+    }
+    
+    setSourceLanguage(currentSourceLang, currentTargetLang);
     debugLog('Language toggle setup complete', 'info');
 }
 
+/**
+ * Switch the source language and pick a target for it
+ * @param {string} sourceCode - Source language code
+ * @param {string} targetCode - Preferred target (defaults to the source's defaultTarget)
+ */
+function setSourceLanguage(sourceCode, targetCode = null) {
+    currentSourceLang = sourceCode;
+    currentTargetLang = targetCode && targetCode !== sourceCode ? targetCode : getOppositeLanguage(sourceCode);
+    
+    // Mark the active source button
+    languageToggle.querySelectorAll('.language-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.lang === sourceCode);
+    });
+    
+    // Offer every other language as target
+    if (targetLanguageSelect) {
+        targetLanguageSelect.innerHTML = '';
+        listLanguages()
+            .filter(language => language.code !== sourceCode)
+            .forEach(language => {
+                targetLanguageSelect.add(new Option(language.name, language.code, false, language.code === currentTargetLang));
+            });
+    }
+    
+    updateSourceTextArea();
+    debugLog(`Language direction changed: ${currentSourceLang} → ${currentTargetLang}`, 'info');
+}
+
+/**
+ * Update the source text area's placeholder, language and writing direction
+ */
+function updateSourceTextArea() {
+    if (!sourceTextArea) return;
+    
+    const placeholder = config.UI.LANGUAGES[currentSourceLang]?.placeholder || 'Enter your text here for translation to {target}...';
+    sourceTextArea.placeholder = placeholder.replace('{target}', getLanguageName(currentTargetLang));
+    sourceTextArea.lang = currentSourceLang;
+    sourceTextArea.dir = getLanguageDirection(currentSourceLang);
+}
+
+// =====================================
+// TRANSLATION MEMORY
+// =====================================
+
+/**
+ * Show how many segment pairs the translation memory holds
+ */
+async function updateMemoryStatus() {
+    const memoryStatus = document.getElementById('memoryStatus');
+    if (!memoryStatus) return;
+    
+    try {
+        const stats = await getTranslationMemoryStats();
+        memoryStatus.textContent = `${stats.total} stored segments`;
+    } catch (error) {
+        memoryStatus.textContent = 'unavailable';
+        debugLog(`Translation memory unavailable: ${error.message}`, 'warn');
+    }
+}
+
+/**
+ * Setup translation memory export/import buttons
+ */
+function setupTranslationMemoryControls() {
+    const exportButton = document.getElementById('exportMemory');
+    const importButton = document.getElementById('importMemory');
+    const importFile = document.getElementById('importMemoryFile');
+    
+    if (!isTranslationMemoryAvailable()) {
+        document.querySelector('.memory-controls')?.classList.add('hidden');
+        debugLog('Translation memory disabled or IndexedDB unavailable', 'warn');
+        return;
+    }
+    
+    exportButton?.addEventListener('click', async () => {
+        try {
+            const tmx = await exportTMX();
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([tmx], { type: 'application/x-tmx+xml' }));
+            link.download = `translation-memory-${new Date().toISOString().slice(0, 10)}.tmx`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            showStatus(`Could not export translation memory: ${error.message}`, 'error', 4000);
+        }
+    });
+    
+    importButton?.addEventListener('click', () => importFile?.click());
+    importFile?.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        if (!file) return;
+        
+        try {
+            const result = await importTMX(await file.text());
+            showStatus(`Imported ${result.imported} segment pairs from ${file.name}${result.skipped > 0 ? ` (${result.skipped} units skipped)` : ''}`, 'success', 4000);
+            await updateMemoryStatus();
+        } catch (error) {
+            showStatus(`Could not import ${file.name}: ${error.message}`, 'error', 5000);
+        } finally {
+            importFile.value = '';
+        }
+    });
+    
+    updateMemoryStatus();
+}
+
+// =====================================
+// DOMAIN SELECTION
+// =====================================
+
+/**
+ * Fill the domain selector from the domain registry and reload the corpus on change
+ */
+async function setupDomainSelector() {
+    if (!domainSelect) {
+        debugLog('Domain selector not found', 'warn');
+        return;
+    }
+    
+    const domains = await listDomains();
+    const activeCode = await getActiveDomainCode();
+    
+    domainSelect.innerHTML = '';
+    domains.forEach(domain => {
+        domainSelect.add(new Option(domain.name, domain.code, false, domain.code === activeCode));
+    });
+    
+    // Auto-detection only makes sense with more than one domain
+    if (domains.length > 1) {
+        domainSelect.add(new Option('Auto-detect from text', 'auto'));
+    }
+    
+    domainSelect.addEventListener('change', async () => {
+        autoDetectDomain = domainSelect.value === 'auto';
+        if (autoDetectDomain) {
+            showStatus('Domain will be detected from your text', 'success', 3000);
+            return;
+        }
+        
+        await setActiveDomain(domainSelect.value);
+        await loadCorpusData(domainSelect.value);
+    });
+    
+    debugLog(`Domain selector setup complete (${domains.length} domains)`, 'info');
+}
+
+/**
+ * Switch to the domain whose documents are closest to the input, if it isn't loaded already
+ * @param {number[]} embedding - Input embedding
+ * @param {Object} progress - Run to report to
+ */
+async function switchToDetectedDomain(embedding, progress) {
+    const ranking = await progress.run('domain', 'Detecting domain', () => detectDomain(embedding),
+        ranking => ranking[0]?.name);
+    const best = ranking[0];
+    
+    if (!best || best.code === currentDomain?.code) {
+        return;
+    }
+    
+    await setActiveDomain(best.code);
+    await loadCorpusData(best.code, progress);
+}
+
 // =====================================
 // CORPUS LOADING (using our modular approach)
 // =====================================
 
 /**
- * Load vector data and document databases with improved status messages
+ * Load vector data and document databases
+ * @param {string} domainCode - Corpus domain to load (defaults to the active domain)
+ * @param {Object} progress - Run to report to (defaults to the status bar)
+ * @returns {Promise<boolean>} True if the corpus loaded
  */
-async function loadCorpusData() {
+async function loadCorpusData(domainCode = null, progress = createStatusProgress('Corpus loading')) {
     console.log('Loading corpus data using modular approach...');
-    showStatus('Loading corpus vector data...', 'loading');
+    progress.start('corpus', 'Loading corpus');
     
     try {
-        // Add delay so user can see the loading message
-        await new Promise(resolve => setTimeout(resolve, 600));
-        
-        // Use our modular loading function
-        const corpusData = await initializeCorpusLegacyFormat();
+        // Loaded and indexed by the corpus service (in its worker)
+        const corpusData = await loadCorpus(domainCode);
         
         // Assign to global variables (matching existing structure)
-        vectorData = corpusData.vectorData;
+        corpusSummary = { counts: corpusData.counts, metadata: corpusData.metadata };
         documentDatabase = corpusData.documentDatabase;
+        glossaryData = corpusData.glossary;
+        currentDomain = corpusData.domain;
         
-        const totalVectors = vectorData.documents.length + vectorData.paragraphs.length + vectorData.sections.length;
-        
-        // Clean success message with proper format
-        const message = `✅ Corpus: ${vectorData.documents.length} documents, ${vectorData.sections.length} sections, ${vectorData.paragraphs.length} paragraphs loaded`;
-        console.log(`${message} (Total: ${totalVectors} vectors)`); // Keep detailed count in console
-        showStatus(message, 'success', 3000); // Show for 3 seconds
+        const { documents, sections, paragraphs } = corpusData.counts;
+        const totalVectors = documents + sections + paragraphs;
         
-        // Log sample for debugging (console only)
-        console.log('Sample vector data:', {
-            documents: vectorData.documents[0],
-            sections: vectorData.sections[0],
-            paragraphs: vectorData.paragraphs[0]
-        });
+        // Clean summary with proper format
+        const examples = corpusData.alignmentCount > 0
+            ? `${corpusData.alignmentCount} example translation pairs`
+            : 'no example translations (no alignments loaded)';
+        const summary = `${currentDomain.name}: ${documents} documents, ${sections} sections, ${paragraphs} paragraphs, ${examples}`;
+        console.log(`✅ ${summary} (Total: ${totalVectors} vectors)`); // Keep detailed count in console
+        progress.finish('corpus', summary);
         
         return true;
         
     } catch (error) {
         console.error('Error loading corpus data:', error);
-        showStatus('Failed to load corpus data', 'error', 5000);
+        progress.finish('corpus', 'could not load corpus data', 'failed');
         return false;
     }
 }
@@ -227,23 +540,21 @@ async function loadCorpusData() {
 // =====================================
 
 /**
- * Check embedding API status during initialization - IMPROVED
+ * Check embedding API status
+ * @param {Object} progress - Run to report to (defaults to the status bar)
+ * @returns {Promise<boolean>} True if the embedding API is ready
  */
-async function checkEmbeddingStatus() {
+async function checkEmbeddingStatus(progress = createStatusProgress('Embedding API check')) {
     console.log('Checking embedding API status...');
-    showStatus('Checking embedding API...', 'loading');
+    progress.start('embedding-api', 'Checking embedding API');
     
     try {
-        // Add a small delay so user can see the loading message
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
         const status = await getEmbeddingModelStatus();
         
         if (status.ready) {
             // Clean message without sensitive details
-            const message = `✅ Embedding API ready`;
-            console.log(`${message} (${status.source}: ${status.keyPreview})`); // Keep details in console for debugging
-            showStatus(message, 'success', 3000); // Show for 3 seconds
+            console.log(`✅ Embedding API ready (${status.source}: ${status.keyPreview})`); // Keep details in console for debugging
+            progress.finish('embedding-api', 'Embedding API ready');
             
             // Log additional details for debugging (console only)
             console.log('Embedding API details:', {
@@ -256,13 +567,15 @@ async function checkEmbeddingStatus() {
             return true;
         } else {
             // Clean error message without revealing internals
-            const message = `Embedding API configuration needed`;
             console.log(`Embedding API not ready: ${status.message || 'Unknown issue'}`); // Keep details in console
-            showStatus(message, 'error', 5000); // Show for 5 seconds
+            progress.finish('embedding-api', status.status === 'incompatible_model' ? status.message : 'configuration needed', 'failed');
             
             // Show helpful message based on the issue (console only)
             if (status.status === 'api_key_missing') {
                 console.log('💡 To fix: Add your JINA API key to api-config.js or call PragmaticTranslator.setJinaApiKey("your-key")');
+                console.log('💡 For corpora built without a task: embed in the browser with PragmaticTranslator.setEmbeddingProvider("transformers")');
+            } else if (status.status === 'incompatible_model') {
+                console.log(`💡 ${status.message}. Embedding provider and corpus vectors must use the same model and task.`);
             }
             
             return false;
@@ -270,7 +583,7 @@ async function checkEmbeddingStatus() {
         
     } catch (error) {
         console.error('Error checking embedding status:', error);
-        showStatus('Error checking embedding API', 'error', 5000);
+        progress.finish('embedding-api', 'could not reach the embedding API', 'failed');
         return false;
     }
 }
@@ -292,9 +605,48 @@ function setupTranslateButton() {
         await handleTranslation();
     });
     
+    cancelButton?.addEventListener('click', () => {
+        activeTranslation?.abort();
+    });
+    
     debugLog('Translate button setup complete', 'info');
 }
 
+// How fetchWithRetry failures are described in retry notices
+const RETRY_REASONS = {
+    RATE_LIMIT: 'rate limit reached',
+    SERVER: 'server error',
+    TIMEOUT: 'no response',
+    NETWORK: 'connection failed'
+};
+
+/**
+ * Show a retry of a failed API request on the running step (or in the status bar)
+ * @param {Object} retry - {label, attempt, retries, delay, code, status} from fetchWithRetry
+ * @param {Object} progress - Run the request belongs to
+ */
+function showRetryNotice({ label, attempt, retries, delay, code, status }, progress = null) {
+    const reason = `${RETRY_REASONS[code] || 'request failed'}${status ? ` (${status})` : ''}`;
+    const message = `${label}: ${reason} - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${retries + 1})`;
+    
+    const step = progress?.current();
+    if (step) {
+        progress.update(step, message);
+    } else {
+        showStatus(message, 'loading');
+    }
+}
+
+/**
+ * Show or hide the cancel button while a translation runs
+ * @param {boolean} running - Whether a run is in progress
+ */
+function setTranslationRunning(running) {
+    if (cancelButton) {
+        cancelButton.hidden = !running;
+    }
+}
+
 /**
  * Handle the complete translation process with improved status flow
  */
@@ -305,6 +657,15 @@ async function handleTranslation() {
         showStatus('Please enter some text to translate', 'error', 3000);
         return;
     }
+    
+    // A new run replaces the one in progress (double-clicks, re-runs after fixing a typo)
+    activeTranslation?.abort();
+    const controller = new AbortController();
+    const { signal } = controller;
+    activeTranslation = controller;
+    setTranslationRunning(true);
+    const progress = startProgressRun('Translation');
+    const stopRetryNotices = onRequestRetry(retry => showRetryNotice(retry, progress));
 
     if (translationOutput) {
         translationOutput.innerHTML = '<p style="color: var(--gray-500); font-style: italic;">Your translation will appear here...</p>';
@@ -314,96 +675,83 @@ async function handleTranslation() {
     }
     
     try {
-        // Step 1: Show start message with delay
-        showStatus('Starting translation process...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Step 2: Ensure embedding API is ready
-        const isReady = await isEmbeddingModelReady();
-        if (!isReady) {
-            showStatus('Preparing embedding API...', 'loading');
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            await loadEmbeddingModel();
-            showStatus('Embedding API ready', 'success', 2000);
-            await new Promise(resolve => setTimeout(resolve, 1200));
+        // Step 1: Ensure embedding API is ready
+        if (!(await isEmbeddingModelReady())) {
+            await progress.run('embedding-api', 'Preparing embedding API', () => loadEmbeddingModel());
         }
         
-        // Step 3: Create embedding for user input
-        showStatus('Analyzing your text...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 800));
-        const userEmbedding = await createUserInputEmbedding(sourceText);
-        
-        showStatus('Text analysis complete', 'success', 1500);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        debugLog(`Created embedding for user text (${userEmbedding.dimension} dimensions)`, 'info');
-        
-        // Step 4: Get UI options for similarity search
-        const useAdvanced = document.getElementById('advancedScoring')?.checked !== false;
-        const priorityStrategy = document.getElementById('priorityStrategy')?.value || 'balanced';
-        
-        // Step 5: Search for similar context
-        showStatus('Searching corpus for relevant context...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        const contextResults = await findSimilarContext(userEmbedding.embedding, vectorData, {
-            useAdvancedScoring: useAdvanced,
-            priorityStrategy: priorityStrategy,
-            maxContextLength: 8000
-        });
+        // Long texts (whole reports) are translated part by part
+        if (isLongDocument(sourceText)) {
+            await handleDocumentTranslation(sourceText, signal, progress);
+            return;
+        }
         
-        // Step 6: Show similarity search results
-        const resultCount = contextResults.metadata.totalResults;
-        const contextLength = contextResults.metadata.contextLength;
+        // Step 2: Create embedding for user input
+        const userEmbedding = await progress.run('analysis', 'Analyzing text', () => createUserInputEmbedding(sourceText, {
+            vectorMetadata: corpusSummary.metadata,
+            signal
+        }), embedding => `${embedding.dimension}-dimension embedding${embedding.cached ? ' (cached)' : ''}`);
+        debugLog(`Created embedding for user text (${userEmbedding.dimension} dimensions, ${userEmbedding.provider})`, 'info');
         
-        if (resultCount > 0) {
-            showStatus(`Found ${resultCount} relevant passages`, 'success', 2000);
-            await new Promise(resolve => setTimeout(resolve, 1500));
-        } else {
-            showStatus('No relevant context found - translating without corpus', 'error', 3000);
-            await new Promise(resolve => setTimeout(resolve, 2000));
+        if (autoDetectDomain) {
+            await switchToDetectedDomain(userEmbedding.embedding, progress);
         }
         
-        // Step 7: Check translation API readiness
-        showStatus('Connecting to translation service...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // Step 3: Get UI options for similarity search
+        const languageDirection = getCurrentLanguageDirection();
         
-        const translationReady = await isDeepSeekApiReady();
+        // Step 4: Search for similar context
+        const contextResults = await progress.run('context', 'Searching corpus', () => findCorpusContext(userEmbedding.embedding, {
+            ...getRetrievalOptions(),
+            languages: languageDirection,
+            queryText: sourceText,
+            signal
+        }), describeContextResults);
         
-        if (!translationReady) {
-            showStatus('Translation API key required', 'error', 5000);
-            
-            // Show API key input prompt
-            const apiKey = prompt('Please enter your DeepSeek API key:');
-            if (apiKey) {
-                setDeepSeekApiKey(apiKey);
-                storeDeepSeekApiKeyLocally(apiKey);
-                showStatus('API key configured successfully', 'success', 2000);
-                await new Promise(resolve => setTimeout(resolve, 1500));
-            } else {
-                showStatus('Translation cancelled - API key required', 'error', 4000);
-                return;
-            }
+        // Step 5: Check translation API readiness
+        if (!(await ensureTranslationApiKey(progress))) {
+            return;
         }
 
-        // Step 8: PERFORM TRANSLATION WITH CONTEXT
-        showStatus('Translating with context...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        const languageDirection = getCurrentLanguageDirection();
-        const translationResult = await translateWithContext(
+        // Step 6: PERFORM TRANSLATION WITH CONTEXT
+        const translationResult = await progress.run('translation', 'Translating', () => translateWithContext(
             sourceText, 
             contextResults, 
             languageDirection,
-            documentDatabase
-        );
+            documentDatabase,
+            {
+                domain: currentDomain,
+                glossary: glossaryData,
+                useTranslationMemory: document.getElementById('useTranslationMemory')?.checked !== false,
+                onStream: createStreamingRenderer(languageDirection.target),
+                signal
+            }
+        ), result => result.metadata.translationMemory.reused ? 'reused from translation memory' : getTranslationProvider().name);
         
-        // Step 9: Display translation results
-        showStatus('✅ Translation completed successfully!', 'success', 4000);
+        // Step 7: Display translation results
+        const duration = progress.complete();
+        const memoryInfo = translationResult.metadata.translationMemory;
+        showStatus(memoryInfo.reused
+            ? '✅ Translation reused from translation memory'
+            : `✅ Translation completed in ${formatDuration(duration)}`, 'success', 4000);
+        if (memoryInfo.segmentsSaved > 0) {
+            updateMemoryStatus();
+        }
         
         // Use existing updateTranslationOutput function
         updateTranslationOutput(
             translationResult.translatedText, 
-            translationResult.contextUsed.details || []
+            translationResult.contextUsed.details || [],
+            languageDirection.target,
+            translationResult.glossaryCheck,
+            [
+                ...(translationResult.metadata.truncated
+                    ? [`The translation stopped at the ${getTranslationProvider().name} output limit - the end of the text is missing. Translate the rest separately. It was not saved to the translation memory.`]
+                    : []),
+                ...(userEmbedding.inputTruncated
+                    ? ['The text is longer than the embedding service accepts - corpus context was found for its beginning only.']
+                    : [])
+            ]
         );
         
         // Log translation metadata for debugging
@@ -412,10 +760,23 @@ async function handleTranslation() {
         }
         
     } catch (error) {
+        progress.complete(error);
+        
+        if (isAbortError(error)) {
+            // Superseded runs stay quiet - the new run reports its own progress
+            if (activeTranslation === controller) {
+                showStatus('Translation cancelled', 'info', 3000);
+            }
+            return;
+        }
+        
         console.error('Translation process failed:', error);
         
         // Enhanced error handling with longer display time
-        if (error.message.includes('DeepSeek API')) {
+        if (error.code) {
+            // Failed API request (AUTH, PAYMENT, RATE_LIMIT, SERVER, ...) - the original message names the service
+            showStatus(getOriginalError(error).message || config.ERRORS[error.code], 'error', 8000);
+        } else if (error.message.includes(`${getTranslationProvider().name} API`)) {
             showStatus('Translation service error - check your API key', 'error', 6000);
         } else if (error.message.includes('embedding server')) {
             showStatus('Embedding server issue - check configuration', 'error', 6000);
@@ -424,6 +785,151 @@ async function handleTranslation() {
         } else {
             showStatus(`Translation failed: ${error.message}`, 'error', 6000);
         }
+    } finally {
+        progress.complete();
+        stopRetryNotices();
+        if (activeTranslation === controller) {
+            activeTranslation = null;
+            setTranslationRunning(false);
+            // A stream cut short keeps its partial text but loses the caret
+            translationOutput?.querySelector('.translated-text.streaming')?.classList.remove('streaming');
+        }
+    }
+}
+
+/**
+ * Get the similarity search options selected in the UI
+ * @returns {Object} findSimilarContext options
+ */
+function getRetrievalOptions() {
+    return {
+        useAdvancedScoring: document.getElementById('advancedScoring')?.checked !== false,
+        priorityStrategy: document.getElementById('priorityStrategy')?.value || config.SIMILARITY.STRATEGIES.defaultPriorityStrategy,
+        languageMode: document.getElementById('languageMode')?.value || config.SIMILARITY.LANGUAGE_MODE.default,
+        maxContextLength: 8000
+    };
+}
+
+/**
+ * Summarize similarity search results for the progress stepper
+ * @param {Object} contextResults - Result of findSimilarContext
+ * @returns {string} Step detail
+ */
+function describeContextResults(contextResults) {
+    const resultCount = contextResults.metadata.totalResults;
+    const exampleCount = contextResults.alignedExamples.length;
+    
+    if (resultCount === 0 && exampleCount === 0) {
+        return 'no relevant context found - translating without corpus';
+    }
+    return `${resultCount} relevant passages${exampleCount > 0 ? ` and ${exampleCount} example translations` : ''}`;
+}
+
+/**
+ * Make sure the active translation provider has an API key, asking the user if needed
+ * @param {Object} progress - Run to report to
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function ensureTranslationApiKey(progress) {
+    const providerName = getTranslationProvider().name;
+    progress.start('translation-api', 'Connecting to translation service');
+    
+    // Only a missing or rejected key needs the user - other failures are retried by the request itself
+    const status = await getTranslationApiStatus();
+    if (!['api_key_missing', 'auth_failed'].includes(status.status)) {
+        progress.finish('translation-api', status.ready ? providerName : `${providerName} - ${status.message}`);
+        return true;
+    }
+    
+    // Show API key input prompt for the active provider
+    progress.update('translation-api', status.status === 'auth_failed' ? `${providerName} API key rejected` : `${providerName} API key required`);
+    const apiKey = prompt(`Please enter your ${providerName} API key:`);
+    if (!apiKey) {
+        progress.finish('translation-api', 'no API key entered', 'cancelled');
+        showStatus('Translation cancelled - API key required', 'error', 4000);
+        return false;
+    }
+    
+    setTranslationApiKey(apiKey);
+    storeTranslationApiKeyLocally(apiKey);
+    progress.finish('translation-api', `${providerName} API key configured`);
+    return true;
+}
+
+/**
+ * Translate a long text part by part (document mode) and display the reassembled result
+ * @param {string} sourceText - Text longer than config.TRANSLATION.DOCUMENT.maxChunkLength
+ * @param {AbortSignal} signal - Signal of the current run
+ * @param {Object} progress - Run to report to - each part is one step
+ */
+async function handleDocumentTranslation(sourceText, signal, progress) {
+    const chunks = splitDocument(sourceText);
+    const parts = chunks.length;
+    debugLog(`Long text (${sourceText.length} characters) - translating in ${parts} parts`, 'info');
+    
+    if (autoDetectDomain) {
+        // Detect from the opening part - the whole text would be cut to the embedding input limit
+        const openingEmbedding = await progress.run('analysis', 'Analyzing opening part', () => createUserInputEmbedding(chunks[0].text, {
+            vectorMetadata: corpusSummary.metadata,
+            signal
+        }));
+        await switchToDetectedDomain(openingEmbedding.embedding, progress);
+    }
+    
+    if (!(await ensureTranslationApiKey(progress))) {
+        return;
+    }
+    
+    const languageDirection = getCurrentLanguageDirection();
+    const translationResult = await translateDocument(sourceText, languageDirection, {
+        vectorMetadata: corpusSummary.metadata,
+        documentDatabase,
+        domain: currentDomain,
+        glossary: glossaryData,
+        useTranslationMemory: document.getElementById('useTranslationMemory')?.checked !== false,
+        retrieval: getRetrievalOptions(),
+        findContext: findCorpusContext,
+        onStream: createStreamingRenderer(languageDirection.target),
+        signal,
+        onProgress: ({ stage, part, reused, truncated }) => {
+            const step = `part-${part}`;
+            if (stage === 'context') {
+                progress.start(step, `Part ${part} of ${parts}`, 'searching corpus');
+            } else if (stage === 'translate') {
+                progress.update(step, 'translating');
+            } else {
+                progress.finish(step, reused ? 'reused from translation memory'
+                    : truncated ? 'stopped at the output limit'
+                    : 'translated');
+            }
+        }
+    });
+    
+    const { truncatedParts, embeddingTruncatedParts, translationMemory } = translationResult.metadata;
+    const duration = progress.complete();
+    showStatus(`✅ Document translated in ${parts} parts (${formatDuration(duration)})`, 'success', 4000);
+    if (translationMemory.segmentsSaved > 0) {
+        updateMemoryStatus();
+    }
+    
+    updateTranslationOutput(
+        translationResult.translatedText,
+        translationResult.contextUsed.details,
+        languageDirection.target,
+        translationResult.glossaryCheck,
+        [
+            `Long text translated in ${parts} parts, each with its own corpus context, a summary of the parts before it and the end of the previous part's translation.`,
+            ...(truncatedParts.length > 0
+                ? [`⚠️ Part ${truncatedParts.join(', ')} stopped at the ${getTranslationProvider().name} output limit - the end of ${truncatedParts.length === 1 ? 'that part is' : 'those parts are'} missing (not saved to the translation memory).`]
+                : []),
+            ...(embeddingTruncatedParts.length > 0
+                ? [`Part ${embeddingTruncatedParts.join(', ')} is longer than the embedding service accepts - corpus context was found for ${embeddingTruncatedParts.length === 1 ? 'its' : 'their'} beginning only.`]
+                : [])
+        ]
+    );
+    
+    if (config.DEV.DEBUG) {
+        console.log('Document translation metadata:', translationResult.metadata, translationResult.parts);
     }
 }
 
@@ -433,6 +939,8 @@ async function handleTranslation() {
 function setupSimilarityInfoTooltips() {
     const scoringInfo = document.getElementById('scoringInfo');
     const strategyInfo = document.getElementById('strategyInfo');
+    const languageModeInfo = document.getElementById('languageModeInfo');
+    const memoryInfo = document.getElementById('memoryInfo');
     
     if (scoringInfo) {
         scoringInfo.addEventListener('click', (e) => {
@@ -460,6 +968,33 @@ When disabled, uses basic cosine similarity for all levels.`);
 Recommendation: Use "Balanced" for most translations.`);
         });
     }
+    
+    if (languageModeInfo) {
+        languageModeInfo.addEventListener('click', (e) => {
+            e.preventDefault();
+            alert(`Corpus Language Options:
+
+• Both: Searches the source- and target-language corpora separately and gives each a share of the context
+• Target Language Only: Uses only passages written in the language you are translating into
+• Source Language Only: Uses only passages written in the language of your text
+• All Together: Searches every language at once and keeps the best matches
+
+Target-language passages shape register and terminology, so "Both" gives them the larger share.`);
+        });
+    }
+    
+    if (memoryInfo) {
+        memoryInfo.addEventListener('click', (e) => {
+            e.preventDefault();
+            alert(`Translation Memory:
+
+Every translation is split into sentences and saved in this browser.
+• Exact matches: sentences translated before are reused word for word - if the whole text has been translated before, no API call is made
+• Fuzzy matches: similar sentences are shown to the translator as references
+
+Use "Export TMX" / "Import TMX" to move the memory between browsers or CAT tools.`);
+        });
+    }
 }
 
 // =====================================
@@ -477,28 +1012,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         setupLanguageToggle();
         setupTranslateButton();
         setupSimilarityInfoTooltips();
+        await setupDomainSelector();
+        setupTranslationMemoryControls();
+        setupHealthBadge();
         
-        // Show initialization sequence with delays
-        await showStatusSequence([
-            { message: 'Initializing system...', type: 'loading', delay: 1000 },
-            { message: 'Loading corpus data...', type: 'loading', delay: 0 }
-        ]);
-        
-        // Load corpus data
-        const corpusLoaded = await loadCorpusData();
-        
-        // Small delay before checking embedding API
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Check embedding API status
-        const embeddingReady = await checkEmbeddingStatus();
-        
-        // Small delay before final status
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        // Load corpus data and check the embedding API - both shown in the stepper
+        const progress = startProgressRun('Initialization');
+        const corpusLoaded = await loadCorpusData(null, progress);
+        const embeddingReady = await checkEmbeddingStatus(progress);
+        const duration = progress.complete();
+        await refreshServiceHealth(); // Answered from the health cache - no extra requests
         
         // Final initialization status
         if (corpusLoaded && embeddingReady) {
-            console.log('✅ Initialization complete - ready for translation');
+            console.log(`✅ Initialization complete in ${formatDuration(duration)} - ready for translation`);
             showStatus('🚀 System ready for translation', 'success', 4000);
         } else if (corpusLoaded) {
             console.log('⚠️ Initialization complete with warnings - corpus loaded but embedding API issues');
@@ -525,16 +1052,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 export function getCurrentLanguageDirection() {
     return {
         source: currentSourceLang,
-        target: currentSourceLang === 'en' ? 'es' : 'en'
+        target: currentTargetLang
     };
 }
 
 /**
- * Get loaded vector data (for other modules to access)
- * @returns {Object} Current vectorData
+ * Get what the page knows of the loaded corpus (for other modules to access)
+ * The vectors stay in the corpus service - getCorpus() describes them
+ * @returns {Object} {counts: {documents, sections, paragraphs}, metadata}
  */
-export function getVectorData() {
-    return vectorData;
+export function getCorpusSummary() {
+    return corpusSummary;
 }
 
 /**
@@ -545,18 +1073,79 @@ export function getDocumentDatabase() {
     return documentDatabase;
 }
 
+/**
+ * Summarize a glossary check below the translation
+ * @param {Object} glossaryCheck - Result of checkGlossaryCompliance
+ * @returns {string} HTML (empty when no glossary terms were in the source text)
+ */
+function formatGlossaryCheck(glossaryCheck) {
+    if (!glossaryCheck || glossaryCheck.checked === 0) {
+        return '';
+    }
+    
+    if (glossaryCheck.compliant) {
+        return `<div class="glossary-check glossary-ok">✅ Terminology: all ${glossaryCheck.checked} glossary terms rendered as required</div>`;
+    }
+    
+    const items = glossaryCheck.violations.map(violation => violation.type === 'forbidden'
+        ? `<li>"<bdi>${violation.sourceTerm}</bdi>": found "<bdi>${violation.found.join('", "')}</bdi>" - use "<bdi>${violation.expected}</bdi>"</li>`
+        : `<li>"<bdi>${violation.sourceTerm}</bdi>": expected "<bdi>${violation.expected}</bdi>" not found</li>`
+    ).join('');
+    
+    return `
+        <div class="glossary-check glossary-violations">
+            <strong>⚠️ Terminology: ${glossaryCheck.violations.length} of ${glossaryCheck.checked} glossary terms not rendered as required</strong>
+            <ul>${items}</ul>
+        </div>`;
+}
+
+/**
+ * Create a renderer that shows the translation while it streams in
+ * Text is appended as plain text; updateTranslationOutput replaces it with the
+ * formatted (markdown) translation once the stream is complete
+ * @param {string} targetLang - Language of the translation
+ * @returns {Function|undefined} Callback receiving each text delta (undefined when streaming is off)
+ */
+function createStreamingRenderer(targetLang = currentTargetLang) {
+    if (!config.TRANSLATION.STREAMING || !translationOutput) {
+        return undefined;
+    }
+    
+    let textNode = null;
+    
+    return (delta) => {
+        // Set up the output on the first delta so the placeholder stays until text arrives
+        if (!textNode) {
+            translationOutput.innerHTML = `
+                <div class="translation-result">
+                    <h3>Translation:</h3>
+                    <div class="translated-text streaming" lang="${targetLang}" dir="${getLanguageDirection(targetLang)}" style="white-space: pre-line; line-height: 1.6;"></div>
+                </div>
+            `;
+            textNode = document.createTextNode('');
+            translationOutput.querySelector('.translated-text').appendChild(textNode);
+        }
+        textNode.appendData(delta);
+    };
+}
+
 /**
  * Update translation output (for translation module to use)
  * @param {string} translatedText - Translated text to display
  * @param {Array} contextUsed - Context passages used (optional)
+ * @param {string} targetLang - Language of the translation (sets lang/dir for right-to-left scripts)
+ * @param {Object} glossaryCheck - Glossary check of the translation (optional)
+ * @param {string[]} notices - Notes shown below the translation, e.g. document mode or truncated output (optional)
  */
-export function updateTranslationOutput(translatedText, contextUsed = []) {
+export function updateTranslationOutput(translatedText, contextUsed = [], targetLang = currentTargetLang, glossaryCheck = null, notices = []) {
     if (translationOutput) {
         // Display the translation
         translationOutput.innerHTML = `
             <div class="translation-result">
                 <h3>Translation:</h3>
-                <div class="translated-text" style="white-space: pre-line; line-height: 1.6;">${formatMarkdownText(translatedText)}</div>
+                <div class="translated-text" lang="${targetLang}" dir="${getLanguageDirection(targetLang)}" style="white-space: pre-line; line-height: 1.6;">${formatMarkdownText(translatedText)}</div>
+                ${notices.map(notice => `<div class="translation-notice">${notice}</div>`).join('')}
+                ${formatGlossaryCheck(glossaryCheck)}
             </div>
         `;
     }
@@ -573,6 +1162,9 @@ export function updateTranslationOutput(translatedText, contextUsed = []) {
         contextUsed.forEach((context, index) => {
             const score = context.score.toFixed(2);
             const priorityLabel = context.priority === 'document-coherent' ? 'THEMATIC MATCH' : 'HIGH SIMILARITY';
+            const languageLabel = context.language
+                ? `${getLanguageName(context.language)}${context.languageRole ? ` (${context.languageRole}-language reference)` : ''}`
+                : null;
             
             // Special handling for document-level matches
             let textExcerpt;
@@ -584,11 +1176,14 @@ export function updateTranslationOutput(translatedText, contextUsed = []) {
             
             contextHTML += `
                 <div class="context-item" style="margin-bottom: 1rem; padding-bottom: 1rem; border-bottom: 1px solid var(--gray-200);">
-                    <div style="margin-bottom: 0.25rem;"><strong>Title:</strong> "${context.title}"</div>
+                    <div style="margin-bottom: 0.25rem;"><strong>Title:</strong> "<bdi>${context.title}</bdi>"</div>
                     <div style="margin-bottom: 0.25rem;"><strong>Level:</strong> ${context.level.toUpperCase()}</div>
                     <div style="margin-bottom: 0.25rem;"><strong>Type of Match:</strong> ${priorityLabel}</div>
-                    <div style="margin-bottom: 0.25rem;"><strong>Cosine Similarity:</strong> ${score}</div>
-                    <div style="margin-bottom: 0.5rem;"><strong>Text excerpt:</strong> ${textExcerpt}</div>
+                    ${languageLabel ? `<div style="margin-bottom: 0.25rem;"><strong>Corpus Language:</strong> ${languageLabel}</div>` : ''}
+                    ${context.scores?.fused != null
+                        ? `<div style="margin-bottom: 0.25rem;"><strong>Cosine Similarity:</strong> ${score} (hybrid rank score ${context.scores.fused.toFixed(2)}, BM25 ${context.scores.lexical.toFixed(2)}${context.scores.matchedTerms.length > 0 ? ` - <bdi>${context.scores.matchedTerms.join(', ')}</bdi>` : ''})</div>`
+                        : `<div style="margin-bottom: 0.25rem;"><strong>Cosine Similarity:</strong> ${score}</div>`}
+                    <div style="margin-bottom: 0.5rem;"><strong>Text excerpt:</strong> <bdi>${textExcerpt}</bdi></div>
                 </div>
             `;
         });
@@ -622,7 +1217,6 @@ window.setDeepSeekApiKey = function(apiKey) {
 window.testDeepSeek = async function() {
     try {
         showStatus('Testing DeepSeek API...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 800));
         
         const status = await testDeepSeekConnection();
         
@@ -640,25 +1234,52 @@ window.testDeepSeek = async function() {
     }
 };
 
+// Translation provider switching (DeepSeek, OpenAI-compatible, Anthropic, local)
+window.setTranslationProvider = function(providerId, overrides = null) {
+    setTranslationProvider(providerId, overrides);
+    showStatus(`Translation provider set to ${getTranslationProvider(providerId).name}`, 'success', 3000);
+    refreshServiceHealth();
+};
+
+window.testTranslation = async function() {
+    const providerName = getTranslationProvider().name;
+    try {
+        showStatus(`Testing ${providerName} API...`, 'loading');
+        
+        const status = await testTranslationConnection();
+        
+        if (status.ready) {
+            showStatus(`${providerName} API test successful`, 'success', 3000);
+            console.log('Translation provider test result:', status);
+        } else {
+            showStatus(`${providerName} API test failed`, 'error', 5000);
+        }
+        
+        return status;
+    } catch (error) {
+        showStatus(`${providerName} API test failed`, 'error', 5000);
+        console.error('Translation provider test error:', error);
+    }
+};
+
 // Add embedding test function with improved status messages
 window.testEmbedding = async function() {
     try {
-        showStatus('Testing JINA API...', 'loading');
-        await new Promise(resolve => setTimeout(resolve, 800));
+        showStatus('Testing embedding API...', 'loading');
         
-        const status = await getEmbeddingModelStatus();
+        const status = await getEmbeddingModelStatus({ force: true });
         
         if (status.ready) {
-            showStatus('JINA API test successful', 'success', 3000);
+            showStatus('Embedding API test successful', 'success', 3000);
         } else {
-            showStatus('JINA API test failed', 'error', 5000);
+            showStatus('Embedding API test failed', 'error', 5000);
         }
         
-        console.log('JINA API status:', status);
+        console.log('Embedding API status:', status);
         return status;
     } catch (error) {
-        showStatus('JINA API test failed', 'error', 5000);
-        console.error('JINA API test error:', error);
+        showStatus('Embedding API test failed', 'error', 5000);
+        console.error('Embedding API test error:', error);
     }
 };
 
@@ -668,11 +1289,58 @@ window.setJinaApiKey = function(apiKey) {
     showStatus('JINA API key configured', 'success', 3000);
 };
 
+// Embedding provider switching (Jina, OpenAI-compatible, in-browser transformers.js)
+window.setEmbeddingProvider = function(providerId, overrides = null) {
+    setEmbeddingProvider(providerId, overrides);
+    showStatus(`Embedding provider set to ${getEmbeddingProvider(providerId).name}`, 'success', 3000);
+    refreshServiceHealth();
+};
+
 window.storeJinaKey = function(apiKey) {
     storeApiKeyLocally(apiKey);
     showStatus('JINA API key stored locally', 'success', 3000);
 };
 
+// Build paragraph vectors from a domain's section vector file and download them
+// Save the file at the domain's paragraph path (corpora/domains.json) to enable paragraph-level context
+window.buildParagraphVectors = async function(options = {}) {
+    try {
+        showStatus('Building paragraph vectors...', 'loading');
+        
+        const domain = await getDomain(options.domain);
+        const paragraphVectors = await buildParagraphVectorFile({
+            ...options,
+            domain: domain.code,
+            onProgress: (done, total) => showStatus(`Embedding paragraphs (${done}/${total})...`, 'loading')
+        });
+        
+        const fileName = domain.vectors.paragraph.split('/').pop();
+        const blob = new Blob([JSON.stringify(paragraphVectors)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        
+        showStatus(`Built ${paragraphVectors.vectors.length} paragraph vectors - saved as ${fileName}`, 'success', 5000);
+        return paragraphVectors;
+    } catch (error) {
+        showStatus('Paragraph vector build failed', 'error', 5000);
+        console.error('Paragraph vector build error:', error);
+    }
+};
+
+// Corpus domain switching (domains are listed in corpora/domains.json)
+window.setCorpusDomain = async function(domainCode) {
+    const domain = await setActiveDomain(domainCode);
+    autoDetectDomain = false;
+    if (domainSelect) {
+        domainSelect.value = domain.code;
+    }
+    await loadCorpusData(domain.code);
+    return domain;
+};
+
 // Feedback system function
 window.submitFeedback = function() {
     showStatus('Feedback system coming soon...', 'success', 3000);
@@ -682,9 +1350,15 @@ window.submitFeedback = function() {
 // Make key functions available globally for debugging
 if (config.DEV.DEBUG) {
     window.PragmaticTranslator = {
-        vectorData: () => vectorData,
+        // The corpus vectors live in the corpus worker: corpus() describes the loaded corpus
+        // (items without vectors, index stats) - search it with findCorpusContext
+        corpus: getCorpus,
         documentDatabase: () => documentDatabase,
         currentLanguage: () => currentSourceLang,
+        currentDomain: () => currentDomain,
+        listDomains: listDomains,
+        setCorpusDomain: window.setCorpusDomain,
+        detectDomain: detectDomain,
         showStatus,
         loadCorpusData,
         // JINA embedding functions
@@ -693,15 +1367,34 @@ if (config.DEV.DEBUG) {
         loadEmbeddingModel: loadEmbeddingModel,
         setJinaApiKey: window.setJinaApiKey,
         storeJinaKey: window.storeJinaKey,
+        setEmbeddingProvider: window.setEmbeddingProvider,
+        buildParagraphVectors: window.buildParagraphVectors,
         // ADD THESE SIMILARITY FUNCTIONS:
+        // findCorpusContext(embedding, options) replaces findSimilarContext(embedding, vectorData)
         createUserInputEmbedding: createUserInputEmbedding,
-        findSimilarContext: findSimilarContext,
+        findCorpusContext: findCorpusContext,
         // UNCOMMENT AND UPDATE THESE DEEPSEEK FUNCTIONS:
         setDeepSeekApiKey: setDeepSeekApiKey,
         storeDeepSeekApiKeyLocally: storeDeepSeekApiKeyLocally,
         testDeepSeek: testDeepSeekConnection,
-        isTranslationReady: isDeepSeekApiReady,
-        translateWithContext: translateWithContext
+        isTranslationReady: isTranslationApiReady,
+        translationStatus: getTranslationApiStatus,
+        serviceHealth: getServiceHealth,
+        // Vector and embedding caches
+        cacheStatus: getCorpusCacheStatus,
+        clearVectorCache: clearCorpusCache,
+        // Translation provider functions
+        listTranslationProviders: listTranslationProviders,
+        setTranslationProvider: window.setTranslationProvider,
+        setTranslationApiKey: setTranslationApiKey,
+        testTranslation: window.testTranslation,
+        translateWithContext: translateWithContext,
+        // Translation memory
+        translationStats: getTranslationStats,
+        memoryStats: getTranslationMemoryStats,
+        clearTranslationMemory: () => clearTranslationMemory().then(updateMemoryStatus),
+        exportTMX: exportTMX,
+        importTMX: importTMX
     };
     debugLog('Debug helpers attached to window.PragmaticTranslator', 'info');
 }
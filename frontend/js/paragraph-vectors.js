@@ -0,0 +1,265 @@
+// =====================================
+// PARAGRAPH VECTOR BUILDER
+// Derives paragraph-level vectors from the section texts in the section vector file
+//
+// Section texts are flat (no line breaks) and a parent section usually repeats the
+// text of its subsections, so each section is first reduced to its own text and then
+// split into paragraph-sized chunks on sentence boundaries. Chunks are embedded with
+// the active embedding provider and written in the same schema as the other vector files.
+// =====================================
+
+import { debugLog, cleanText } from './utils.js';
+import { createPassageEmbeddings } from './embedding.js';
+import { getDomain } from './domains.js';
+import { resolveVectorFile } from './vector-format.js';
+
+// Chunking defaults (characters)
+export const PARAGRAPH_CHUNKING = {
+  targetLength: 800,   // Close a chunk once it reaches this length
+  maxLength: 1200,     // Hard limit - longer sentences are split on whitespace (cut mid-word without any)
+  minLength: 200,      // Shorter trailing chunks are merged into the previous one
+  minKeepLength: 50,   // Shorter chunks (e.g. a heading left after removing subsections) are dropped
+  batchSize: 32        // Texts per embedding request
+};
+
+// =====================================
+// CHUNKING
+// =====================================
+
+// Sentence ends, with closing quotes and brackets: ASCII terminators followed by whitespace,
+// full-width (CJK) terminators anywhere - CJK text has no spaces between sentences
+const SENTENCE_BOUNDARY = /(?<=[.!?]["')\]”’]*)\s+|(?<=[。！？]["')\]”’」』）]*)(?!["')\]”’」』）])\s*/;
+const CJK_SENTENCE_END = /[。！？]["')\]”’」』）]*$/;
+
+/**
+ * Split text into sentences, keeping the closing punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} Sentences
+ */
+function splitIntoSentences(text) {
+  return text.split(SENTENCE_BOUNDARY).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Get the separator to put after a sentence (or chunk) when joining it to the next one
+ * CJK text has no spaces between sentences
+ * @param {string} text - Sentence or chunk
+ * @returns {string} ' ', or '' after a CJK sentence end
+ */
+export function getSentenceSeparator(text) {
+  return CJK_SENTENCE_END.test(text) ? '' : ' ';
+}
+
+/**
+ * Break a sentence that is longer than maxLength on whitespace
+ * Words longer than maxLength (e.g. CJK text without terminators) are cut at maxLength
+ * @param {string} sentence - Sentence to break
+ * @param {number} maxLength - Maximum piece length
+ * @returns {string[]} Pieces
+ */
+function splitLongSentence(sentence, maxLength) {
+  const pieces = [];
+  let current = '';
+
+  for (let word of sentence.split(/\s+/)) {
+    while (word.length > maxLength) {
+      if (current) pieces.push(current);
+      current = '';
+      pieces.push(word.slice(0, maxLength));
+      word = word.slice(maxLength);
+    }
+    if (current && current.length + word.length + 1 > maxLength) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+/**
+ * Split text into paragraph-sized chunks
+ * Uses blank lines when the text has them, otherwise groups sentences
+ * @param {string} text - Text to chunk
+ * @param {Object} options - {targetLength, maxLength, minLength}
+ * @returns {string[]} Chunks
+ */
+export function chunkTextIntoParagraphs(text, options = {}) {
+  const { targetLength, maxLength, minLength } = { ...PARAGRAPH_CHUNKING, ...options };
+
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  // Real paragraph breaks win when present
+  const blocks = text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+  const chunks = [];
+  for (const block of blocks) {
+    const units = splitIntoSentences(cleanText(block))
+      .flatMap(sentence => sentence.length > maxLength ? splitLongSentence(sentence, maxLength) : [sentence]);
+
+    let current = '';
+    for (const unit of units) {
+      const separator = getSentenceSeparator(current);
+      if (current && current.length + separator.length + unit.length > maxLength) {
+        chunks.push(current);
+        current = unit;
+      } else {
+        current = current ? `${current}${separator}${unit}` : unit;
+      }
+
+      if (current.length >= targetLength) {
+        chunks.push(current);
+        current = '';
+      }
+    }
+
+    if (current) {
+      const previous = chunks[chunks.length - 1];
+      const separator = previous ? getSentenceSeparator(previous) : '';
+      if (current.length < minLength && previous && previous.length + separator.length + current.length <= maxLength) {
+        chunks[chunks.length - 1] = `${previous}${separator}${current}`;
+      } else {
+        chunks.push(current);
+      }
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the text that belongs to a section itself, without its subsections
+ * @param {Object} section - Section vector item
+ * @param {Object[]} sections - All section vector items
+ * @returns {string} Section's own text
+ */
+export function getOwnSectionText(section, sections) {
+  let text = section.text || '';
+
+  // Subsections share the document and extend the id (section_3 -> section_3_1, section_3_2_1, ...)
+  const descendants = sections
+    .filter(other => other.document_id === section.document_id && other.id.startsWith(`${section.id}_`))
+    .sort((a, b) => (b.text || '').length - (a.text || '').length);
+
+  for (const descendant of descendants) {
+    if (descendant.text && text.includes(descendant.text)) {
+      text = text.replace(descendant.text, ' ');
+    }
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Chunk every section into paragraph records (without vectors)
+ * @param {Object[]} sections - Section vector items
+ * @param {Object} options - Chunking options
+ * @returns {Object[]} Paragraph records
+ */
+export function createParagraphRecords(sections, options = {}) {
+  const records = [];
+
+  for (const section of sections) {
+    const minKeepLength = options.minKeepLength ?? PARAGRAPH_CHUNKING.minKeepLength;
+    const chunks = chunkTextIntoParagraphs(getOwnSectionText(section, sections), options)
+      .filter(chunk => chunk.length >= minKeepLength);
+
+    chunks.forEach((chunk, index) => {
+      records.push({
+        id: `${section.id}_p${index + 1}`,
+        document_id: section.document_id,
+        section_id: section.id,
+        title: section.title,
+        level: section.level,
+        count: records.length + 1, // Running position in the file, as in the other vector files
+        text: chunk
+      });
+    });
+  }
+
+  return records;
+}
+
+// =====================================
+// EMBEDDING
+// =====================================
+
+/**
+ * Build a paragraph vector file from a section vector file
+ * @param {Object} sectionVectorFile - Parsed section vector file {metadata, vectors}
+ * @param {Object} options - Chunking options plus {providerId, settings, environment, onProgress(done, total)}
+ * @returns {Promise<Object>} Paragraph vector file {metadata, vectors}
+ */
+export async function buildParagraphVectors(sectionVectorFile, options = {}) {
+  const sections = sectionVectorFile?.vectors;
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new Error('Section vector file has no vectors to derive paragraphs from');
+  }
+
+  const records = createParagraphRecords(sections, options);
+  debugLog(`Chunked ${sections.length} sections into ${records.length} paragraphs`, 'info');
+
+  const result = await createPassageEmbeddings(records.map(record => record.text), {
+    providerId: options.providerId,
+    // Same task and size as the section vectors, so one query embedding searches both levels
+    settings: {
+      ...(sectionVectorFile.metadata?.task ? { task: sectionVectorFile.metadata.task } : {}),
+      ...(sectionVectorFile.metadata?.dimension ? { dimensions: sectionVectorFile.metadata.dimension } : {}),
+      ...options.settings
+    },
+    batchSize: options.batchSize || PARAGRAPH_CHUNKING.batchSize,
+    onProgress: options.onProgress
+  });
+
+  const created = new Date().toISOString();
+
+  return {
+    metadata: {
+      // Keep the corpus model name so compatibility checks match the other levels
+      model: sectionVectorFile.metadata?.model || result.model,
+      dimension: result.dimension,
+      task: result.task,
+      normalization: true,
+      environment: options.environment || 'browser',
+      created,
+      source: 'section-vectors',
+      embedding_provider: { id: result.provider, model: result.model },
+      chunking: {
+        targetLength: options.targetLength || PARAGRAPH_CHUNKING.targetLength,
+        maxLength: options.maxLength || PARAGRAPH_CHUNKING.maxLength,
+        minLength: options.minLength || PARAGRAPH_CHUNKING.minLength
+      }
+    },
+    vectors: records.map((record, index) => ({ ...record, created, vector: result.embeddings[index] }))
+  };
+}
+
+/**
+ * Load a domain's section vector file and build paragraph vectors from it
+ * @param {Object} options - Same as buildParagraphVectors, plus {domain} (defaults to the active domain)
+ * @returns {Promise<Object>} Paragraph vector file {metadata, vectors}
+ */
+export async function buildParagraphVectorFile(options = {}) {
+  const filePath = (await getDomain(options.domain)).vectors.section;
+  const response = await fetch(filePath);
+  if (!response.ok) {
+    throw new Error(`Could not load section vectors from ${filePath}: HTTP ${response.status}`);
+  }
+
+  return buildParagraphVectors(await resolveVectorFile(await response.json(), filePath), options);
+}
+
+export default {
+  PARAGRAPH_CHUNKING,
+  chunkTextIntoParagraphs,
+  getSentenceSeparator,
+  getOwnSectionText,
+  createParagraphRecords,
+  buildParagraphVectors,
+  buildParagraphVectorFile
+};
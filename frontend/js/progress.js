@@ -0,0 +1,159 @@
+// =====================================
+// PIPELINE PROGRESS
+// A run (page start-up, one translation) is a list of steps. Each step emits
+// 'start', optional 'update' events (retries, current part) and 'finish' with the
+// time it took (startTimer). Listeners render the steps - the page shows them
+// as a stepper that keeps finished steps visible until the next run starts.
+//
+// Step: {id, label, status: 'running'|'done'|'failed'|'cancelled', detail, duration}
+// =====================================
+
+import { startTimer, isAbortError, getOriginalError, debugLog } from './utils.js';
+
+/**
+ * Format a step or run duration for display
+ * @param {number} duration - Duration in ms
+ * @returns {string} e.g. "340 ms", "2.4 s"
+ */
+export function formatDuration(duration) {
+  if (duration === null || duration === undefined) return '';
+  return duration < 1000 ? `${Math.round(duration)} ms` : `${(duration / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Create the progress model of one run
+ * @param {string} name - Run name (used in the timing log)
+ * @returns {Object} Progress {name, start, update, finish, run, current, complete, getSteps, subscribe}
+ */
+export function createProgress(name) {
+  const steps = new Map();
+  const timers = new Map();
+  const listeners = new Set();
+  const endRun = startTimer(name);
+  let duration = null;
+
+  const getSteps = () => [...steps.values()].map(step => ({ ...step }));
+
+  const emit = (type, step = null) => {
+    const event = { type, step: step && { ...step }, steps: getSteps(), duration };
+    listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        debugLog(`Progress listener failed: ${error.message}`, 'error');
+      }
+    });
+  };
+
+  const progress = {
+    name,
+
+    /**
+     * Start a step (restarting it if it ran before)
+     * @param {string} id - Step id
+     * @param {string} label - Step label shown to the user
+     * @param {string} detail - Optional detail
+     */
+    start(id, label, detail = '') {
+      steps.delete(id); // Restarted steps move to the end
+      const step = { id, label, status: 'running', detail, duration: null };
+      steps.set(id, step);
+      timers.set(id, startTimer(`${name}: ${label}`));
+      emit('start', step);
+    },
+
+    /**
+     * Change the detail of a running step
+     * @param {string} id - Step id
+     * @param {string} detail - New detail
+     */
+    update(id, detail) {
+      const step = steps.get(id);
+      if (step?.status !== 'running') return;
+      step.detail = detail;
+      emit('update', step);
+    },
+
+    /**
+     * Finish a running step
+     * @param {string} id - Step id
+     * @param {string} detail - Result shown next to the label
+     * @param {string} status - 'done', 'failed' or 'cancelled'
+     */
+    finish(id, detail = '', status = 'done') {
+      const step = steps.get(id);
+      if (step?.status !== 'running') return;
+      step.status = status;
+      step.detail = detail;
+      step.duration = timers.get(id)();
+      timers.delete(id);
+      emit('finish', step);
+    },
+
+    /**
+     * Run an async task as one step
+     * @param {string} id - Step id
+     * @param {string} label - Step label
+     * @param {Function} task - Async function
+     * @param {Function} describe - Optional (result) => detail for the finished step
+     * @returns {Promise<*>} Result of the task - errors are left running for complete(error)
+     */
+    async run(id, label, task, describe = null) {
+      progress.start(id, label);
+      const result = await task();
+      progress.finish(id, describe?.(result) || '');
+      return result;
+    },
+
+    /**
+     * Get the id of the step that is running (the latest, if several are)
+     * @returns {string|null} Step id
+     */
+    current() {
+      const running = [...steps.values()].filter(step => step.status === 'running');
+      return running.length > 0 ? running[running.length - 1].id : null;
+    },
+
+    /**
+     * End the run - steps still running fail (or are cancelled) with the error
+     * @param {Error} error - Error that ended the run, if any
+     * @returns {number} Run duration in ms
+     */
+    complete(error = null) {
+      if (duration !== null) return duration;
+
+      for (const step of [...steps.values()].filter(step => step.status === 'running')) {
+        if (!error) {
+          progress.finish(step.id, step.detail);
+        } else if (isAbortError(error)) {
+          progress.finish(step.id, 'cancelled', 'cancelled');
+        } else {
+          progress.finish(step.id, getOriginalError(error).message || error.message, 'failed');
+        }
+      }
+
+      duration = endRun();
+      emit('complete');
+      return duration;
+    },
+
+    getSteps,
+
+    /**
+     * Subscribe to step events
+     * @param {Function} listener - Called with {type: 'start'|'update'|'finish'|'complete', step, steps, duration}
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+
+  return progress;
+}
+
+export default {
+  createProgress,
+  formatDuration
+};
@@ -0,0 +1,196 @@
+// =====================================
+// SERVICE HEALTH
+// Readiness of the embedding and translation services, cached per provider so
+// that checking it doesn't cost an API call every time:
+// - test requests are trusted for config.HEALTH.ttl (failures for config.HEALTH.failureTtl)
+// - every real request updates the entry: a response proves the service works,
+//   a rejected key (AUTH/PAYMENT) or an unreachable service marks it as failed
+// - setting a key or changing a provider's settings drops the entry
+//
+// Each service registers its own check (registerHealthCheck); getServiceHealth() runs them all.
+//
+// Entry: {service, provider, status, ready, message, code, checkedAt, checkedBy: 'test'|'request'}
+// =====================================
+
+import config from './config.js';
+import { debugLog, isAbortError, getOriginalError } from './utils.js';
+
+const healthCache = new Map();
+const healthChecks = new Map();
+const healthListeners = new Set();
+
+// Error codes that say something about the service (rate limits and rejected requests don't)
+const FAILURE_STATUSES = {
+  AUTH: 'auth_failed',
+  PAYMENT: 'payment_required',
+  SERVER: 'unavailable',
+  TIMEOUT: 'unavailable',
+  NETWORK: 'unavailable'
+};
+
+// =====================================
+// HEALTH CACHE
+// =====================================
+
+/**
+ * Tell listeners that the health of a service changed
+ * @param {Object} entry - Health entry (status 'unchecked' when it was dropped)
+ */
+function notifyHealthChange(entry) {
+  healthListeners.forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      debugLog(`Service health listener failed: ${error.message}`, 'error');
+    }
+  });
+}
+
+/**
+ * Get the cached health of a provider, if it is still valid
+ * @param {string} service - 'embedding' or 'translation'
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} Health entry with cached: true, or null
+ */
+export function getCachedHealth(service, providerId) {
+  const entry = healthCache.get(`${service}:${providerId}`);
+  if (!entry) {
+    return null;
+  }
+
+  const ttl = entry.ready ? config.HEALTH.ttl : config.HEALTH.failureTtl;
+  if (Date.now() - entry.checkedAt > ttl) {
+    healthCache.delete(`${service}:${providerId}`);
+    return null;
+  }
+
+  return { ...entry, cached: true };
+}
+
+/**
+ * Store the health of a provider
+ * @param {string} service - 'embedding' or 'translation'
+ * @param {string} providerId - Provider id
+ * @param {Object} health - {status, ready, message, code, checkedBy}
+ * @returns {Object} Stored entry
+ */
+export function recordServiceHealth(service, providerId, health) {
+  const previous = healthCache.get(`${service}:${providerId}`);
+  const entry = {
+    service,
+    provider: providerId,
+    message: '',
+    code: null,
+    checkedBy: 'test',
+    ...health,
+    checkedAt: Date.now()
+  };
+  healthCache.set(`${service}:${providerId}`, entry);
+
+  // Successful requests only refresh the timestamp - listeners hear about changes
+  if (previous?.status !== entry.status || previous?.message !== entry.message) {
+    debugLog(`Service health: ${service} (${providerId}) ${entry.status}${entry.message ? ` - ${entry.message}` : ''}`, entry.ready ? 'info' : 'warn');
+    notifyHealthChange({ ...entry });
+  }
+  return entry;
+}
+
+/**
+ * Record a request that reached the service
+ * @param {string} service - 'embedding' or 'translation'
+ * @param {string} providerId - Provider id
+ * @returns {Object} Stored entry
+ */
+export function recordServiceSuccess(service, providerId) {
+  return recordServiceHealth(service, providerId, { status: 'ready', ready: true, checkedBy: 'request' });
+}
+
+/**
+ * Record a failed request - only failures that say the service is unusable change its health
+ * @param {string} service - 'embedding' or 'translation'
+ * @param {string} providerId - Provider id
+ * @param {Error} error - Error from the request
+ * @returns {Object|null} Stored entry, or null if the error says nothing about the service
+ */
+export function recordServiceError(service, providerId, error) {
+  const status = FAILURE_STATUSES[error?.code];
+  if (!status || isAbortError(error)) {
+    return null;
+  }
+
+  return recordServiceHealth(service, providerId, {
+    status,
+    ready: false,
+    message: getOriginalError(error).message || error.message,
+    code: error.code,
+    checkedBy: 'request'
+  });
+}
+
+/**
+ * Drop cached health (after a key or settings change)
+ * @param {string} service - 'embedding' or 'translation' (all services when omitted)
+ * @param {string} providerId - Provider id (all providers of the service when omitted)
+ */
+export function invalidateServiceHealth(service = null, providerId = null) {
+  for (const [key, entry] of healthCache) {
+    if ((!service || entry.service === service) && (!providerId || entry.provider === providerId)) {
+      healthCache.delete(key);
+      notifyHealthChange({ service: entry.service, provider: entry.provider, status: 'unchecked', ready: null, message: '' });
+    }
+  }
+}
+
+/**
+ * Subscribe to health changes (e.g. to update a status badge)
+ * @param {Function} listener - Called with the changed entry
+ * @returns {Function} Unsubscribe function
+ */
+export function onServiceHealthChange(listener) {
+  healthListeners.add(listener);
+  return () => healthListeners.delete(listener);
+}
+
+// =====================================
+// HEALTH CHECKS
+// =====================================
+
+/**
+ * Register the check of a service
+ * @param {string} service - Service name
+ * @param {Function} check - async ({force}) => status object with {status, ready}
+ */
+export function registerHealthCheck(service, check) {
+  healthChecks.set(service, check);
+}
+
+/**
+ * Check all registered services - answered from the cache where possible
+ * @param {Object} options - {force: true} to send test requests even when the cache is valid
+ * @returns {Promise<Object>} {embedding, translation, ready}
+ */
+export async function getServiceHealth(options = {}) {
+  const results = await Promise.all([...healthChecks].map(async ([service, check]) => {
+    try {
+      return [service, await check(options)];
+    } catch (error) {
+      return [service, { service, status: 'error', ready: false, message: error.message }];
+    }
+  }));
+
+  return {
+    ...Object.fromEntries(results),
+    ready: results.every(([, health]) => health.ready)
+  };
+}
+
+export default {
+  getCachedHealth,
+  recordServiceHealth,
+  recordServiceSuccess,
+  recordServiceError,
+  invalidateServiceHealth,
+  onServiceHealthChange,
+  registerHealthCheck,
+  getServiceHealth
+};
@@ -23,314 +23,893 @@
 // - More coherent, thematically consistent context
 // - Efficient use of translation context window
 // - Still captures exceptional matches from other documents
+//
+// PRIORITY STRATEGIES (config.SIMILARITY.STRATEGIES.priorityProfiles):
+// - balanced: mixes thematic and high-similarity passages, even budget split
+// - documents-first: boosts passages from the top documents, favors sections
+// - paragraphs-first: ranks on similarity alone, favors paragraphs
+// Advanced scoring additionally applies level-specific weights before ranking.
+//
+// LANGUAGE MODES (config.SIMILARITY.LANGUAGE_MODE):
+// - all: every corpus language searched together
+// - source / target: only the source- or target-language corpus
+// - both: each language searched on its own, with its own share of the context budget
+// Passages are labeled SOURCE-LANGUAGE or TARGET-LANGUAGE REFERENCE in the prompt;
+// target-language passages are the ones that shape register and terminology.
+//
+// ALIGNED EXAMPLES (config.SIMILARITY.ALIGNED_EXAMPLES):
+// When alignment data is passed, aligned source/target pairs whose source passage
+// matches the input are returned as alignedExamples (EXAMPLE TRANSLATIONS in the prompt).
+//
+// HYBRID RETRIEVAL (config.SIMILARITY.HYBRID):
+// When the input text is passed (queryText), sections and paragraphs are also ranked
+// by BM25 keyword score (lexical-index.js) and the two rankings are fused, so passages
+// sharing exact terms, acronyms or names with the input aren't missed. The fused score
+// (result.scores.fused) only orders the passages: result.score stays the cosine similarity,
+// which thresholds, confidence and the prompt headers are measured against. result.scores
+// also keeps the lexical (BM25) component, and metadata.passages reports them for every
+// context passage.
 // =====================================
 
 import config from './config.js';
-import { debugLog, startTimer } from './utils.js';
+import { debugLog, startTimer, getDocumentLanguage, isAbortError } from './utils.js';
+import { getVectorIndex } from './vector-index.js';
+import { getLexicalIndex } from './lexical-index.js';
 
 // =====================================
 // CORE SIMILARITY FUNCTIONS
 // =====================================
 
 /**
- * Calculate cosine similarity between two vectors
- * @param {number[]} vectorA - First embedding vector
- * @param {number[]} vectorB - Second embedding vector
- * @returns {number} Similarity score (0-1)
+ * Search for similar vectors at a specific level
+ * Scores come from the level's vector index (vector-index.js): a dot product for
+ * normalized vectors, approximate (IVF) search for very large levels
+ * @param {number[]} userEmbedding - User input embedding
+ * @param {Array} vectorArray - Array of vector objects
+ * @param {string} level - Level type ('document', 'section', 'paragraph')
+ * @param {Object} options - Search options (threshold, maxResults, filter(item) to skip items,
+ *                           queryText, queryLanguage and fusion settings for hybrid retrieval)
+ * @returns {Array} Similar vectors with score (cosine) and scores {semantic, lexical, fused, ...} - ordered by
+ *                  scores.fused with hybrid retrieval (null without it), by score otherwise
  */
-function calculateCosineSimilarity(vectorA, vectorB) {
-    if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
-        return 0;
+function searchVectorsAtLevel(userEmbedding, vectorArray, level, options = {}) {
+    if (!userEmbedding || !Array.isArray(vectorArray) || vectorArray.length === 0) {
+        debugLog(`No vectors available for ${level} search`, 'warn');
+        return [];
     }
     
-    let dotProduct = 0;
-    let magnitudeA = 0;
-    let magnitudeB = 0;
+    const threshold = options.threshold ?? config.SIMILARITY.MIN_THRESHOLD[level]; // Minimum similarity threshold
+    const maxResults = options.maxResults ?? config.SIMILARITY.TOP_K[level]; // Maximum results per level
+    const index = getVectorIndex(vectorArray, { label: level });
     
-    for (let i = 0; i < vectorA.length; i++) {
-        dotProduct += vectorA[i] * vectorB[i];
-        magnitudeA += vectorA[i] * vectorA[i];
-        magnitudeB += vectorB[i] * vectorB[i];
-    }
+    const filter = options.filter ? position => options.filter(vectorArray[position]) : null;
+    const fusion = options.fusion;
+    const hybrid = Boolean(fusion?.enabled && options.queryText && fusion.levels.includes(level));
+    
+    debugLog(`Searching ${vectorArray.length} ${level} vectors (${index.type} index${hybrid ? ` + BM25, ${fusion.method} fusion` : ''})...`, 'info');
+    
+    const matches = hybrid
+        ? searchHybrid(userEmbedding, options.queryText, vectorArray, level, { threshold, maxResults, filter, fusion, queryLanguage: options.queryLanguage })
+        : index.search(userEmbedding, { threshold, topK: maxResults, filter })
+            .map(({ position, score }) => ({ position, score, scores: { semantic: score, lexical: null, fused: null } }));
+    
+    const topResults = matches.map(({ position, score, scores }) => {
+        const vectorItem = vectorArray[position];
+        return {
+            item: vectorItem,
+            score: score,
+            scores: scores,
+            level: level,
+            // Include text and metadata for context
+            text: vectorItem.text || '',
+            title: vectorItem.title || vectorItem.document_id || `${level}_${vectorItem.id}`,
+            document_id: vectorItem.document_id || vectorItem.id
+        };
+    });
     
-    const magnitude = Math.sqrt(magnitudeA) * Math.sqrt(magnitudeB);
-    if (magnitude === 0) return 0;
+    debugLog(`${level} search: returning top ${topResults.length} above threshold ${threshold}`, 'info');
     
-    return dotProduct / magnitude;
+    return topResults;
 }
 
+// =====================================
+// HYBRID RETRIEVAL
+// =====================================
+
 /**
- * Search for similar vectors at a specific level
+ * Rank one level by both cosine similarity and BM25, and fuse the two rankings
+ * Candidates are the top fusion.candidates of each ranking: passages above the
+ * similarity threshold, and passages containing query terms whatever their similarity
  * @param {number[]} userEmbedding - User input embedding
- * @param {Array} vectorArray - Array of vector objects
- * @param {string} level - Level type ('document', 'section', 'paragraph')
- * @param {Object} options - Search options
- * @returns {Array} Similar vectors with scores
+ * @param {string} queryText - User input text
+ * @param {Array} vectorArray - Array of vector objects (with text)
+ * @param {string} level - Level type
+ * @param {Object} settings - {threshold, maxResults, filter(position), fusion (retrieval profile fusion settings),
+ *                            queryLanguage (for the query's stopwords - all lists when null)}
+ * @returns {Array} [{position, score (cosine), scores: {semantic, lexical, fused, semanticRank, lexicalRank, matchedTerms}}],
+ *                  best fused score first
  */
-function searchVectorsAtLevel(userEmbedding, vectorArray, level, options = {}) {
-    if (!userEmbedding || !Array.isArray(vectorArray) || vectorArray.length === 0) {
-        debugLog(`No vectors available for ${level} search`, 'warn');
-        return [];
+function searchHybrid(userEmbedding, queryText, vectorArray, level, { threshold, maxResults, filter, fusion, queryLanguage = null }) {
+    const vectorIndex = getVectorIndex(vectorArray, { label: level });
+    const lexicalIndex = getLexicalIndex(vectorArray, { label: level });
+    const poolSize = Math.max(fusion.candidates, maxResults);
+
+    const semanticMatches = vectorIndex.search(userEmbedding, { threshold, topK: poolSize, filter });
+    const lexicalMatches = lexicalIndex.search(queryText, { topK: poolSize, filter, language: queryLanguage });
+
+    const candidates = new Map();
+    semanticMatches.forEach(({ position, score }, rank) => {
+        candidates.set(position, { semantic: score, lexical: 0, semanticRank: rank + 1, lexicalRank: null, matchedTerms: [] });
+    });
+    lexicalMatches.forEach(({ position, score, matchedTerms }, rank) => {
+        const candidate = candidates.get(position)
+            || { semantic: vectorIndex.score(userEmbedding, position), semanticRank: null };
+        candidates.set(position, { ...candidate, lexical: score, lexicalRank: rank + 1, matchedTerms });
+    });
+
+    const { semantic: semanticWeight, lexical: lexicalWeight } = fusion.weights;
+    const totalWeight = semanticWeight + lexicalWeight || 1;
+    const bestLexical = lexicalMatches[0]?.score || 0;
+    const reciprocalRank = rank => rank ? 1 / (fusion.rrfK + rank) : 0;
+
+    const fused = [...candidates].map(([position, scores]) => {
+        let fusedScore;
+        if (fusion.method === 'rrf') {
+            // Scaled so that first place in both rankings scores 1
+            fusedScore = (semanticWeight * reciprocalRank(scores.semanticRank) + lexicalWeight * reciprocalRank(scores.lexicalRank))
+                / (totalWeight * reciprocalRank(1));
+        } else {
+            // No query term in the level: nothing to weigh against, the cosine score stands
+            fusedScore = bestLexical > 0
+                ? (semanticWeight * scores.semantic + lexicalWeight * scores.lexical / bestLexical) / totalWeight
+                : scores.semantic;
+        }
+        return { position, score: scores.semantic, scores: { ...scores, fused: fusedScore } };
+    });
+
+    fused.sort((a, b) => b.scores.fused - a.scores.fused);
+    debugLog(`${level} hybrid search: ${semanticMatches.length} semantic + ${lexicalMatches.length} lexical candidates (${candidates.size} distinct)`, 'info');
+
+    return fused.slice(0, maxResults);
+}
+
+// =====================================
+// PRIORITY STRATEGIES & SCORING
+// =====================================
+
+/**
+ * Resolve the priority strategy profile for a search
+ * @param {Object} options - Search options (priorityStrategy, useAdvancedScoring)
+ * @returns {Object} Strategy profile with name and useAdvancedScoring flag
+ */
+function resolveStrategy(options = {}) {
+    const strategies = config.SIMILARITY.STRATEGIES;
+    let name = options.priorityStrategy || strategies.defaultPriorityStrategy;
+
+    if (!strategies.priorityProfiles[name]) {
+        debugLog(`Unknown priority strategy "${name}" - using ${strategies.defaultPriorityStrategy}`, 'warn');
+        name = strategies.defaultPriorityStrategy;
+    }
+
+    const useAdvancedScoring = typeof options.useAdvancedScoring === 'boolean'
+        ? options.useAdvancedScoring
+        : strategies.useAdvancedScoring;
+
+    return {
+        name,
+        useAdvancedScoring,
+        ...strategies.priorityProfiles[name]
+    };
+}
+
+/**
+ * Get the score that orders a result: the fused score with hybrid retrieval, the cosine score otherwise
+ * @param {Object} result - Similarity result from searchVectorsAtLevel
+ * @returns {number} Ordering score
+ */
+function getOrderingScore(result) {
+    return result.scores?.fused ?? result.score;
+}
+
+/**
+ * Rank results for selection using the active strategy
+ * The cosine similarity is kept in `score` for thresholds and display; ranking uses
+ * `rankScore`, built on the fused score with hybrid retrieval
+ * @param {Array} results - Similarity results from searchVectorsAtLevel
+ * @param {Object} strategy - Strategy profile from resolveStrategy
+ * @returns {Array} New array of results with rankScore, highest first
+ */
+function rankResults(results, strategy) {
+    const levelWeights = config.SIMILARITY.STRATEGIES.levelWeights;
+
+    return results
+        .map(result => {
+            const levelWeight = strategy.useAdvancedScoring ? (levelWeights[result.level] || 1) : 1;
+            const coherenceBonus = result.priority === 'document-coherent' ? strategy.coherenceBoost : 0;
+
+            return {
+                ...result,
+                rankScore: getOrderingScore(result) * levelWeight + coherenceBonus
+            };
+        })
+        .sort((a, b) => b.rankScore - a.rankScore);
+}
+
+// =====================================
+// RETRIEVAL PROFILE
+// =====================================
+
+const FUSION_METHODS = ['weighted', 'rrf'];
+
+/**
+ * Build the effective retrieval profile for a search
+ * Config defaults (config.SIMILARITY) are merged level by level with caller overrides
+ * from options.retrievalProfile, so a partial override like { topK: { section: 10 } } works
+ * @param {Object} options - Search options (retrievalProfile, maxContextLength)
+ * @param {Object} strategy - Strategy profile from resolveStrategy
+ * @returns {Object} Effective retrieval profile
+ */
+export function resolveRetrievalProfile(options = {}, strategy = resolveStrategy(options)) {
+    const overrides = options.retrievalProfile || {};
+    const similarityConfig = config.SIMILARITY;
+
+    return {
+        topK: { ...similarityConfig.TOP_K, ...overrides.topK },
+        minThreshold: { ...similarityConfig.MIN_THRESHOLD, ...overrides.minThreshold },
+        globalCandidates: { ...similarityConfig.GLOBAL_CANDIDATES, ...overrides.globalCandidates },
+        exceptionalGlobalThreshold: overrides.exceptionalGlobalThreshold ?? similarityConfig.EXCEPTIONAL_GLOBAL_THRESHOLD,
+        maxPrioritized: { ...strategy.maxPrioritized, ...overrides.maxPrioritized },
+        maxExceptionalGlobal: { ...strategy.maxExceptionalGlobal, ...overrides.maxExceptionalGlobal },
+        maxContextLength: options.maxContextLength || similarityConfig.MAX_CONTEXT_LENGTH,
+        fusion: resolveFusion(overrides.fusion)
+    };
+}
+
+/**
+ * Build the hybrid retrieval settings (config.SIMILARITY.HYBRID without the index settings)
+ * @param {Object} overrides - Caller overrides {enabled, method, weights: {semantic, lexical}, rrfK, candidates, levels}
+ * @returns {Object} Effective fusion settings
+ */
+function resolveFusion(overrides = {}) {
+    const { bm25, ...defaults } = config.SIMILARITY.HYBRID;
+    const fusion = {
+        ...defaults,
+        ...overrides,
+        weights: { ...defaults.weights, ...overrides.weights }
+    };
+
+    if (!FUSION_METHODS.includes(fusion.method)) {
+        debugLog(`Unknown fusion method "${fusion.method}" - using ${defaults.method}`, 'warn');
+        fusion.method = defaults.method;
+    }
+    return fusion;
+}
+
+/**
+ * Split vector data into the levels that have vectors and the ones that don't
+ * @param {Object} vectorData - Vector data {documents, sections, paragraphs}
+ * @returns {Object} {vectors: {document, section, paragraph}, searched, missing}
+ */
+function getAvailableLevels(vectorData) {
+    const vectors = {
+        document: Array.isArray(vectorData?.documents) ? vectorData.documents : [],
+        section: Array.isArray(vectorData?.sections) ? vectorData.sections : [],
+        paragraph: Array.isArray(vectorData?.paragraphs) ? vectorData.paragraphs : []
+    };
+    
+    const levelNames = Object.keys(vectors);
+    return {
+        vectors,
+        searched: levelNames.filter(level => vectors[level].length > 0),
+        missing: levelNames.filter(level => vectors[level].length === 0)
+    };
+}
+
+// =====================================
+// CORPUS LANGUAGES
+// =====================================
+
+const LANGUAGE_MODES = ['all', 'source', 'target', 'both'];
+
+/**
+ * Work out which corpus languages to search and how to split the context budget
+ * @param {Object} options - Search options (languageMode, languages {source, target}, languageBudgetShare)
+ * @returns {Object} {mode, languages, runs: [{role, language, share}]} - runs are searched in order
+ */
+function resolveLanguagePlan(options = {}) {
+    const languageConfig = config.SIMILARITY.LANGUAGE_MODE;
+    const languages = options.languages?.source && options.languages?.target ? options.languages : null;
+    let mode = options.languageMode || languageConfig.default;
+
+    if (!LANGUAGE_MODES.includes(mode)) {
+        debugLog(`Unknown language mode "${mode}" - using ${languageConfig.default}`, 'warn');
+        mode = languageConfig.default;
+    }
+    if (mode !== 'all' && !languages) {
+        debugLog(`Language mode "${mode}" needs a source and target language - searching all languages`, 'warn');
+        mode = 'all';
+    }
+
+    if (mode === 'all') {
+        return { mode, languages, runs: [{ role: null, language: null, share: 1 }] };
+    }
+    if (mode === 'source' || mode === 'target') {
+        return { mode, languages, runs: [{ role: mode, language: languages[mode], share: 1 }] };
+    }
+
+    const budgetShare = { ...languageConfig.budgetShare, ...options.languageBudgetShare };
+    const totalShare = (budgetShare.target + budgetShare.source) || 1;
+    return {
+        mode,
+        languages,
+        runs: [
+            { role: 'target', language: languages.target, share: budgetShare.target / totalShare },
+            { role: 'source', language: languages.source, share: budgetShare.source / totalShare }
+        ]
+    };
+}
+
+/**
+ * Create a filter that keeps only the vectors of one corpus language
+ * (levels are searched whole with the filter, so their indexes are built once)
+ * @param {string|null} language - 2-letter language code (null keeps everything)
+ * @returns {Function|null} filter(item) => boolean, or null for no filtering
+ */
+function createLanguageFilter(language) {
+    if (!language) {
+        return null;
+    }
+
+    return item => getDocumentLanguage(item.document_id || item.id) === language;
+}
+
+/**
+ * Tag results with their corpus language and its role in the translation
+ * @param {Array} results - Similarity results
+ * @param {Object|null} languages - {source, target} language codes
+ * @returns {Array} The same results with language and languageRole set
+ */
+function tagLanguageRole(results, languages) {
+    for (const result of results) {
+        result.language = getDocumentLanguage(result.document_id || result.item.id);
+        result.languageRole = !languages || !result.language ? null
+            : result.language === languages.target ? 'target'
+            : result.language === languages.source ? 'source'
+            : null;
+    }
+    return results;
+}
+
+// =====================================
+// ALIGNED EXAMPLE TRANSLATIONS
+// Alignment files (corpora/<domain>/<domain>-alignments.json) link passages that
+// translate each other, one unit per language:
+//
+//   { "alignments": [{
+//       "id": "gai-align_0001",
+//       "level": "paragraph",
+//       "units": {
+//         "en": { "document_id": "gai-eng_item001", "id": "section_3_1_p2" },
+//         "es": { "document_id": "gai-esp_item003", "id": "section_2_p1" }
+//       }
+//   }] }
+//
+// A unit's text comes from its vector item unless the unit has its own "text".
+// The source-language unit needs a vector: it is what the input is compared with.
+// =====================================
+
+/**
+ * Key a vector item or alignment unit by document and id (section ids repeat across documents)
+ * @param {Object} unit - Vector item or alignment unit {document_id, id}
+ * @returns {string} Lookup key
+ */
+function getUnitKey(unit) {
+    const documentId = unit.document_id || unit.id;
+    return `${documentId}::${unit.id || documentId}`;
+}
+
+/**
+ * Find aligned source/target pairs whose source passage matches the input
+ * @param {number[]} userEmbedding - User input embedding
+ * @param {Object} vectorData - Vector data {documents, sections, paragraphs}
+ * @param {Object} alignmentData - Alignment data {alignments} from loadAlignments()
+ * @param {Object} options - {languages: {source, target}, maxExamples, minScore, maxLength}
+ * @returns {Object} {examples: [{id, level, score, source, target}], candidates, contextLength}
+ */
+export function findAlignedExamples(userEmbedding, vectorData, alignmentData, options = {}) {
+    const settings = { ...config.SIMILARITY.ALIGNED_EXAMPLES, ...options };
+    const languages = options.languages;
+    const alignments = alignmentData?.alignments || [];
+
+    if (!languages?.source || !languages?.target || alignments.length === 0) {
+        return { examples: [], candidates: 0, contextLength: 0 };
+    }
+
+    // Source passages are scored through their level's vector index (items may come without vectors)
+    const lookup = new Map();
+    for (const [level, items] of Object.entries(getAvailableLevels(vectorData).vectors)) {
+        items.forEach((item, position) => lookup.set(getUnitKey(item), { ...item, level, position, items }));
+    }
+
+    const createSide = (unit, item, language) => ({
+        language,
+        document_id: unit.document_id || item?.document_id || null,
+        id: unit.id || item?.id || null,
+        title: unit.title || item?.title || '',
+        text: unit.text || item?.text || ''
+    });
+
+    const candidates = [];
+    for (const alignment of alignments) {
+        const sourceUnit = alignment.units?.[languages.source];
+        const targetUnit = alignment.units?.[languages.target];
+        if (!sourceUnit || !targetUnit) continue;
+
+        const sourceItem = lookup.get(getUnitKey(sourceUnit));
+        if (!sourceItem) continue;
+
+        const source = createSide(sourceUnit, sourceItem, languages.source);
+        const target = createSide(targetUnit, lookup.get(getUnitKey(targetUnit)), languages.target);
+        if (!source.text || !target.text) continue;
+
+        const score = getVectorIndex(sourceItem.items, { label: sourceItem.level }).score(userEmbedding, sourceItem.position);
+        if (score >= settings.minScore) {
+            candidates.push({ id: alignment.id, level: alignment.level || sourceItem.level, score, source, target });
+        }
     }
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    // Keep whole pairs only - a truncated side would no longer match its translation
+    const examples = [];
+    let contextLength = 0;
+    for (const candidate of candidates) {
+        if (examples.length >= settings.maxExamples) break;
+
+        const pairLength = candidate.source.text.length + candidate.target.text.length;
+        if (contextLength + pairLength > settings.maxLength) continue;
+
+        examples.push(candidate);
+        contextLength += pairLength;
+    }
+
+    debugLog(`Aligned examples: ${examples.length} of ${candidates.length} matching pairs (${languages.source} → ${languages.target}, ${contextLength} chars)`, 'info');
+
+    return { examples, candidates: candidates.length, contextLength };
+}
+
+// =====================================
+// DOCUMENT-AWARE SEARCH
+// =====================================
+
+/**
+ * Run the document-aware search over one set of vectors
+ * @param {number[]} userEmbedding - User input embedding
+ * @param {Object} vectors - Vectors per level {document, section, paragraph}
+ * @param {Object} strategy - Strategy profile from resolveStrategy
+ * @param {Object} profile - Retrieval profile from resolveRetrievalProfile
+ * @param {Object|null} languages - {source, target} for labeling passages
+ * @param {Object} search - {filter(item) limiting the search (e.g. to one corpus language),
+ *                          queryText and queryLanguage for hybrid retrieval}
+ * @returns {Object} Ranked results per level and the balanced selection
+ */
+function searchCorpus(userEmbedding, vectors, strategy, profile, languages, { filter = null, queryText = null, queryLanguage = null } = {}) {
+    // Step 1: Find top similar documents (for thematic coherence)
+    const documentResults = tagLanguageRole(rankResults(searchVectorsAtLevel(
+        userEmbedding,
+        vectors.document,
+        'document',
+        { threshold: profile.minThreshold.document, maxResults: profile.topK.document, filter }
+    ), strategy), languages);
     
-    const results = [];
-    const threshold = options.threshold || 0.3; // Minimum similarity threshold
-    const maxResults = options.maxResults || 5; // Maximum results per level
+    const relevantDocuments = new Set(
+        documentResults.map(result => result.document_id || result.item.id)
+    );
     
-    debugLog(`Searching ${vectorArray.length} ${level} vectors...`, 'info');
+    // Step 2: Prioritize sections/paragraphs from relevant documents
+    const prioritizedSections = [];
+    const prioritizedParagraphs = [];
+    const globalSections = [];
+    const globalParagraphs = [];
     
-    // Calculate similarity for each vector
-    for (const vectorItem of vectorArray) {
-        if (!vectorItem.vector || !Array.isArray(vectorItem.vector)) {
-            continue;
-        }
-        
-        // Calculate cosine similarity
-        const similarity = calculateCosineSimilarity(userEmbedding, vectorItem.vector);
-        
-        if (similarity >= threshold) {
-            results.push({
-                item: vectorItem,
-                score: similarity,
-                level: level,
-                // Include text and metadata for context
-                text: vectorItem.text || '',
-                title: vectorItem.title || vectorItem.document_id || `${level}_${vectorItem.id}`,
-                document_id: vectorItem.document_id || vectorItem.id
-            });
+    // Search sections and paragraphs
+    const allSectionResults = tagLanguageRole(searchVectorsAtLevel(
+        userEmbedding, 
+        vectors.section, 
+        'section', 
+        { threshold: profile.minThreshold.section, maxResults: profile.topK.section, filter, queryText, queryLanguage, fusion: profile.fusion }
+    ), languages);
+    
+    const allParagraphResults = tagLanguageRole(searchVectorsAtLevel(
+        userEmbedding, 
+        vectors.paragraph, 
+        'paragraph', 
+        { threshold: profile.minThreshold.paragraph, maxResults: profile.topK.paragraph, filter, queryText, queryLanguage, fusion: profile.fusion }
+    ), languages);
+    
+    // Without document vectors, the documents behind the best passages stand in for the top documents
+    if (!vectors.document.some(item => !filter || filter(item))) {
+        const passageResults = [...allSectionResults, ...allParagraphResults]
+            .sort((a, b) => getOrderingScore(b) - getOrderingScore(a));
+        for (const result of passageResults) {
+            if (relevantDocuments.size >= profile.topK.document) break;
+            const docId = result.document_id || result.item.document_id;
+            if (docId) relevantDocuments.add(docId);
         }
     }
     
-    // Sort by similarity score (highest first) and limit results
-    results.sort((a, b) => b.score - a.score);
-    const topResults = results.slice(0, maxResults);
+    debugLog(`Found ${relevantDocuments.size} relevant documents for context`, 'info');
     
-    debugLog(`${level} search: ${results.length} above threshold, returning top ${topResults.length}`, 'info');
+    // Separate into prioritized (from relevant docs) and global
+    for (const result of allSectionResults) {
+        const docId = result.document_id || result.item.document_id;
+        if (relevantDocuments.has(docId)) {
+            prioritizedSections.push({ ...result, priority: 'document-coherent' });
+        } else {
+            globalSections.push({ ...result, priority: 'high-similarity' });
+        }
+    }
     
-    return topResults;
+    // Separate paragraphs into prioritized and global
+    for (const result of allParagraphResults) {
+        const docId = result.document_id || result.item.document_id;
+        if (relevantDocuments.has(docId)) {
+            prioritizedParagraphs.push({ ...result, priority: 'document-coherent' });
+        } else {
+            globalParagraphs.push({ ...result, priority: 'high-similarity' });
+        }
+    }
+    
+    // Limit global results to the profile's candidate pool
+    const globalSectionCount = Math.min(profile.globalCandidates.section, globalSections.length);
+    const globalParagraphCount = Math.min(profile.globalCandidates.paragraph, globalParagraphs.length);
+
+    // Step 3: Create balanced selection for context (ranked by the active strategy)
+    const selectedResults = selectBalancedContext({
+        prioritizedSections: rankResults(prioritizedSections, strategy),
+        prioritizedParagraphs: rankResults(prioritizedParagraphs, strategy),
+        globalSections: rankResults(globalSections.slice(0, globalSectionCount), strategy),
+        globalParagraphs: rankResults(globalParagraphs.slice(0, globalParagraphCount), strategy)
+    }, profile);
+
+    return {
+        documentResults,
+        relevantDocuments,
+        sections: [...prioritizedSections, ...globalSections],
+        paragraphs: [...prioritizedParagraphs, ...globalParagraphs],
+        prioritizedCount: prioritizedSections.length + prioritizedParagraphs.length,
+        resultCounts: {
+            documents: documentResults.length,
+            sections: prioritizedSections.length + globalSectionCount,
+            paragraphs: prioritizedParagraphs.length + globalParagraphCount
+        },
+        // Best cosine scores (hybrid results are ordered by their fused score)
+        topScores: {
+            document: documentResults[0]?.score || 0,
+            section: Math.max(0, ...allSectionResults.map(r => r.score)),
+            paragraph: Math.max(0, ...allParagraphResults.map(r => r.score))
+        },
+        globalCount: globalSectionCount + globalParagraphCount,
+        selectedResults
+    };
 }
 
 /**
  * Main function to find similar context using document-aware strategy
  * @param {number[]} userEmbedding - User input embedding from JINA API
- * @param {Object} vectorData - Complete vector data {documents, sections, paragraphs}
- * @param {Object} options - Search options
- * @returns {Object} Similarity search results with context
+ * @param {Object} vectorData - Vector data {documents, sections, paragraphs}; missing or empty levels are skipped
+ * @param {Object} options - Search options (priorityStrategy, useAdvancedScoring, maxContextLength, retrievalProfile,
+ *                           languageMode, languages {source, target}, languageBudgetShare {target, source},
+ *                           alignments from loadAlignments() to also return aligned example pairs,
+ *                           queryText (the input text) for hybrid lexical + semantic retrieval (stopwords of
+ *                           languages.source are left out; of every listed language without it) - fusion
+ *                           settings go in retrievalProfile.fusion {enabled, method, weights, rrfK, candidates, levels},
+ *                           signal to stop between language runs when the translation is cancelled)
+ * @returns {Object} Similarity search results with context and alignedExamples (metadata.retrievalProfile echoes the effective settings,
+ *                   metadata.passages has the score components of every context passage)
  */
 export async function findSimilarContext(userEmbedding, vectorData, options = {}) {
     const endTimer = startTimer('Similarity search');
     
     try {
+        options.signal?.throwIfAborted();
+        
         // Validate inputs
         if (!userEmbedding || !Array.isArray(userEmbedding)) {
             throw new Error('Invalid user embedding - must be array');
         }
         
-        if (!vectorData || !vectorData.documents || !vectorData.sections || !vectorData.paragraphs) {
-            throw new Error('Invalid vector data - missing required levels');
+        // Every level is optional (e.g. no paragraph vector file yet), but at least one must have vectors
+        const levels = getAvailableLevels(vectorData);
+        if (levels.searched.length === 0) {
+            throw new Error('Invalid vector data - no vectors at any level');
+        }
+        if (levels.missing.length > 0) {
+            debugLog(`Searching without ${levels.missing.join(', ')} vectors`, 'warn');
         }
         
-        debugLog('Starting document-aware similarity search...', 'info');
-        
-        // Step 1: Find top similar documents (for thematic coherence)
-        const documentResults = searchVectorsAtLevel(
-            userEmbedding, 
-            vectorData.documents, 
-            'document', 
-            { threshold: 0.3, maxResults: 3 }
-        );
-        
-        const relevantDocuments = new Set(
-            documentResults.map(result => result.document_id || result.item.id)
-        );
-        
-        debugLog(`Found ${relevantDocuments.size} relevant documents for context`, 'info');
-        
-        // Step 2: Prioritize sections/paragraphs from relevant documents
-        const prioritizedSections = [];
-        const prioritizedParagraphs = [];
-        const globalSections = [];
-        const globalParagraphs = [];
-        
-        // Search sections
-        const allSectionResults = searchVectorsAtLevel(
-            userEmbedding, 
-            vectorData.sections, 
-            'section', 
-            { threshold: 0.25, maxResults: 15 }
-        );
-        
-        // Separate into prioritized (from relevant docs) and global
-        for (const result of allSectionResults) {
-            const docId = result.document_id || result.item.document_id;
-            if (relevantDocuments.has(docId)) {
-                prioritizedSections.push({ ...result, priority: 'document-coherent' });
-            } else {
-                globalSections.push({ ...result, priority: 'high-similarity' });
+        const strategy = resolveStrategy(options);
+        const profile = resolveRetrievalProfile(options, strategy);
+        const languagePlan = resolveLanguagePlan(options);
+
+        debugLog(`Starting document-aware similarity search (strategy: ${strategy.name}, advanced scoring: ${strategy.useAdvancedScoring ? 'on' : 'off'}, languages: ${languagePlan.mode})...`, 'info');
+
+        // Search each language run, handing budget it doesn't use on to the next one
+        const runs = [];
+        let carriedBudget = 0;
+
+        for (const plan of languagePlan.runs) {
+            options.signal?.throwIfAborted();
+            
+            if (plan.language) {
+                debugLog(`Searching ${plan.role}-language corpus (${plan.language}, ${Math.round(plan.share * 100)}% of budget)...`, 'info');
             }
+
+            const search = searchCorpus(
+                userEmbedding,
+                levels.vectors,
+                strategy,
+                profile,
+                languagePlan.languages,
+                { filter: createLanguageFilter(plan.language), queryText: options.queryText, queryLanguage: options.languages?.source || null }
+            );
+
+            const budget = Math.floor(profile.maxContextLength * plan.share) + carriedBudget;
+            const context = prepareContextForTranslation(search.selectedResults, { ...options, maxContextLength: budget }, strategy);
+            carriedBudget = Math.max(0, budget - context.contextLength);
+
+            runs.push({ ...plan, search, context });
         }
-        
-        // Search paragraphs  
-        const allParagraphResults = searchVectorsAtLevel(
-            userEmbedding, 
-            vectorData.paragraphs, 
-            'paragraph', 
-            { threshold: 0.25, maxResults: 20 }
-        );
-        
-        // Separate into prioritized and global
-        for (const result of allParagraphResults) {
-            const docId = result.document_id || result.item.document_id;
-            if (relevantDocuments.has(docId)) {
-                prioritizedParagraphs.push({ ...result, priority: 'document-coherent' });
-            } else {
-                globalParagraphs.push({ ...result, priority: 'high-similarity' });
+
+        // Combine the runs (in plan order: target-language passages first in 'both' mode)
+        const passages = runs.flatMap(run => run.context.passages);
+        const passageScores = runs.flatMap(run => run.context.selectedResults.map(describePassageScores));
+        const combinedText = passages.join('\n\n---\n\n');
+        const relevantDocuments = new Set(runs.flatMap(run => [...run.search.relevantDocuments]));
+        const sumOf = (getValue) => runs.reduce((sum, run) => sum + getValue(run), 0);
+        const maxOf = (getValue) => Math.max(0, ...runs.map(getValue));
+
+        // Aligned example pairs are budgeted separately from the context passages
+        const alignedExamples = options.alignments && config.SIMILARITY.ALIGNED_EXAMPLES.enabled
+            ? findAlignedExamples(userEmbedding, vectorData, options.alignments, { languages: options.languages })
+            : { examples: [], candidates: 0, contextLength: 0 };
+
+        const budgetUsed = {};
+        for (const run of runs) {
+            for (const [level, used] of Object.entries(run.context.budgetUsed)) {
+                budgetUsed[level] = (budgetUsed[level] || 0) + used;
             }
         }
-        
-        // Step 3: Create balanced selection for context
-        const selectedResults = selectBalancedContext({
-            prioritizedSections,
-            prioritizedParagraphs,
-            globalSections: globalSections.slice(0, 2), // Limit global results
-            globalParagraphs: globalParagraphs.slice(0, 3)
-        });
-        
-        // Prepare context text
-        const contextData = prepareContextForTranslation(selectedResults, options);
-        
+
         endTimer();
         
-        const totalResults = selectedResults.length;
+        const totalResults = sumOf(run => run.search.selectedResults.length);
         debugLog(`✅ Document-aware search complete: ${totalResults} selected results`, 'info');
-        debugLog(`   - ${prioritizedSections.length + prioritizedParagraphs.length} from relevant documents`, 'info');
-        debugLog(`   - ${Math.min(2, globalSections.length) + Math.min(3, globalParagraphs.length)} high-similarity global`, 'info');
+        debugLog(`   - ${sumOf(run => run.search.prioritizedCount)} from relevant documents`, 'info');
+        debugLog(`   - ${sumOf(run => run.search.globalCount)} high-similarity global`, 'info');
         
         // Return in format expected by main.js
         return {
-            contextPassages: contextData.passages,
-            combinedContext: contextData.combinedText,
+            contextPassages: passages,
+            combinedContext: combinedText,
+            alignedExamples: alignedExamples.examples,
             similarityResults: {
-                documents: documentResults,
-                sections: [...prioritizedSections, ...globalSections].slice(0, 8),
-                paragraphs: [...prioritizedParagraphs, ...globalParagraphs].slice(0, 10)
+                documents: runs.flatMap(run => run.search.documentResults),
+                sections: runs.flatMap(run => run.search.sections).slice(0, 8),
+                paragraphs: runs.flatMap(run => run.search.paragraphs).slice(0, 10)
             },
             metadata: {
                 totalResults: totalResults,
-                contextLength: contextData.combinedText.length,
+                contextLength: combinedText.length,
                 relevantDocuments: relevantDocuments.size,
+                levelsSearched: levels.searched,
+                levelsMissing: levels.missing,
                 resultCounts: {
-                    documents: documentResults.length,
-                    sections: prioritizedSections.length + Math.min(2, globalSections.length),
-                    paragraphs: prioritizedParagraphs.length + Math.min(3, globalParagraphs.length)
+                    documents: sumOf(run => run.search.resultCounts.documents),
+                    sections: sumOf(run => run.search.resultCounts.sections),
+                    paragraphs: sumOf(run => run.search.resultCounts.paragraphs)
                 },
                 topScores: {
-                    document: documentResults[0]?.score || 0,
-                    section: allSectionResults[0]?.score || 0,
-                    paragraph: allParagraphResults[0]?.score || 0
-                }
+                    document: maxOf(run => run.search.topScores.document),
+                    section: maxOf(run => run.search.topScores.section),
+                    paragraph: maxOf(run => run.search.topScores.paragraph)
+                },
+                strategy: {
+                    priorityStrategy: strategy.name,
+                    useAdvancedScoring: strategy.useAdvancedScoring,
+                    budgetShare: strategy.budgetShare,
+                    budgetUsed: budgetUsed
+                },
+                language: {
+                    mode: languagePlan.mode,
+                    source: languagePlan.languages?.source || null,
+                    target: languagePlan.languages?.target || null,
+                    passages: Object.fromEntries(runs.map(run => [run.role || 'all', run.context.passages.length]))
+                },
+                alignedExamples: {
+                    candidates: alignedExamples.candidates,
+                    used: alignedExamples.examples.length,
+                    contextLength: alignedExamples.contextLength
+                },
+                hybrid: {
+                    used: Boolean(options.queryText && profile.fusion.enabled),
+                    lexicalMatches: passageScores.filter(passage => passage.lexical > 0).length
+                },
+                passages: passageScores,
+                retrievalProfile: profile
             }
         };
         
     } catch (error) {
         endTimer();
-        debugLog(`❌ Similarity search failed: ${error.message}`, 'error');
+        if (!isAbortError(error)) {
+            debugLog(`❌ Similarity search failed: ${error.message}`, 'error');
+        }
         throw error;
     }
 }
 
 /**
  * Select balanced context from prioritized and global results
- * @param {Object} results - Object containing prioritized and global results
+ * @param {Object} results - Object containing prioritized and global results (ranked)
+ * @param {Object} profile - Retrieval profile from resolveRetrievalProfile
  * @returns {Array} Selected results for context
  */
-function selectBalancedContext({ prioritizedSections, prioritizedParagraphs, globalSections, globalParagraphs }) {
+function selectBalancedContext({ prioritizedSections, prioritizedParagraphs, globalSections, globalParagraphs }, profile) {
     const selected = [];
-    
+
     // Strategy: Favor document-coherent content, but include exceptional global matches
-    
+
     // Take top prioritized content (from relevant documents)
-    selected.push(...prioritizedSections.slice(0, 3));  // Top 3 sections from relevant docs
-    selected.push(...prioritizedParagraphs.slice(0, 4)); // Top 4 paragraphs from relevant docs
-    
+    selected.push(...prioritizedSections.slice(0, profile.maxPrioritized.section));
+    selected.push(...prioritizedParagraphs.slice(0, profile.maxPrioritized.paragraph));
+
     // Add exceptional global content if it's significantly better
-    const globalThreshold = 0.7; // Only include global content with very high similarity
-    
+    const globalThreshold = profile.exceptionalGlobalThreshold; // Only include global content with very high similarity
+
     const exceptionalGlobalSections = globalSections.filter(r => r.score >= globalThreshold);
     const exceptionalGlobalParagraphs = globalParagraphs.filter(r => r.score >= globalThreshold);
-    
-    selected.push(...exceptionalGlobalSections.slice(0, 1)); // Max 1 exceptional global section
-    selected.push(...exceptionalGlobalParagraphs.slice(0, 2)); // Max 2 exceptional global paragraphs
-    
-    // Sort final selection by score
-    selected.sort((a, b) => b.score - a.score);
+
+    selected.push(...exceptionalGlobalSections.slice(0, profile.maxExceptionalGlobal.section));
+    selected.push(...exceptionalGlobalParagraphs.slice(0, profile.maxExceptionalGlobal.paragraph));
+
+    // Sort final selection by strategy ranking
+    selected.sort((a, b) => b.rankScore - a.rankScore);
     
     debugLog(`Selected ${selected.length} items for context (prioritized: ${prioritizedSections.length + prioritizedParagraphs.length}, exceptional global: ${exceptionalGlobalSections.length + exceptionalGlobalParagraphs.length})`, 'info');
     
     return selected;
 }
 
+/**
+ * Create the header line that labels a context passage in the prompt
+ * @param {Object} result - Similarity result
+ * @returns {string} Context header
+ */
+function createContextHeader({ title, level, score, priority, languageRole }) {
+    const priorityLabel = priority === 'document-coherent' ? 'THEMATIC MATCH' : 'HIGH SIMILARITY';
+    const languageLabel = languageRole ? `${languageRole.toUpperCase()}-LANGUAGE REFERENCE | ` : '';
+    return `[${languageLabel}${priorityLabel} ${level.toUpperCase()} - ${score.toFixed(2)}] ${title}`;
+}
+
+/**
+ * Describe how a context passage scored (metadata.passages)
+ * @param {Object} result - Selected similarity result
+ * @returns {Object} {title, level, document_id, language, score (cosine), semantic, lexical and fused (null without
+ *                   hybrid retrieval), semanticRank, lexicalRank, matchedTerms, rankScore, priority}
+ */
+function describePassageScores(result) {
+    const scores = result.scores || { semantic: result.score, lexical: null, fused: null };
+    return {
+        title: result.title,
+        level: result.level,
+        document_id: result.document_id,
+        language: result.language || null,
+        score: result.score,
+        semantic: scores.semantic,
+        lexical: scores.lexical,
+        fused: scores.fused ?? null,
+        semanticRank: scores.semanticRank ?? null,
+        lexicalRank: scores.lexicalRank ?? null,
+        matchedTerms: scores.matchedTerms || [],
+        rankScore: result.rankScore ?? result.score,
+        priority: result.priority || 'standard'
+    };
+}
+
 /**
  * Prepare context text from similarity results for translation - OPTIMIZED
  * @param {Array} results - Array of similarity results
  * @param {Object} options - Options including maxContextLength
+ * @param {Object} strategy - Strategy profile from resolveStrategy (budget split)
  * @returns {Object} Prepared context data
  */
-function prepareContextForTranslation(results, options = {}) {
+function prepareContextForTranslation(results, options = {}, strategy = resolveStrategy(options)) {
     const maxLength = options.maxContextLength || config.SIMILARITY.MAX_CONTEXT_LENGTH;
-    
+
     if (results.length === 0) {
         return {
             passages: [],
+            selectedResults: [],
             combinedText: '',
-            contextLength: 0
+            contextLength: 0,
+            budgetUsed: {}
         };
     }
-    
-    debugLog(`Optimizing context: ${results.length} candidates, max ${maxLength} characters`, 'info');
-    
-    // Sort ALL results by similarity score (highest first) - let relevance decide
-    const sortedResults = [...results].sort((a, b) => b.score - a.score);
-    
-    const selectedPassages = [];
+
+    debugLog(`Optimizing context: ${results.length} candidates, max ${maxLength} characters (${strategy.name} budget split)`, 'info');
+
+    // Sort ALL results by strategy ranking (highest first)
+    const sortedResults = [...results]
+        .filter(result => result.text)
+        .sort((a, b) => (b.rankScore ?? b.score) - (a.rankScore ?? a.score));
+
+    // Reserve a share of the budget for each level
+    const levelBudgets = {};
+    const budgetUsed = {};
+    for (const [level, share] of Object.entries(strategy.budgetShare || {})) {
+        levelBudgets[level] = Math.floor(maxLength * share);
+        budgetUsed[level] = 0;
+    }
+
+    const selectedIndexes = new Set();
     let totalLength = 0;
+
+    const getPassageLength = (result) => {
+        const contextHeader = createContextHeader(result);
+        return contextHeader.length + result.text.length + 10; // +10 for separators
+    };
+
+    const selectResult = (result, index, passageLength) => {
+        selectedIndexes.add(index);
+        totalLength += passageLength;
+        budgetUsed[result.level] = (budgetUsed[result.level] || 0) + passageLength;
+        debugLog(`✅ Selected ${result.level} (${result.score.toFixed(2)} similarity, ${result.text.length} chars) - ${Math.round(totalLength/maxLength*100)}% budget used`, 'info');
+    };
+
+    // Pass 1: fill each level's reserved share in ranking order
+    sortedResults.forEach((result, index) => {
+        const passageLength = getPassageLength(result);
+        const levelBudget = levelBudgets[result.level] || 0;
+
+        if (budgetUsed[result.level] + passageLength <= levelBudget && totalLength + passageLength <= maxLength) {
+            selectResult(result, index, passageLength);
+        }
+    });
+
+    // Pass 2: hand unused budget to the best remaining passages of any level
+    sortedResults.forEach((result, index) => {
+        if (selectedIndexes.has(index)) return;
+
+        const passageLength = getPassageLength(result);
+
+        if (totalLength + passageLength <= maxLength) {
+            selectResult(result, index, passageLength);
+        } else {
+            debugLog(`⏭️ Skipped ${result.level} (${result.score.toFixed(2)} similarity) - would exceed limit by ${(totalLength + passageLength - maxLength)} chars`, 'info');
+        }
+    });
+
+    // Keep the selected passages in ranking order
+    const selectedPassages = [];
+    const selectedResults = [];
     let prioritizedCount = 0;
     let globalCount = 0;
-    
-    // Greedily select passages until we hit the character limit
-    for (const result of sortedResults) {
-        const { text, title, level, score, priority } = result;
-        
-        // Skip if no text available
-        if (!text) continue;
-        
-        // Create context header
-        const similarityScore = score.toFixed(2);
-        const priorityLabel = priority === 'document-coherent' ? 'THEMATIC MATCH' : 'HIGH SIMILARITY';
-        const contextHeader = `[${priorityLabel} ${level.toUpperCase()} - ${similarityScore}] ${title}`;
-        
-        // Calculate full passage length (no truncation - either fits or doesn't)
-        const passageLength = contextHeader.length + text.length + 10; // +10 for separators
-        
-        // Check if we can fit this complete passage
-        if (totalLength + passageLength <= maxLength) {
-            const passage = `${contextHeader}\n${text}`;
-            selectedPassages.push(passage);
-            totalLength += passageLength;
-            
-            // Track selection stats
-            if (priority === 'document-coherent') {
-                prioritizedCount++;
-            } else {
-                globalCount++;
-            }
-            
-            debugLog(`✅ Selected ${level} (${score.toFixed(2)} similarity, ${text.length} chars) - ${Math.round(totalLength/maxLength*100)}% budget used`, 'info');
+
+    sortedResults.forEach((result, index) => {
+        if (!selectedIndexes.has(index)) return;
+
+        selectedPassages.push(`${createContextHeader(result)}\n${result.text}`);
+        selectedResults.push(result);
+
+        // Track selection stats
+        if (result.priority === 'document-coherent') {
+            prioritizedCount++;
         } else {
-            debugLog(`⏭️ Skipped ${level} (${score.toFixed(2)} similarity) - would exceed limit by ${(totalLength + passageLength - maxLength)} chars`, 'info');
+            globalCount++;
         }
-    }
-    
+    });
+
     // Combine selected passages
     const combinedText = selectedPassages.join('\n\n---\n\n');
     const efficiency = Math.round(combinedText.length/maxLength*100);
@@ -341,9 +920,11 @@ function prepareContextForTranslation(results, options = {}) {
     
     return {
         passages: selectedPassages,
+        selectedResults: selectedResults,
         combinedText: combinedText,
         contextLength: combinedText.length,
         efficiency: efficiency,
+        budgetUsed: budgetUsed,
         selection: {
             candidatesConsidered: results.length,
             candidatesSelected: selectedPassages.length,
@@ -407,7 +988,10 @@ export function formatContextForDisplay(contextResults) {
             title: result.title,
             text: result.text,
             document_id: result.document_id,
+            language: result.language || null,
+            languageRole: result.languageRole || null,
             priority: result.priority || 'standard', // Show if it's document-coherent or high-similarity
+            scores: result.scores || null,
             preview: result.text ? result.text.substring(0, 150) + (result.text.length > 150 ? '...' : '') : ''
         }));
 }
@@ -418,6 +1002,8 @@ export function formatContextForDisplay(contextResults) {
 
 export default {
     findSimilarContext,
+    findAlignedExamples,
+    resolveRetrievalProfile,
     getSimilarityStats,
     formatContextForDisplay
 };
\ No newline at end of file
@@ -0,0 +1,486 @@
+// =====================================
+// TRANSLATION MEMORY
+// Source/target segment pairs from earlier translations, stored in the browser
+// (IndexedDB database config.TRANSLATION.MEMORY.databaseName) and exchanged as TMX 1.4
+//
+// - Segments are sentences; paragraphs (split on blank lines) are stored as one
+//   segment when source and translation don't split into the same sentences
+// - Exact matches compare whitespace-normalized text
+// - Fuzzy matches are scored by character edit distance:
+//   similarity = 1 - distance / length of the longer segment
+// - A stored pair serves both directions (an en→es pair is found for es→en too)
+// =====================================
+
+import config from './config.js';
+import { debugLog, startTimer } from './utils.js';
+
+const DATABASE_VERSION = 1;
+const SEGMENT_STORE = 'segments';
+
+// =====================================
+// SEGMENTATION
+// =====================================
+
+/**
+ * Normalize a segment for exact matching
+ * @param {string} text - Segment text
+ * @returns {string} Trimmed text with collapsed whitespace
+ */
+function normalizeSegment(text) {
+  return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a paragraph into sentences
+ * @param {string} paragraph - Paragraph text
+ * @param {string} language - Language code (for Intl.Segmenter)
+ * @returns {string[]} Sentences
+ */
+function splitSentences(paragraph, language) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+    return Array.from(segmenter.segment(paragraph), ({ segment }) => normalizeSegment(segment)).filter(Boolean);
+  }
+
+  return paragraph.split(/(?<=[.!?…])\s+/).map(normalizeSegment).filter(Boolean);
+}
+
+/**
+ * Split a text into paragraphs and sentences
+ * @param {string} text - Text to segment
+ * @param {string} language - Language code
+ * @returns {Array} Paragraphs: [{text, sentences: string[]}]
+ */
+export function segmentText(text, language = 'en') {
+  return (text || '')
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(normalizeSegment)
+    .filter(Boolean)
+    .map(paragraph => ({ text: paragraph, sentences: splitSentences(paragraph, language) }));
+}
+
+/**
+ * Pair up a source text and its translation segment by segment
+ * @param {string} sourceText - Source text
+ * @param {string} translatedText - Translation
+ * @param {Object} languageDirection - {source, target}
+ * @returns {Array} Pairs [{source, target}] - sentences where both sides split alike, else paragraphs, else the whole text
+ */
+function alignSegments(sourceText, translatedText, languageDirection) {
+  const sourceParagraphs = segmentText(sourceText, languageDirection.source);
+  const targetParagraphs = segmentText(translatedText, languageDirection.target);
+
+  if (sourceParagraphs.length !== targetParagraphs.length) {
+    return [{ source: normalizeSegment(sourceText), target: normalizeSegment(translatedText) }];
+  }
+
+  return sourceParagraphs.flatMap((paragraph, index) => {
+    const targetParagraph = targetParagraphs[index];
+    if (paragraph.sentences.length !== targetParagraph.sentences.length) {
+      return [{ source: paragraph.text, target: targetParagraph.text }];
+    }
+    return paragraph.sentences.map((sentence, sentenceIndex) => ({
+      source: sentence,
+      target: targetParagraph.sentences[sentenceIndex]
+    }));
+  });
+}
+
+// =====================================
+// INDEXEDDB STORAGE
+// =====================================
+
+let databasePromise = null;
+
+/**
+ * Check whether the browser can hold a translation memory
+ * @returns {boolean} True if IndexedDB is available and the memory is enabled
+ */
+export function isTranslationMemoryAvailable() {
+  return config.TRANSLATION.MEMORY.enabled && typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (once) the translation memory database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this environment'));
+        return;
+      }
+
+      const request = indexedDB.open(config.TRANSLATION.MEMORY.databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SEGMENT_STORE, { keyPath: 'key' });
+        store.createIndex('pair', 'pair');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null; // Allow a retry
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run requests in one transaction on the segment store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the store; its return value (or request result) resolves the promise
+ * @returns {Promise<*>} Callback result once the transaction completes
+ */
+async function withSegmentStore(mode, callback) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(SEGMENT_STORE, mode);
+    const result = callback(transaction.objectStore(SEGMENT_STORE));
+
+    transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Translation memory transaction aborted'));
+  });
+}
+
+/**
+ * Create a stored segment record
+ * @param {Object} pair - {source, target}
+ * @param {Object} languageDirection - {source, target}
+ * @param {Object} details - {domain, origin, created}
+ * @returns {Object} Record for the segment store
+ */
+function createRecord(pair, languageDirection, details = {}) {
+  const now = new Date().toISOString();
+  const pairCode = `${languageDirection.source}>${languageDirection.target}`;
+
+  return {
+    key: `${pairCode}|${normalizeSegment(pair.source)}`,
+    pair: pairCode,
+    sourceLang: languageDirection.source,
+    targetLang: languageDirection.target,
+    source: normalizeSegment(pair.source),
+    target: normalizeSegment(pair.target),
+    domain: details.domain || null,
+    origin: details.origin || 'translation',
+    created: details.created || now,
+    updated: now
+  };
+}
+
+/**
+ * Load the stored pairs for a language direction, including reversed pairs
+ * @param {Object} languageDirection - {source, target}
+ * @returns {Promise<Object[]>} Records oriented as source → target
+ */
+async function loadPairs(languageDirection) {
+  const forwardCode = `${languageDirection.source}>${languageDirection.target}`;
+  const reverseCode = `${languageDirection.target}>${languageDirection.source}`;
+
+  const [forward, reverse] = await withSegmentStore('readonly', store => [
+    store.index('pair').getAll(forwardCode),
+    store.index('pair').getAll(reverseCode)
+  ]).then(requests => requests.map(request => request.result || []));
+
+  return [
+    ...forward,
+    ...reverse.map(record => ({ ...record, source: record.target, target: record.source, reversed: true }))
+  ];
+}
+
+// =====================================
+// MATCHING
+// =====================================
+
+/**
+ * Character edit distance between two strings (Levenshtein)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions and substitutions
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how closely two segments match
+ * @param {string} a - First segment (normalized)
+ * @param {string} b - Second segment (normalized)
+ * @param {number} threshold - Scores below this are not computed exactly
+ * @returns {number} Similarity 0-1
+ */
+function fuzzyScore(a, b, threshold) {
+  const longer = Math.max(a.length, b.length);
+  if (longer === 0) return 1;
+
+  // The length difference alone bounds the score - skip pairs that can't reach the threshold
+  if (Math.min(a.length, b.length) / longer < threshold) return 0;
+
+  return 1 - editDistance(a.toLowerCase(), b.toLowerCase()) / longer;
+}
+
+/**
+ * Find the best fuzzy matches for a segment
+ * @param {string} segment - Normalized segment
+ * @param {Object[]} records - Stored pairs (source → target)
+ * @param {Object} settings - config.TRANSLATION.MEMORY
+ * @returns {Array} Matches [{source, target, score}], best first
+ */
+function findFuzzyMatches(segment, records, settings) {
+  return records
+    .map(record => ({ source: record.source, target: record.target, score: fuzzyScore(segment, record.source, settings.fuzzyThreshold) }))
+    .filter(match => match.score >= settings.fuzzyThreshold && match.score < 1)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.maxFuzzyMatches);
+}
+
+/**
+ * Look up a source text in the translation memory
+ * @param {string} sourceText - Text to translate
+ * @param {Object} languageDirection - {source, target}
+ * @returns {Promise<Object>} {segments: [{text, exact, fuzzy}], exactCount, fuzzyCount, reusedTranslation}
+ *                            reusedTranslation is set when exact matches cover every segment
+ */
+export async function lookupSegments(sourceText, languageDirection) {
+  const settings = config.TRANSLATION.MEMORY;
+  const endTimer = startTimer('Translation memory lookup');
+
+  const records = await loadPairs(languageDirection);
+  // Reversed pairs go in first so a pair stored in this direction wins
+  const exactIndex = new Map([...records].reverse().map(record => [record.source, record.target]));
+
+  const segments = [];
+  const reusedParagraphs = [];
+
+  for (const paragraph of segmentText(sourceText, languageDirection.source)) {
+    // A stored paragraph covers all of its sentences
+    if (exactIndex.has(paragraph.text)) {
+      segments.push({ text: paragraph.text, exact: exactIndex.get(paragraph.text), fuzzy: [] });
+      reusedParagraphs.push(exactIndex.get(paragraph.text));
+      continue;
+    }
+
+    const sentenceTargets = [];
+    for (const sentence of paragraph.sentences) {
+      const exact = exactIndex.get(sentence) || null;
+      const fuzzy = exact || sentence.length > settings.maxSegmentLength ? [] : findFuzzyMatches(sentence, records, settings);
+      segments.push({ text: sentence, exact, fuzzy });
+      sentenceTargets.push(exact);
+    }
+    reusedParagraphs.push(sentenceTargets.every(Boolean) ? sentenceTargets.join(' ') : null);
+  }
+
+  endTimer();
+
+  const exactCount = segments.filter(segment => segment.exact).length;
+  const fuzzyCount = segments.filter(segment => !segment.exact && segment.fuzzy.length > 0).length;
+  const fullyCovered = segments.length > 0 && reusedParagraphs.every(Boolean);
+
+  debugLog(`Translation memory: ${segments.length} segments, ${exactCount} exact, ${fuzzyCount} fuzzy (${records.length} stored pairs for ${languageDirection.source}↔${languageDirection.target})`, 'info');
+
+  return {
+    segments,
+    exactCount,
+    fuzzyCount,
+    reusedTranslation: fullyCovered ? reusedParagraphs.join('\n\n') : null
+  };
+}
+
+/**
+ * Save a translation's segment pairs
+ * @param {string} sourceText - Source text
+ * @param {string} translatedText - Translation
+ * @param {Object} languageDirection - {source, target}
+ * @param {Object} details - {domain} the translation was made in
+ * @returns {Promise<number>} Number of pairs saved
+ */
+export async function storeTranslation(sourceText, translatedText, languageDirection, details = {}) {
+  const maxLength = config.TRANSLATION.MEMORY.maxSegmentLength;
+  const pairs = alignSegments(sourceText, translatedText, languageDirection)
+    .filter(pair => pair.source && pair.target && pair.source.length <= maxLength && pair.target.length <= maxLength);
+
+  if (pairs.length === 0) {
+    return 0;
+  }
+
+  await withSegmentStore('readwrite', store => {
+    pairs.forEach(pair => store.put(createRecord(pair, languageDirection, details)));
+  });
+
+  debugLog(`Translation memory: saved ${pairs.length} segment pairs`, 'info');
+  return pairs.length;
+}
+
+// =====================================
+// MANAGEMENT
+// =====================================
+
+/**
+ * Count stored pairs per language direction
+ * @returns {Promise<Object>} {total, pairs: {'en>es': n, ...}}
+ */
+export async function getTranslationMemoryStats() {
+  const records = await withSegmentStore('readonly', store => store.getAll());
+  const pairs = {};
+  records.forEach(record => {
+    pairs[record.pair] = (pairs[record.pair] || 0) + 1;
+  });
+  return { total: records.length, pairs };
+}
+
+/**
+ * Delete every stored pair
+ * @returns {Promise<void>}
+ */
+export async function clearTranslationMemory() {
+  await withSegmentStore('readwrite', store => store.clear());
+  debugLog('Translation memory cleared', 'info');
+}
+
+// =====================================
+// TMX IMPORT / EXPORT
+// =====================================
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date as a TMX timestamp (YYYYMMDDThhmmssZ)
+ * @param {string} isoDate - ISO date string
+ * @returns {string} TMX date
+ */
+function toTmxDate(isoDate) {
+  return new Date(isoDate).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Read a TMX timestamp
+ * @param {string} tmxDate - TMX date (YYYYMMDDThhmmssZ)
+ * @returns {string|null} ISO date string, or null if missing or malformed
+ */
+function fromTmxDate(tmxDate) {
+  const match = tmxDate?.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : null;
+}
+
+/**
+ * Export the whole translation memory as TMX 1.4
+ * @returns {Promise<string>} TMX document
+ */
+export async function exportTMX() {
+  const records = await withSegmentStore('readonly', store => store.getAll());
+  const sourceLanguages = [...new Set(records.map(record => record.sourceLang))];
+
+  const units = records.map(record => {
+    const domain = record.domain ? `\n      <prop type="x-domain">${escapeXml(record.domain)}</prop>` : '';
+    return `    <tu creationdate="${toTmxDate(record.created)}" changedate="${toTmxDate(record.updated)}" srclang="${record.sourceLang}">${domain}
+      <tuv xml:lang="${record.sourceLang}"><seg>${escapeXml(record.source)}</seg></tuv>
+      <tuv xml:lang="${record.targetLang}"><seg>${escapeXml(record.target)}</seg></tuv>
+    </tu>`;
+  });
+
+  debugLog(`Translation memory: exported ${records.length} pairs as TMX`, 'info');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tmx version="1.4">
+  <header creationtool="Pragmatic Auto-Translator" creationtoolversion="1.0" segtype="sentence" o-tmf="IndexedDB" adminlang="en" srclang="${sourceLanguages.length === 1 ? sourceLanguages[0] : '*all*'}" datatype="plaintext"/>
+  <body>
+${units.join('\n')}
+  </body>
+</tmx>`;
+}
+
+/**
+ * Import translation units from a TMX document
+ * Units with more than two languages are imported as one pair per language combination
+ * @param {string} tmxText - TMX document
+ * @returns {Promise<Object>} {imported, skipped}
+ */
+export async function importTMX(tmxText) {
+  const tmx = new DOMParser().parseFromString(tmxText, 'application/xml');
+  if (tmx.getElementsByTagName('parsererror').length > 0 || !tmx.querySelector('tmx')) {
+    throw new Error('Not a valid TMX file');
+  }
+
+  const maxLength = config.TRANSLATION.MEMORY.maxSegmentLength;
+  const headerSource = tmx.querySelector('header')?.getAttribute('srclang');
+  const records = [];
+  let skipped = 0;
+
+  for (const unit of tmx.querySelectorAll('body > tu')) {
+    const variants = Array.from(unit.querySelectorAll('tuv'))
+      .map(tuv => ({
+        // Region subtags are dropped: es-MX and es share one memory
+        language: (tuv.getAttribute('xml:lang') || tuv.getAttribute('lang') || '').split(/[-_]/)[0].toLowerCase(),
+        text: normalizeSegment(tuv.querySelector('seg')?.textContent)
+      }))
+      .filter(variant => variant.language && variant.text && variant.text.length <= maxLength);
+
+    if (variants.length < 2) {
+      skipped++;
+      continue;
+    }
+
+    const unitSource = (unit.getAttribute('srclang') || headerSource || '').split(/[-_]/)[0].toLowerCase();
+    const source = variants.find(variant => variant.language === unitSource) || variants[0];
+    const domain = unit.querySelector('prop[type="x-domain"]')?.textContent || null;
+    const created = fromTmxDate(unit.getAttribute('creationdate'));
+
+    variants
+      .filter(variant => variant !== source)
+      .forEach(target => records.push(createRecord(
+        { source: source.text, target: target.text },
+        { source: source.language, target: target.language },
+        { domain, origin: 'tmx', created }
+      )));
+  }
+
+  if (records.length > 0) {
+    await withSegmentStore('readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  debugLog(`Translation memory: imported ${records.length} pairs from TMX (${skipped} units skipped)`, 'info');
+  return { imported: records.length, skipped };
+}
+
+export default {
+  segmentText,
+  isTranslationMemoryAvailable,
+  lookupSegments,
+  storeTranslation,
+  getTranslationMemoryStats,
+  clearTranslationMemory,
+  exportTMX,
+  importTMX
+};
@@ -0,0 +1,662 @@
+// =====================================
+// TRANSLATION PROVIDERS
+// Chat-completions style LLM backends used by translation.js
+//
+// Supported request formats:
+// - openai: OpenAI-compatible /chat/completions (DeepSeek, OpenAI, local servers, mock servers)
+// - anthropic: Anthropic-style /v1/messages
+//
+// Each provider carries its own endpoint, model, generation parameters,
+// API key sources and error messages. The active provider can be switched at
+// runtime with setTranslationProvider() and is remembered in localStorage.
+//
+// Passing onToken to callTranslationProvider() streams the output (server-sent
+// events); servers that answer with plain JSON are handled the same as before.
+// Requests go through utils.fetchWithRetry: rate limits and server errors are
+// retried, and failures carry an error code (AUTH, PAYMENT, RATE_LIMIT, SERVER, ...).
+// Every request reports its outcome to service-health.js.
+// =====================================
+
+import config from './config.js';
+import { debugLog, fetchWithRetry, createHttpError } from './utils.js';
+import { recordServiceSuccess, recordServiceError, invalidateServiceHealth } from './service-health.js';
+
+// =====================================
+// PROVIDER DEFINITIONS
+// =====================================
+
+export const TRANSLATION_PROVIDERS = {
+  deepseek: {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    format: 'openai',
+    baseUrl: 'https://api.deepseek.com/v1/chat/completions',
+    model: 'deepseek-chat',
+    requiresApiKey: true,
+    keySources: {
+      apiConfigSection: 'DEEPSEEK_CONFIG',   // Section in api-config.js
+      windowVariable: 'DEEPSEEK_API_KEY',    // Injected global (GitHub Actions)
+      storageKey: 'deepseek_api_key',        // localStorage (user input)
+      placeholder: 'your-deepseek-api-key-here'
+    },
+    parameters: {
+      temperature: 0.3,        // Low temperature for consistent translation
+      max_tokens: 4096,        // Generous token limit for translations
+      top_p: 0.9,             // Focused sampling for quality
+      frequency_penalty: 0.0,  // No penalty for repetition in translation
+      presence_penalty: 0.0    // No penalty for presence
+    },
+    errorMessages: {
+      401: 'DeepSeek API key is invalid. Please check your API key.',
+      402: 'DeepSeek API requires payment. Please add funds to your account at platform.deepseek.com',
+      429: 'DeepSeek API rate limit exceeded. Please try again in a moment.'
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    format: 'openai',
+    baseUrl: 'https://api.openai.com/v1/chat/completions', // Point at any compatible server (incl. local mocks)
+    model: 'gpt-4o-mini',
+    requiresApiKey: true,
+    keySources: {
+      apiConfigSection: 'OPENAI_CONFIG',
+      windowVariable: 'OPENAI_API_KEY',
+      storageKey: 'openai_api_key',
+      placeholder: 'your-openai-api-key-here'
+    },
+    parameters: {
+      temperature: 0.3,
+      max_tokens: 4096,
+      top_p: 0.9
+    },
+    errorMessages: {
+      401: 'OpenAI-compatible API key is invalid. Please check your API key.',
+      404: 'OpenAI-compatible API could not find the requested model. Please check the model name.',
+      429: 'OpenAI-compatible API rate limit or quota exceeded. Please try again in a moment.'
+    }
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic',
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-sonnet-4-0',
+    apiVersion: '2023-06-01',
+    requiresApiKey: true,
+    keySources: {
+      apiConfigSection: 'ANTHROPIC_CONFIG',
+      windowVariable: 'ANTHROPIC_API_KEY',
+      storageKey: 'anthropic_api_key',
+      placeholder: 'your-anthropic-api-key-here'
+    },
+    parameters: {
+      temperature: 0.3,
+      max_tokens: 4096
+    },
+    errorMessages: {
+      401: 'Anthropic API key is invalid. Please check your API key.',
+      403: 'Anthropic API key does not have permission to use this model.',
+      429: 'Anthropic API rate limit exceeded. Please try again in a moment.',
+      529: 'Anthropic API is temporarily overloaded. Please try again in a moment.'
+    }
+  },
+
+  local: {
+    id: 'local',
+    name: 'Local model server',
+    format: 'openai',
+    baseUrl: 'http://localhost:11434/v1/chat/completions', // Ollama default; llama.cpp server uses :8080
+    model: 'llama3.1',
+    requiresApiKey: false,
+    keySources: {
+      apiConfigSection: 'LOCAL_LLM_CONFIG',
+      windowVariable: null,
+      storageKey: 'local_llm_api_key',
+      placeholder: null
+    },
+    parameters: {
+      temperature: 0.3,
+      max_tokens: 4096,
+      top_p: 0.9
+    },
+    errorMessages: {
+      404: 'Local model server could not find the requested model. Pull it first (e.g. "ollama pull llama3.1") or check the model name.',
+      500: 'Local model server failed to generate a response. Check the server logs.'
+    },
+    networkErrorMessage: 'Could not reach the local model server. Is Ollama or llama.cpp running?'
+  }
+};
+
+// =====================================
+// REQUEST FORMATS
+// =====================================
+
+const REQUEST_FORMATS = {
+  openai: {
+    buildRequest(prompt, settings, apiKey) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      return {
+        headers,
+        body: {
+          model: settings.model,
+          messages: [
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          ...settings.parameters
+        }
+      };
+    },
+
+    parseResponse(data) {
+      if (!data.choices || data.choices.length === 0) {
+        throw new Error('API returned no translation choices');
+      }
+      return data.choices[0].message?.content || '';
+    },
+
+    // finish_reason "length" - the output hit max_tokens
+    isTruncated(data) {
+      return data.choices?.[0]?.finish_reason === 'length';
+    },
+
+    // Stream chunks: {choices: [{delta: {content}, finish_reason}]}
+    parseStreamEvent(data) {
+      if (data.error) {
+        throw new Error(data.error.message || 'Stream interrupted by an error');
+      }
+      const choice = data.choices?.[0];
+      return { text: choice?.delta?.content || '', truncated: choice?.finish_reason === 'length' };
+    }
+  },
+
+  anthropic: {
+    buildRequest(prompt, settings, apiKey) {
+      return {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': settings.apiVersion,
+          // Required for calls made directly from the browser
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model: settings.model,
+          messages: [
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          ...settings.parameters
+        }
+      };
+    },
+
+    parseResponse(data) {
+      if (!Array.isArray(data.content) || data.content.length === 0) {
+        throw new Error('API returned no translation content');
+      }
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+
+    isTruncated(data) {
+      return data.stop_reason === 'max_tokens';
+    },
+
+    // Stream events: content_block_delta carries the text, message_delta the stop_reason
+    parseStreamEvent(data) {
+      if (data.type === 'error') {
+        throw new Error(data.error?.message || 'Stream interrupted by an error');
+      }
+      return {
+        text: data.type === 'content_block_delta' ? data.delta?.text || '' : '',
+        truncated: data.type === 'message_delta' && data.delta?.stop_reason === 'max_tokens'
+      };
+    }
+  }
+};
+
+// =====================================
+// ACTIVE PROVIDER & SETTINGS
+// =====================================
+
+const ACTIVE_PROVIDER_STORAGE_KEY = 'translation_provider';
+const PROVIDER_SETTINGS_STORAGE_KEY = 'translation_provider_settings';
+
+let activeProviderId = null;
+
+/**
+ * Read a JSON value from localStorage without throwing
+ * @param {string} key - Storage key
+ * @returns {any} Parsed value or null
+ */
+function readStoredJson(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the id of the provider translations are sent to
+ * @returns {string} Provider id
+ */
+export function getActiveProviderId() {
+  if (activeProviderId) {
+    return activeProviderId;
+  }
+
+  let storedId = null;
+  try {
+    storedId = localStorage.getItem(ACTIVE_PROVIDER_STORAGE_KEY);
+  } catch (error) {
+    // localStorage unavailable - fall back to config default
+  }
+
+  activeProviderId = TRANSLATION_PROVIDERS[storedId] ? storedId : config.TRANSLATION.DEFAULT_PROVIDER;
+  return activeProviderId;
+}
+
+/**
+ * Get a provider definition
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Object} Provider definition
+ */
+export function getTranslationProvider(providerId = getActiveProviderId()) {
+  const provider = TRANSLATION_PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown translation provider: ${providerId}. Available: ${Object.keys(TRANSLATION_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * List available providers (for UI and debugging)
+ * @returns {Array} Provider summaries
+ */
+export function listTranslationProviders() {
+  const activeId = getActiveProviderId();
+  return Object.values(TRANSLATION_PROVIDERS).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    model: provider.model,
+    requiresApiKey: provider.requiresApiKey,
+    active: provider.id === activeId
+  }));
+}
+
+/**
+ * Switch the active provider, optionally overriding its endpoint, model or parameters
+ * @param {string} providerId - Provider id
+ * @param {Object} overrides - Optional {baseUrl, model, parameters}
+ */
+export function setTranslationProvider(providerId, overrides = null) {
+  getTranslationProvider(providerId); // Validates the id
+
+  activeProviderId = providerId;
+  if (overrides) {
+    invalidateServiceHealth('translation', providerId); // Another endpoint or model
+  }
+
+  try {
+    localStorage.setItem(ACTIVE_PROVIDER_STORAGE_KEY, providerId);
+
+    if (overrides) {
+      const allSettings = readStoredJson(PROVIDER_SETTINGS_STORAGE_KEY) || {};
+      allSettings[providerId] = overrides;
+      localStorage.setItem(PROVIDER_SETTINGS_STORAGE_KEY, JSON.stringify(allSettings));
+    }
+  } catch (error) {
+    debugLog('Could not persist translation provider selection', 'warn');
+  }
+
+  debugLog(`Translation provider set to ${providerId}`, 'info');
+}
+
+// Local API configuration (loaded dynamically, shared by all providers)
+let localApiConfig = null;
+
+/**
+ * Load api-config.js if available
+ * @returns {Promise<Object|false>} Imported module or false if not found
+ */
+async function loadLocalApiConfig() {
+  if (localApiConfig !== null) {
+    return localApiConfig; // Already loaded
+  }
+
+  try {
+    localApiConfig = await import('./api-config.js');
+    debugLog('Local translation API config loaded successfully', 'info');
+  } catch (error) {
+    localApiConfig = false; // Mark as attempted but not found
+    debugLog('No local API config found (this is normal for production)', 'info');
+  }
+
+  return localApiConfig;
+}
+
+/**
+ * Get effective settings for a provider
+ * Priority: stored overrides > api-config.js section > provider defaults
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Promise<Object>} Settings {baseUrl, model, apiVersion, parameters}
+ */
+export async function getProviderSettings(providerId = getActiveProviderId()) {
+  const provider = getTranslationProvider(providerId);
+  const apiConfig = await loadLocalApiConfig();
+  const section = apiConfig ? apiConfig[provider.keySources.apiConfigSection] : null;
+  const stored = (readStoredJson(PROVIDER_SETTINGS_STORAGE_KEY) || {})[providerId] || {};
+
+  const configuredUrl = section?.BASE_URL && section?.CHAT_ENDPOINT
+    ? `${section.BASE_URL}${section.CHAT_ENDPOINT}`
+    : null;
+
+  return {
+    baseUrl: stored.baseUrl || configuredUrl || provider.baseUrl,
+    model: stored.model || section?.MODEL || provider.model,
+    apiVersion: provider.apiVersion,
+    parameters: {
+      ...provider.parameters,
+      ...stored.parameters
+    }
+  };
+}
+
+// =====================================
+// API KEY MANAGEMENT
+// =====================================
+
+const providerApiKeys = {};
+
+/**
+ * Set a provider API key in memory
+ * @param {string} providerId - Provider id
+ * @param {string} apiKey - API key
+ */
+export function setProviderApiKey(providerId, apiKey) {
+  const provider = getTranslationProvider(providerId);
+  providerApiKeys[providerId] = apiKey;
+  invalidateServiceHealth('translation', providerId);
+  debugLog(`${provider.name} API key set`, 'info');
+}
+
+/**
+ * Store a provider API key in localStorage (and memory)
+ * @param {string} providerId - Provider id
+ * @param {string} apiKey - API key
+ */
+export function storeProviderApiKeyLocally(providerId, apiKey) {
+  const provider = getTranslationProvider(providerId);
+  try {
+    localStorage.setItem(provider.keySources.storageKey, apiKey);
+    setProviderApiKey(providerId, apiKey);
+    debugLog(`${provider.name} API key stored locally`, 'info');
+  } catch (error) {
+    debugLog(`Failed to store ${provider.name} API key locally`, 'error');
+  }
+}
+
+/**
+ * Get a provider API key from local config, environment, memory or localStorage
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Promise<string|null>} API key if available
+ */
+export async function getProviderApiKey(providerId = getActiveProviderId()) {
+  const provider = getTranslationProvider(providerId);
+  const { apiConfigSection, windowVariable, storageKey, placeholder } = provider.keySources;
+
+  // Priority 1: Local API config file (for development)
+  const apiConfig = await loadLocalApiConfig();
+  const configKey = apiConfig?.[apiConfigSection]?.API_KEY;
+  if (configKey && configKey !== placeholder) {
+    debugLog(`Using ${provider.name} API key from local config file`, 'info');
+    return configKey;
+  }
+
+  // Priority 2: Environment variable (for GitHub Actions)
+  if (windowVariable && window[windowVariable]) {
+    debugLog(`Using ${provider.name} API key from environment variable`, 'info');
+    return window[windowVariable];
+  }
+
+  // Priority 3: Previously set key in memory
+  if (providerApiKeys[providerId]) {
+    debugLog(`Using ${provider.name} API key from memory`, 'info');
+    return providerApiKeys[providerId];
+  }
+
+  // Priority 4: localStorage (user input)
+  try {
+    const storedKey = localStorage.getItem(storageKey);
+    if (storedKey) {
+      providerApiKeys[providerId] = storedKey;
+      debugLog(`Using ${provider.name} API key from localStorage`, 'info');
+      return storedKey;
+    }
+  } catch (error) {
+    debugLog(`Could not access localStorage for ${provider.name} API key`, 'warn');
+  }
+
+  return null;
+}
+
+/**
+ * Check if a provider can be called (has a key, or needs none)
+ * @param {string} providerId - Provider id (defaults to the active provider)
+ * @returns {Promise<boolean>} True if the provider is usable
+ */
+export async function isProviderReady(providerId = getActiveProviderId()) {
+  const provider = getTranslationProvider(providerId);
+  if (!provider.requiresApiKey) {
+    return true;
+  }
+  return !!(await getProviderApiKey(providerId));
+}
+
+// =====================================
+// PROVIDER CALLS
+// =====================================
+
+/**
+ * Map a non-OK response to a readable error message
+ * @param {Object} provider - Provider definition
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Error message
+ */
+async function getProviderErrorMessage(provider, response) {
+  if (provider.errorMessages[response.status]) {
+    return provider.errorMessages[response.status];
+  }
+
+  let errorMessage = `${provider.name} API error: ${response.status} ${response.statusText}`;
+  try {
+    const errorData = await response.json();
+    if (errorData.error && errorData.error.message) {
+      errorMessage = `${provider.name} API error: ${errorData.error.message}`;
+    }
+  } catch (e) {
+    // Use the default error message if we can't parse the response
+  }
+  return errorMessage;
+}
+
+/**
+ * Get the message shown when a provider cannot be reached
+ * @param {Object} provider - Provider definition
+ * @returns {string} Message
+ */
+function getNetworkErrorMessage(provider) {
+  return provider.networkErrorMessage || `Network error connecting to ${provider.name} API. Please check your connection.`;
+}
+
+/**
+ * Read a server-sent event stream and pass each JSON payload on
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Object} provider - Provider definition (for network errors)
+ * @param {Function} onData - Called with each parsed payload
+ * @param {AbortSignal} signal - Stops reading when the request is cancelled (optional)
+ */
+async function readEventStream(response, provider, onData, signal = null) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = false;
+
+  while (!done) {
+    if (signal?.aborted) {
+      reader.cancel().catch(() => {});
+      throw signal.reason;
+    }
+
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw createHttpError(getNetworkErrorMessage(provider), 'NETWORK');
+    }
+    done = chunk.done;
+    buffer += decoder.decode(chunk.value, { stream: !done });
+
+    // Events may be split across chunks - keep the unfinished last line for the next one
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      // Only data lines matter (event names, ids and keep-alive comments are skipped)
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') continue;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (error) {
+        debugLog(`Skipping malformed stream event: ${payload.slice(0, 80)}`, 'warn');
+        continue;
+      }
+      onData(data);
+    }
+  }
+}
+
+/**
+ * Send a prompt to a translation provider
+ * @param {string} prompt - Complete prompt
+ * @param {Object} options - {providerId, parameters} (parameters override the provider's),
+ *                           {onToken(delta, text)} to stream the output as it is generated,
+ *                           {signal} to cancel the request (including a running stream),
+ *                           {retries} to override config.HTTP.retries
+ * @returns {Promise<Object>} {text, provider, model, usage, truncated}
+ */
+export async function callTranslationProvider(prompt, options = {}) {
+  const provider = getTranslationProvider(options.providerId);
+  const settings = await getProviderSettings(provider.id);
+  settings.parameters = { ...settings.parameters, ...options.parameters };
+
+  const apiKey = await getProviderApiKey(provider.id);
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error(`${provider.name} API key not found. Please set your API key.`);
+  }
+
+  const format = REQUEST_FORMATS[provider.format];
+  const request = format.buildRequest(prompt, settings, apiKey);
+  const streaming = typeof options.onToken === 'function';
+  if (streaming) {
+    request.body.stream = true;
+    request.headers['Accept'] = 'text/event-stream';
+  }
+
+  debugLog(`Sending translation request to ${provider.name} (${settings.model}${streaming ? ', streaming' : ''})...`, 'info');
+
+  let response;
+  try {
+    response = await fetchWithRetry(settings.baseUrl, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    }, {
+      label: `${provider.name} API`,
+      signal: options.signal,
+      ...(options.retries !== undefined ? { retries: options.retries } : {}),
+      errorMessage: (failedResponse) => getProviderErrorMessage(provider, failedResponse),
+      networkErrorMessage: getNetworkErrorMessage(provider)
+    });
+  } catch (error) {
+    recordServiceError('translation', provider.id, error);
+    throw error;
+  }
+  recordServiceSuccess('translation', provider.id);
+
+  let text = '';
+  let truncated = false;
+  let usage = null;
+
+  // Servers without streaming support answer with plain JSON
+  if (streaming && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+    await readEventStream(response, provider, data => {
+      const event = format.parseStreamEvent(data);
+      truncated = truncated || event.truncated;
+      usage = data.usage || usage;
+      if (event.text) {
+        text += event.text;
+        options.onToken(event.text, text);
+      }
+    }, options.signal);
+    text = text.trim();
+  } else {
+    const data = await response.json();
+    text = format.parseResponse(data).trim();
+    truncated = format.isTruncated(data);
+    usage = data.usage || null;
+    if (streaming && text) {
+      options.onToken(text, text);
+    }
+  }
+
+  if (truncated) {
+    debugLog(`${provider.name} stopped at max_tokens (${settings.parameters.max_tokens}) - the end of the output is missing`, 'warn');
+  }
+
+  return {
+    text,
+    provider: provider.id,
+    model: settings.model,
+    usage,
+    truncated
+  };
+}
+
+export default {
+  TRANSLATION_PROVIDERS,
+  getActiveProviderId,
+  getTranslationProvider,
+  listTranslationProviders,
+  setTranslationProvider,
+  getProviderSettings,
+  setProviderApiKey,
+  storeProviderApiKeyLocally,
+  getProviderApiKey,
+  isProviderReady,
+  callTranslationProvider
+};
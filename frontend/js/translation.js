@@ -3,70 +3,33 @@
 // =====================================
 
 import config from './config.js';
-import { debugLog, createError, safeAsync, startTimer } from './utils.js';
+import { debugLog, createError, safeAsync, startTimer, getLanguageName, isAbortError } from './utils.js';
 import { getDocumentTitle } from './corpora-retrieval.js';
+import { findGlossaryTerms, checkGlossaryCompliance } from './glossary.js';
+import { isTranslationMemoryAvailable, lookupSegments, storeTranslation } from './translation-memory.js';
+import {
+  TRANSLATION_PROVIDERS,
+  getActiveProviderId,
+  getTranslationProvider,
+  setTranslationProvider,
+  setProviderApiKey,
+  storeProviderApiKeyLocally,
+  isProviderReady,
+  getProviderSettings,
+  callTranslationProvider
+} from './translation-providers.js';
+import { getCachedHealth, recordServiceHealth, registerHealthCheck } from './service-health.js';
 
 // =====================================
-// DEEPSEEK API CONFIGURATION
+// TRANSLATION PROVIDER ACCESS
 // =====================================
 
-// Local API configuration (loaded dynamically)
-let localApiConfig = null;
-
-/**
- * Load local API configuration if available (follows JINA pattern)
- */
-async function loadLocalApiConfig() {
-  if (localApiConfig !== null) {
-    return; // Already loaded
-  }
-  
-  try {
-    const importedConfig = await import('./api-config.js');
-    localApiConfig = importedConfig.DEEPSEEK_CONFIG;
-    debugLog('Local DeepSeek API config loaded successfully', 'info');
-  } catch (error) {
-    localApiConfig = false; // Mark as attempted but not found
-    debugLog('No local API config found (this is normal for production)', 'info');
-  }
-}
-
-const DEEPSEEK_CONFIG = {
-  // DeepSeek API endpoint
-  baseUrl: 'https://api.deepseek.com/v1/chat/completions',
-  
-  // Model configuration
-  model: 'deepseek-chat',
-  
-  // Request configuration
-  headers: {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  },
-  
-  // Generation parameters for translation
-  parameters: {
-    temperature: 0.3,        // Low temperature for consistent translation
-    max_tokens: 4096,        // Generous token limit for translations
-    top_p: 0.9,             // Focused sampling for quality
-    frequency_penalty: 0.0,  // No penalty for repetition in translation
-    presence_penalty: 0.0    // No penalty for presence
-  }
-};
-
-// =====================================
-// API KEY MANAGEMENT (following JINA pattern)
-// =====================================
-
-let deepseekApiKey = null;
-
 /**
  * Set DeepSeek API key (follows the same pattern as setJinaApiKey)
  * @param {string} apiKey - DeepSeek API key
  */
 export function setDeepSeekApiKey(apiKey) {
-  deepseekApiKey = apiKey;
-  debugLog('DeepSeek API key set', 'info');
+  setProviderApiKey('deepseek', apiKey);
 }
 
 /**
@@ -74,54 +37,23 @@ export function setDeepSeekApiKey(apiKey) {
  * @param {string} apiKey - DeepSeek API key
  */
 export function storeDeepSeekApiKeyLocally(apiKey) {
-  try {
-    localStorage.setItem('deepseek_api_key', apiKey);
-    setDeepSeekApiKey(apiKey);
-    debugLog('DeepSeek API key stored locally', 'info');
-  } catch (error) {
-    debugLog('Failed to store DeepSeek API key locally', 'error');
-  }
+  storeProviderApiKeyLocally('deepseek', apiKey);
 }
 
 /**
- * Get DeepSeek API key from local config, environment, or localStorage (following JINA pattern)
- * @returns {Promise<string|null>} API key if available
+ * Set the API key for the active translation provider
+ * @param {string} apiKey - API key
  */
-async function getDeepSeekApiKey() {
-  // Ensure local config is loaded
-  await loadLocalApiConfig();
-  
-  // Priority 1: Local API config file (for development)
-  if (localApiConfig && localApiConfig.API_KEY && localApiConfig.API_KEY !== 'your-deepseek-api-key-here') {
-    debugLog('Using DeepSeek API key from local config file', 'info');
-    return localApiConfig.API_KEY;
-  }
-  
-  // Priority 2: Environment variable (for GitHub Actions)
-  if (window.DEEPSEEK_API_KEY) {
-    debugLog('Using DeepSeek API key from environment variable', 'info');
-    return window.DEEPSEEK_API_KEY;
-  }
-  
-  // Priority 3: Previously set key in memory
-  if (deepseekApiKey) {
-    debugLog('Using DeepSeek API key from memory', 'info');
-    return deepseekApiKey;
-  }
-  
-  // Priority 4: localStorage (user input)
-  try {
-    const storedKey = localStorage.getItem('deepseek_api_key');
-    if (storedKey) {
-      deepseekApiKey = storedKey;
-      debugLog('Using DeepSeek API key from localStorage', 'info');
-      return deepseekApiKey;
-    }
-  } catch (error) {
-    debugLog('Could not access localStorage for DeepSeek API key', 'warn');
-  }
-  
-  return null;
+export function setTranslationApiKey(apiKey) {
+  setProviderApiKey(getActiveProviderId(), apiKey);
+}
+
+/**
+ * Store the API key for the active translation provider in localStorage
+ * @param {string} apiKey - API key
+ */
+export function storeTranslationApiKeyLocally(apiKey) {
+  storeProviderApiKeyLocally(getActiveProviderId(), apiKey);
 }
 
 /**
@@ -129,26 +61,124 @@ async function getDeepSeekApiKey() {
  * @returns {Promise<boolean>} True if API key is available
  */
 export async function isDeepSeekApiReady() {
-  const apiKey = await getDeepSeekApiKey();
-  return !!apiKey;
+  return isProviderReady('deepseek');
+}
+
+/**
+ * Check if the active translation provider is ready
+ * @returns {Promise<boolean>} True if the provider has a key (or needs none) and hasn't failed recently
+ */
+export async function isTranslationApiReady() {
+  const status = await getTranslationApiStatus();
+  return status.ready;
 }
 
 // =====================================
 // TRANSLATION PROMPT ENGINEERING
 // =====================================
 
+/**
+ * Create the mandatory terminology block for glossary terms found in the source text
+ * @param {Array} glossaryHits - Hits from findGlossaryTerms
+ * @returns {string} Prompt block (empty when no terms were found)
+ */
+function createGlossaryInstructions(glossaryHits) {
+  if (!glossaryHits || glossaryHits.length === 0) {
+    return '';
+  }
+
+  const termLines = glossaryHits.map(hit => {
+    const forbidden = hit.target.forbidden.length > 0 ? ` (never: ${hit.target.forbidden.join(', ')})` : '';
+    const notes = hit.notes ? ` - ${hit.notes}` : '';
+    return `- "${hit.source.term}" → "${hit.target.term}"${forbidden}${notes}`;
+  });
+
+  return `
+
+MANDATORY TERMINOLOGY:
+These terms occur in the text and must be translated exactly as given (inflect only where grammar requires):
+${termLines.join('\n')}`;
+}
+
+/**
+ * Create the translation memory block: exact matches to reuse and fuzzy matches as references
+ * @param {Object} memoryLookup - Result of lookupSegments (or null)
+ * @returns {string} Prompt block (empty when nothing matched)
+ */
+function createMemoryInstructions(memoryLookup) {
+  if (!memoryLookup || (memoryLookup.exactCount === 0 && memoryLookup.fuzzyCount === 0)) {
+    return '';
+  }
+
+  const exactLines = memoryLookup.segments
+    .filter(segment => segment.exact)
+    .map(segment => `- "${segment.text}" → "${segment.exact}"`);
+
+  const fuzzyLines = memoryLookup.segments
+    .filter(segment => !segment.exact && segment.fuzzy.length > 0)
+    .flatMap(segment => segment.fuzzy.map(match => `- (${Math.round(match.score * 100)}% match for "${segment.text}") "${match.source}" → "${match.target}"`));
+
+  let block = `
+
+TRANSLATION MEMORY:`;
+  if (exactLines.length > 0) {
+    block += `
+Approved translations of segments in this text - reuse them word for word:
+${exactLines.join('\n')}`;
+  }
+  if (fuzzyLines.length > 0) {
+    block += `
+Similar segments translated before - keep their wording wherever the meaning is the same:
+${fuzzyLines.join('\n')}`;
+  }
+  return block;
+}
+
+/**
+ * Create the block that places a part within a document translated part by part
+ * @param {Object} documentContext - {part, parts, summary, previousTranslation} from translateDocument (or null)
+ * @returns {string} Prompt block (empty outside document mode)
+ */
+function createDocumentInstructions(documentContext) {
+  if (!documentContext) {
+    return '';
+  }
+
+  let block = `
+
+DOCUMENT CONTEXT:
+The text below is part ${documentContext.part} of ${documentContext.parts} of a longer document that is translated part by part. Translate only this part: do not repeat earlier parts, do not continue past the end of the text and do not add translation notes.`;
+
+  if (documentContext.summary) {
+    block += `
+Summary of the document so far:
+${documentContext.summary}`;
+  }
+  if (documentContext.previousTranslation) {
+    block += `
+End of the previous part as translated - continue in the same terminology, register and style:
+${documentContext.previousTranslation}`;
+  }
+  return block;
+}
+
 /**
  * Create a context-informed translation prompt
  * @param {string} sourceText - Text to translate
- * @param {string} sourceLang - Source language code (en/es)
- * @param {string} targetLang - Target language code (en/es)
+ * @param {string} sourceLang - Source language code (see config.UI.LANGUAGES)
+ * @param {string} targetLang - Target language code (see config.UI.LANGUAGES)
  * @param {string} contextText - Relevant corpus context
  * @param {Object} contextMetadata - Context metadata for prompt engineering
- * @returns {string} Formatted prompt for DeepSeek
+ * @param {Object} domain - Corpus domain {code, name}
+ * @param {Array} examples - Aligned example pairs from findSimilarContext (alignedExamples)
+ * @param {Array} glossaryHits - Glossary terms found in the source text (findGlossaryTerms)
+ * @param {Object} memoryLookup - Translation memory matches (lookupSegments)
+ * @param {Object} documentContext - Position in a document translated part by part (translateDocument)
+ * @returns {string} Formatted prompt for the translation provider
  */
-function createTranslationPrompt(sourceText, sourceLang, targetLang, contextText, contextMetadata) {
-  const sourceLanguageName = sourceLang === 'en' ? 'English' : 'Spanish';
-  const targetLanguageName = targetLang === 'en' ? 'English' : 'Spanish';
+function createTranslationPrompt(sourceText, sourceLang, targetLang, contextText, contextMetadata, domain, examples = [], glossaryHits = [], memoryLookup = null, documentContext = null) {
+  const sourceLanguageName = getLanguageName(sourceLang);
+  const targetLanguageName = getLanguageName(targetLang);
   
   // Create context quality indicator
   const contextQuality = contextMetadata.totalResults > 0 ? 'high' : 'low';
@@ -169,7 +199,7 @@ TRANSLATION GUIDELINES:
 CONTEXT INFORMATION:
 - Context quality: ${contextQuality} (${contextMetadata.totalResults} relevant passages found)
 - Context strength: ${contextStrength}
-- Domain: ${config.CORPUS.DOMAIN.toUpperCase()}`;
+- Domain: ${domain.name} (${domain.code.toUpperCase()})`;
 
   // Add context breakdown if available
   if (contextMetadata.resultCounts) {
@@ -177,6 +207,33 @@ CONTEXT INFORMATION:
 - Context sources: ${contextMetadata.resultCounts.documents} documents, ${contextMetadata.resultCounts.sections} sections, ${contextMetadata.resultCounts.paragraphs} paragraphs`;
   }
 
+  // Explain the language labels on the passages (see similarity.js language modes)
+  if (contextMetadata.language?.target) {
+    prompt += `
+- Passages marked TARGET-LANGUAGE REFERENCE are ${targetLanguageName} texts from the corpus: follow their register, phrasing and terminology
+- Passages marked SOURCE-LANGUAGE REFERENCE are ${sourceLanguageName} texts: use them to understand how the source domain expresses its concepts`;
+  }
+
+  prompt += createGlossaryInstructions(glossaryHits);
+  prompt += createMemoryInstructions(memoryLookup);
+  prompt += createDocumentInstructions(documentContext);
+
+  // Add aligned pairs as few-shot examples
+  if (examples.length > 0) {
+    const exampleText = examples.map((example, index) => `Example ${index + 1} (${example.level.toUpperCase()} - ${example.score.toFixed(2)}):
+${sourceLanguageName}: ${example.source.text}
+${targetLanguageName}: ${example.target.text}`).join('\n\n');
+
+    prompt += `
+
+EXAMPLE TRANSLATIONS:
+Aligned passages from the corpus whose ${sourceLanguageName} side is similar to the text. Render terminology, phrasing and register the way these translations do.
+
+${exampleText}
+
+---`;
+  }
+
   // Add relevant context if available
   if (contextText && contextText.trim().length > 0) {
     prompt += `
@@ -202,18 +259,21 @@ TRANSLATION (preserve paragraph structure and formatting):`;
  * @param {string} sourceText - Text to translate
  * @param {string} sourceLang - Source language code
  * @param {string} targetLang - Target language code
+ * @param {Array} glossaryHits - Glossary terms found in the source text (findGlossaryTerms)
+ * @param {Object} memoryLookup - Translation memory matches (lookupSegments)
+ * @param {Object} documentContext - Position in a document translated part by part (translateDocument)
  * @returns {string} Basic translation prompt
  */
-function createFallbackTranslationPrompt(sourceText, sourceLang, targetLang) {
-  const sourceLanguageName = sourceLang === 'en' ? 'English' : 'Spanish';
-  const targetLanguageName = targetLang === 'en' ? 'English' : 'Spanish';
+function createFallbackTranslationPrompt(sourceText, sourceLang, targetLang, glossaryHits = [], memoryLookup = null, documentContext = null) {
+  const sourceLanguageName = getLanguageName(sourceLang);
+  const targetLanguageName = getLanguageName(targetLang);
   
   return `You are a professional translator. Translate the following ${sourceLanguageName} text to ${targetLanguageName}.
 
 GUIDELINES:
 1. Maintain natural, idiomatic expression
 2. Preserve style, tone, and register
-3. Ensure accuracy and fluency
+3. Ensure accuracy and fluency${createGlossaryInstructions(glossaryHits)}${createMemoryInstructions(memoryLookup)}${createDocumentInstructions(documentContext)}
 
 TEXT TO TRANSLATE:
 ${sourceText}
@@ -222,94 +282,41 @@ TRANSLATION:`;
 }
 
 // =====================================
-// DEEPSEEK API INTERACTION
+// TRANSLATION API INTERACTION
 // =====================================
 
 /**
- * Call DeepSeek API for translation
+ * Call the active translation provider
  * @param {string} prompt - Complete translation prompt
- * @returns {Promise<string>} Translated text
+ * @param {Object} options - {onToken(delta, text)} to stream the output, {signal} to cancel
+ * @returns {Promise<Object>} {text, provider, model, usage, truncated}
  */
-const callDeepSeekAPI = safeAsync(async (prompt) => {
-  const endTimer = startTimer('DeepSeek API call');
-  
-  const apiKey = await getDeepSeekApiKey();
-  if (!apiKey) {
-    throw createError('TRANSLATION_API', 'DeepSeek API key not found. Please set your API key.');
-  }
-  
-  debugLog('Sending translation request to DeepSeek API...', 'info');
+const callTranslationAPI = safeAsync(async (prompt, options = {}) => {
+  const provider = getTranslationProvider();
+  const endTimer = startTimer(`${provider.name} API call`);
   
   try {
-    const response = await fetch(DEEPSEEK_CONFIG.baseUrl, {
-      method: 'POST',
-      headers: {
-        ...DEEPSEEK_CONFIG.headers,
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: DEEPSEEK_CONFIG.model,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        ...DEEPSEEK_CONFIG.parameters
-      })
-    });
-    
-    if (!response.ok) {
-      let errorMessage = `DeepSeek API error: ${response.status} ${response.statusText}`;
-      
-      // Handle specific error codes
-      if (response.status === 402) {
-        errorMessage = 'DeepSeek API requires payment. Please add funds to your account at platform.deepseek.com';
-      } else if (response.status === 401) {
-        errorMessage = 'DeepSeek API key is invalid. Please check your API key.';
-      } else if (response.status === 429) {
-        errorMessage = 'DeepSeek API rate limit exceeded. Please try again in a moment.';
-      } else {
-        try {
-          const errorData = await response.json();
-          if (errorData.error && errorData.error.message) {
-            errorMessage = `DeepSeek API error: ${errorData.error.message}`;
-          }
-        } catch (e) {
-          // Use the default error message if we can't parse the response
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.choices || data.choices.length === 0) {
-      throw new Error('DeepSeek API returned no translation choices');
-    }
+    const result = await callTranslationProvider(prompt, { providerId: provider.id, onToken: options.onToken, signal: options.signal });
     
-    const translatedText = data.choices[0].message.content.trim();
-    
-    if (!translatedText) {
-      throw new Error('DeepSeek API returned empty translation');
+    if (!result.text) {
+      throw new Error(`${provider.name} API returned empty translation`);
     }
     
     endTimer();
-    debugLog(`Translation received: ${translatedText.length} characters`, 'info');
+    debugLog(`Translation received: ${result.text.length} characters`, 'info');
     
-    return translatedText;
+    return result;
     
   } catch (error) {
     endTimer();
     
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      throw createError('NETWORK', 'Network error connecting to DeepSeek API. Please check your connection.');
+    if (error.name === 'NetworkError') {
+      throw createError('NETWORK', error.message, error);
     }
     
-    throw createError('TRANSLATION_API', error.message);
+    throw createError('TRANSLATION_API', error.message, error);
   }
-}, 'DEEPSEEK_API');
+}, 'TRANSLATION_API');
 
 // =====================================
 // CONTEXT FORMATTING FOR DISPLAY
@@ -367,6 +374,9 @@ function formatContextForDisplay(contextResults, documentDatabase) {
         text: item.text ? item.text.substring(0, 200) + (item.text.length > 200 ? '...' : '') : '',
         documentId: item.document_id || item.id,
         id: item.id,
+        language: result.language || null,
+        languageRole: result.languageRole || null,
+        scores: result.scores || null, // Semantic and lexical components of hybrid scores
         priority: result.priority || 'standard' // Preserve the priority from similarity.js
   });
 });
@@ -397,11 +407,17 @@ function formatContextForDisplay(contextResults, documentDatabase) {
  * Translate text with corpus context (main interface function)
  * @param {string} sourceText - Text to translate
  * @param {Object} contextResults - Results from similarity search
- * @param {Object} languageDirection - {source: 'en'|'es', target: 'en'|'es'}
+ * @param {Object} languageDirection - {source, target} language codes from config.UI.LANGUAGES
  * @param {Object} documentDatabase - Document database for context formatting
+ * @param {Object} options - {domain: {code, name}} of the corpus the context came from (defaults to config.CORPUS.DOMAIN),
+ *                           {glossary} from loadGlossary() to enforce and check terminology,
+ *                           {useTranslationMemory} false to skip the translation memory,
+ *                           {documentContext} when the text is one part of a longer document (see translateDocument),
+ *                           {onStream(delta)} to receive the translation while it is generated,
+ *                           {signal} to cancel the translation
  * @returns {Promise<Object>} Translation results with context info
  */
-export const translateWithContext = safeAsync(async (sourceText, contextResults, languageDirection, documentDatabase = {}) => {
+export const translateWithContext = safeAsync(async (sourceText, contextResults, languageDirection, documentDatabase = {}, options = {}) => {
   const endTimer = startTimer('Complete translation with context');
   
   debugLog(`Starting translation: ${sourceText.length} chars (${languageDirection.source} → ${languageDirection.target})`, 'info');
@@ -415,26 +431,67 @@ export const translateWithContext = safeAsync(async (sourceText, contextResults,
     throw createError('INVALID_INPUT', 'Language direction is required (source and target)');
   }
   
-  // Check API readiness
-  if (!isDeepSeekApiReady()) {
-    throw createError('TRANSLATION_API', 'DeepSeek API key not set. Please configure your API key first.');
+  options.signal?.throwIfAborted();
+  
+  // Look the segments up in the translation memory (a failure only costs the reuse)
+  const useMemory = options.useTranslationMemory !== false && isTranslationMemoryAvailable();
+  const memoryLookup = useMemory
+    ? await lookupSegments(sourceText, languageDirection).catch(error => {
+        debugLog(`Translation memory lookup failed: ${error.message}`, 'warn');
+        return null;
+      })
+    : null;
+  
+  // Check for an API key (not needed when the memory covers the whole text)
+  if (!memoryLookup?.reusedTranslation && !(await isProviderReady())) {
+    const provider = getTranslationProvider();
+    throw createError('TRANSLATION_API', `${provider.name} API key not set. Please configure your API key first.`);
   }
   
   try {
     // Prepare context for translation
-    const hasContext = contextResults && contextResults.metadata.totalResults > 0;
+    const examples = contextResults?.alignedExamples || [];
+    const hasContext = Boolean(contextResults) && (contextResults.metadata.totalResults > 0 || examples.length > 0);
     const contextText = hasContext ? contextResults.combinedContext : '';
     const contextMetadata = hasContext ? contextResults.metadata : { totalResults: 0 };
+    const domain = options.domain || { code: config.CORPUS.DOMAIN, name: config.CORPUS.DOMAIN_NAME || config.CORPUS.DOMAIN.toUpperCase() };
+    const glossaryHits = findGlossaryTerms(sourceText, options.glossary, languageDirection);
+    const documentContext = options.documentContext || null;
     
-    // Create appropriate prompt
-    const prompt = hasContext 
-      ? createTranslationPrompt(sourceText, languageDirection.source, languageDirection.target, contextText, contextMetadata)
-      : createFallbackTranslationPrompt(sourceText, languageDirection.source, languageDirection.target);
+    let apiResult;
+    if (memoryLookup?.reusedTranslation) {
+      // Every segment has an approved translation - no API call needed
+      debugLog('Translation memory covers the whole text - reusing stored translations', 'info');
+      apiResult = { text: memoryLookup.reusedTranslation, provider: 'translation-memory', model: null };
+    } else {
+      // Create appropriate prompt
+      const prompt = hasContext 
+        ? createTranslationPrompt(sourceText, languageDirection.source, languageDirection.target, contextText, contextMetadata, domain, examples, glossaryHits, memoryLookup, documentContext)
+        : createFallbackTranslationPrompt(sourceText, languageDirection.source, languageDirection.target, glossaryHits, memoryLookup, documentContext);
+      
+      debugLog(`Translation prompt created: ${prompt.length} characters (context: ${hasContext ? 'yes' : 'no'})`, 'info');
+      
+      // Call the active translation provider
+      apiResult = await callTranslationAPI(prompt, { onToken: options.onStream, signal: options.signal });
+    }
+    const translatedText = apiResult.text;
+    const reusedFromMemory = apiResult.provider === 'translation-memory';
     
-    debugLog(`Translation prompt created: ${prompt.length} characters (context: ${hasContext ? 'yes' : 'no'})`, 'info');
+    // Save the new segment pairs - a translation cut off at the output limit is never stored,
+    // or the next identical request would reuse it as an exact match (document parts too)
+    const truncated = Boolean(apiResult.truncated);
+    if (truncated && useMemory) {
+      debugLog('Translation stopped at the output limit - not saved to translation memory', 'warn');
+    }
+    const segmentsSaved = useMemory && !reusedFromMemory && !truncated
+      ? await storeTranslation(sourceText, translatedText, languageDirection, { domain: domain.code }).catch(error => {
+          debugLog(`Could not save to translation memory: ${error.message}`, 'warn');
+          return 0;
+        })
+      : 0;
     
-    // Call DeepSeek API
-    const translatedText = await callDeepSeekAPI(prompt);
+    // Check the translation against the mandatory terms
+    const glossaryCheck = checkGlossaryCompliance(translatedText, glossaryHits);
     
     // Format context for display
     const contextForDisplay = formatContextForDisplay(contextResults, documentDatabase);
@@ -444,17 +501,36 @@ export const translateWithContext = safeAsync(async (sourceText, contextResults,
     const result = {
       translatedText: translatedText,
       contextUsed: contextForDisplay,
+      glossaryCheck: glossaryCheck,
       metadata: {
         sourceLength: sourceText.length,
         translatedLength: translatedText.length,
         languageDirection: languageDirection,
         contextAvailable: hasContext,
         contextLength: contextText.length,
-        apiModel: DEEPSEEK_CONFIG.model,
-        translationStrategy: hasContext ? 'context-informed' : 'standard'
+        examplesUsed: examples.length,
+        translationMemory: {
+          segments: memoryLookup?.segments.length || 0,
+          exactMatches: memoryLookup?.exactCount || 0,
+          fuzzyMatches: memoryLookup?.fuzzyCount || 0,
+          reused: reusedFromMemory,
+          segmentsSaved: segmentsSaved
+        },
+        glossary: {
+          termsFound: glossaryHits.length,
+          violations: glossaryCheck.violations,
+          compliant: glossaryCheck.compliant
+        },
+        apiProvider: apiResult.provider,
+        apiModel: apiResult.model,
+        truncated: truncated,
+        domain: domain.code,
+        translationStrategy: reusedFromMemory ? 'translation-memory' : hasContext ? 'context-informed' : 'standard'
       }
     };
     
+    recordTranslationStats(result.metadata, contextForDisplay);
+    
     debugLog(`✅ Translation complete: ${translatedText.length} chars, ${contextForDisplay.confidence} context confidence`, 'info');
     
     return result;
@@ -463,13 +539,13 @@ export const translateWithContext = safeAsync(async (sourceText, contextResults,
     endTimer();
     
     // Enhanced error handling
-    debugLog(`Translation failed: ${error.message}`, 'error');
+    debugLog(isAbortError(error) ? 'Translation cancelled' : `Translation failed: ${error.message}`, isAbortError(error) ? 'info' : 'error');
     
     // Re-throw with additional context
     if (error.code) {
       throw error; // Already a formatted error
     } else {
-      throw createError('TRANSLATION_GENERAL', `Translation failed: ${error.message}`);
+      throw createError('TRANSLATION_GENERAL', `Translation failed: ${error.message}`, error);
     }
   }
 }, 'TRANSLATION_WITH_CONTEXT');
@@ -479,16 +555,18 @@ export const translateWithContext = safeAsync(async (sourceText, contextResults,
 // =====================================
 
 /**
- * Test DeepSeek API connection
+ * Test a translation provider connection
+ * @param {string} providerId - Provider id (defaults to the active provider)
  * @returns {Promise<Object>} API status information
  */
-export const testDeepSeekConnection = safeAsync(async () => {
-  const apiKey = await getDeepSeekApiKey();
+export const testTranslationConnection = safeAsync(async (providerId = getActiveProviderId()) => {
+  const provider = getTranslationProvider(providerId);
   
-  if (!apiKey) {
+  if (!(await isProviderReady(providerId))) {
     return {
       status: 'error',
       message: 'No API key configured',
+      provider: providerId,
       ready: false
     };
   }
@@ -497,57 +575,128 @@ export const testDeepSeekConnection = safeAsync(async () => {
     // Simple test translation
     const testPrompt = 'Translate "Hello" to Spanish. Reply only with the translation:';
     
-    const response = await fetch(DEEPSEEK_CONFIG.baseUrl, {
-      method: 'POST',
-      headers: {
-        ...DEEPSEEK_CONFIG.headers,
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: DEEPSEEK_CONFIG.model,
-        messages: [{ role: 'user', content: testPrompt }],
-        max_tokens: 10,
-        temperature: 0
-      })
+    const result = await callTranslationProvider(testPrompt, {
+      providerId,
+      parameters: { max_tokens: 10, temperature: 0 },
+      retries: 0 // Report the first answer - the pipeline itself retries
     });
     
-    if (response.ok) {
-      const data = await response.json();
-      return {
-        status: 'success',
-        message: 'DeepSeek API connection successful',
-        ready: true,
-        model: DEEPSEEK_CONFIG.model,
-        testResponse: data.choices?.[0]?.message?.content?.trim()
-      };
-    } else {
-      return {
-        status: 'error',
-        message: `API error: ${response.status} ${response.statusText}`,
-        ready: false
-      };
-    }
+    return {
+      status: 'success',
+      message: `${provider.name} API connection successful`,
+      ready: true,
+      provider: providerId,
+      model: result.model,
+      testResponse: result.text
+    };
     
   } catch (error) {
     return {
       status: 'error',
       message: `Connection failed: ${error.message}`,
+      provider: providerId,
       ready: false
     };
   }
-}, 'DEEPSEEK_TEST');
+}, 'TRANSLATION_TEST');
+
+/**
+ * Test DeepSeek API connection
+ * @returns {Promise<Object>} API status information
+ */
+export const testDeepSeekConnection = () => testTranslationConnection('deepseek');
 
 /**
- * Get translation statistics from recent translations (placeholder for future implementation)
+ * Get the status of the active translation provider
+ * Every translation reports its outcome to the health cache, so a test translation
+ * is only sent on request - until then a provider with a key counts as ready
+ * @param {Object} options - {force: true} to send a test translation
+ * @returns {Promise<Object>} Status {status, ready, message, provider, providerName, modelName, checkedAt, cached}
+ */
+export const getTranslationApiStatus = safeAsync(async (options = {}) => {
+  const provider = getTranslationProvider();
+  const settings = await getProviderSettings(provider.id);
+  const baseStatus = {
+    service: 'translation',
+    provider: provider.id,
+    providerName: provider.name,
+    modelName: settings.model
+  };
+
+  if (!(await isProviderReady(provider.id))) {
+    return {
+      ...baseStatus,
+      status: 'api_key_missing',
+      ready: false,
+      message: `${provider.name} API key required`
+    };
+  }
+
+  if (options.force) {
+    const test = await testTranslationConnection(provider.id);
+    // Failures that don't mark the service as failing (rate limits, rejected requests) still fail a test
+    if (!test.ready && getCachedHealth('translation', provider.id)?.ready !== false) {
+      recordServiceHealth('translation', provider.id, { status: 'error', ready: false, message: test.message });
+    }
+  }
+
+  const cached = getCachedHealth('translation', provider.id);
+  if (cached) {
+    return { ...baseStatus, ...cached };
+  }
+
+  return {
+    ...baseStatus,
+    status: 'configured',
+    ready: true,
+    message: 'API key set - not tested yet'
+  };
+}, 'TRANSLATION_STATUS');
+
+registerHealthCheck('translation', options => getTranslationApiStatus(options));
+
+// Running totals for this session (see getTranslationStats)
+const sessionStats = {
+  totalTranslations: 0,
+  totalContextLength: 0,
+  translationsWithContext: 0,
+  totalTopScore: 0,
+  memoryReuses: 0,
+  exactSegmentMatches: 0,
+  fuzzySegmentMatches: 0
+};
+
+/**
+ * Add a finished translation to the session statistics
+ * @param {Object} metadata - Translation result metadata
+ * @param {Object} contextForDisplay - Output of formatContextForDisplay
+ */
+function recordTranslationStats(metadata, contextForDisplay) {
+  sessionStats.totalTranslations++;
+  sessionStats.totalContextLength += metadata.contextLength;
+  sessionStats.translationsWithContext += metadata.contextAvailable ? 1 : 0;
+  sessionStats.totalTopScore += (contextForDisplay.metadata?.topScore || 0) / 100;
+  sessionStats.memoryReuses += metadata.translationMemory.reused ? 1 : 0;
+  sessionStats.exactSegmentMatches += metadata.translationMemory.exactMatches;
+  sessionStats.fuzzySegmentMatches += metadata.translationMemory.fuzzyMatches;
+}
+
+/**
+ * Get translation statistics for this session
  * @returns {Object} Translation statistics
  */
 export function getTranslationStats() {
-  // Placeholder for future implementation
+  const count = sessionStats.totalTranslations;
   return {
-    totalTranslations: 0,
-    averageContextLength: 0,
-    contextUtilizationRate: 0,
-    averageConfidence: 0
+    totalTranslations: count,
+    averageContextLength: count > 0 ? Math.round(sessionStats.totalContextLength / count) : 0,
+    contextUtilizationRate: count > 0 ? sessionStats.translationsWithContext / count : 0,
+    averageConfidence: count > 0 ? sessionStats.totalTopScore / count : 0,
+    translationMemory: {
+      apiCallsSaved: sessionStats.memoryReuses,
+      exactSegmentMatches: sessionStats.exactSegmentMatches,
+      fuzzySegmentMatches: sessionStats.fuzzySegmentMatches
+    }
   };
 }
 
@@ -564,10 +713,16 @@ export default {
   storeDeepSeekApiKeyLocally,
   isDeepSeekApiReady,
   testDeepSeekConnection,
+  setTranslationApiKey,
+  storeTranslationApiKeyLocally,
+  isTranslationApiReady,
+  testTranslationConnection,
+  getTranslationApiStatus,
+  setTranslationProvider,
   
   // Utilities
   getTranslationStats,
   
   // Configuration
-  DEEPSEEK_CONFIG
+  TRANSLATION_PROVIDERS
 };
\ No newline at end of file
@@ -203,14 +203,87 @@ export function fromApiLanguageCode(twoLetterCode) {
 }
 
 /**
- * Get opposite language direction for translation
+ * Get the language of a corpus document from its id
+ * @param {string} documentId - Document or vector id (gai-eng_item001)
+ * @returns {string|null} 2-letter language code (en), or null if the id has none
+ */
+export function getDocumentLanguage(documentId) {
+  const corpusCode = documentId?.match(/-([a-z]{3})_/i)?.[1];
+  return corpusCode ? toApiLanguageCode(corpusCode.toLowerCase()) : null;
+}
+
+/**
+ * List the languages in the registry (config.UI.LANGUAGES)
+ * @returns {Object[]} Language entries with their 2-letter code
+ */
+export function listLanguages() {
+  return Object.entries(config.UI.LANGUAGES).map(([code, language]) => ({ code, ...language }));
+}
+
+/**
+ * Get a language entry from the registry
+ * Unregistered codes get a generic entry with name and direction from Intl
+ * @param {string} code - Language code (2 or 3 letter)
+ * @returns {Object} Language entry {code, name, nativeName, corpusCode, direction, ...}
+ */
+export function getLanguage(code) {
+  const twoLetterCode = code && code.length === 3 ? toApiLanguageCode(code) : code;
+  const language = config.UI.LANGUAGES[twoLetterCode];
+  if (language) {
+    return { code: twoLetterCode, ...language };
+  }
+
+  let name = twoLetterCode;
+  let direction = 'ltr';
+  try {
+    name = new Intl.DisplayNames(['en'], { type: 'language' }).of(twoLetterCode) || twoLetterCode;
+    const locale = new Intl.Locale(twoLetterCode);
+    direction = (locale.getTextInfo?.() || locale.textInfo)?.direction || 'ltr';
+  } catch (error) {
+    // Not a valid language tag - keep the code as the name
+  }
+
+  return {
+    code: twoLetterCode,
+    name,
+    nativeName: name,
+    corpusCode: code,
+    direction,
+    unknownTitle: 'Unknown Title',
+    unknownYear: 'Unknown Year'
+  };
+}
+
+/**
+ * Get the English name of a language (for prompts and labels)
+ * @param {string} code - Language code (2 or 3 letter)
+ * @returns {string} Language name
+ */
+export function getLanguageName(code) {
+  return getLanguage(code).name;
+}
+
+/**
+ * Get the writing direction of a language
+ * @param {string} code - Language code (2 or 3 letter)
+ * @returns {string} 'ltr' or 'rtl'
+ */
+export function getLanguageDirection(code) {
+  return getLanguage(code).direction === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Get the default target language for a source language
  * @param {string} sourceCode - Source language code (2 or 3 letter)
  * @returns {string} Target language code (same format as input)
  */
 export function getOppositeLanguage(sourceCode) {
-  const twoLetterCode = sourceCode.length === 3 ? toApiLanguageCode(sourceCode) : sourceCode;
-  const opposite = twoLetterCode === 'en' ? 'es' : 'en';
-  return sourceCode.length === 3 ? fromApiLanguageCode(opposite) : opposite;
+  const source = getLanguage(sourceCode);
+  const others = listLanguages().filter(language => language.code !== source.code);
+  const target = config.UI.LANGUAGES[source.defaultTarget] && source.defaultTarget !== source.code
+    ? source.defaultTarget
+    : others[0]?.code || source.code;
+  return sourceCode.length === 3 ? fromApiLanguageCode(target) : target;
 }
 
 // =====================================
@@ -254,12 +327,14 @@ export function logSimilarityResults(results, searchType) {
  * @param {string} type - Error type (from config.ERRORS)
  * @param {string} details - Additional error details
  * @param {Error} originalError - Original error object (optional)
- * @returns {Object} Standardized error
+ * @returns {Object} Standardized error {type, code, message, details, originalError, timestamp}
  */
 export function createError(type, details = '', originalError = null) {
   return {
     type,
-    message: config.ERRORS[type] || 'Unknown error',
+    // HTTP error code (AUTH, RATE_LIMIT, ...) carried up through every wrapper
+    code: typeof originalError?.code === 'string' ? originalError.code : null,
+    message: config.ERRORS[type] || details || 'Unknown error',
     details,
     originalError,
     timestamp: new Date().toISOString()
@@ -283,6 +358,237 @@ export function safeAsync(asyncFn, errorType) {
   };
 }
 
+/**
+ * Get the innermost error wrapped by createError/safeAsync (it has the most specific message)
+ * @param {Object} error - Error or standardized error
+ * @returns {Object} Original error
+ */
+export function getOriginalError(error) {
+  let current = error;
+  while (current?.originalError) {
+    current = current.originalError;
+  }
+  return current;
+}
+
+/**
+ * Check whether an error (or any error it wraps) comes from a cancelled operation
+ * @param {Object} error - Error or standardized error from createError
+ * @returns {boolean} True when the operation was aborted
+ */
+export function isAbortError(error) {
+  for (let current = error; current; current = current.originalError) {
+    if (current.name === 'AbortError') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Combine a caller's abort signal with a request timeout
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @returns {AbortSignal} Signal that aborts on whichever comes first
+ */
+export function createRequestSignal(timeout, signal = null) {
+  const timeoutSignal = AbortSignal.timeout(timeout);
+  if (!signal) {
+    return timeoutSignal;
+  }
+  // AbortSignal.any is missing in older browsers - cancellation matters more than the timeout there
+  return typeof AbortSignal.any === 'function' ? AbortSignal.any([signal, timeoutSignal]) : signal;
+}
+
+// =====================================
+// HTTP CLIENT
+// =====================================
+
+const retryListeners = new Set();
+
+/**
+ * Subscribe to retry notices from fetchWithRetry (e.g. to show them in the UI)
+ * @param {Function} listener - Called with {label, attempt, retries, delay, code, status}
+ * @returns {Function} Unsubscribe function
+ */
+export function onRequestRetry(listener) {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+}
+
+/**
+ * Map an HTTP status to an error code (keys of config.ERRORS)
+ * @param {number} status - HTTP status
+ * @returns {string} AUTH, PAYMENT, RATE_LIMIT, TIMEOUT, SERVER or REQUEST
+ */
+export function getHttpErrorCode(status) {
+  if (status === 401 || status === 403) return 'AUTH';
+  if (status === 402) return 'PAYMENT';
+  if (status === 429) return 'RATE_LIMIT';
+  if (status === 408) return 'TIMEOUT';
+  if (status >= 500) return 'SERVER';
+  return 'REQUEST';
+}
+
+/**
+ * Create the error thrown for a failed request
+ * @param {string} message - Readable message
+ * @param {string} code - Error code (see getHttpErrorCode, plus NETWORK)
+ * @param {number} status - HTTP status (null when no response arrived)
+ * @returns {Error} Error with code and status (named NetworkError when no response arrived)
+ */
+export function createHttpError(message, code, status = null) {
+  const error = new Error(message);
+  error.name = status === null ? 'NetworkError' : 'HttpError';
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date)
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Wait in milliseconds, null without a usable header
+ */
+function parseRetryAfter(response) {
+  const value = response.headers?.get('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half is random
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Object} settings - {baseDelay, maxDelay}
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, settings) {
+  const delay = Math.min(settings.maxDelay, settings.baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Wait before a retry - rejects as soon as the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Fetch with retries for rate limits, server errors, timeouts and network failures
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options (without signal)
+ * @param {Object} options - Overrides for config.HTTP {retries, baseDelay, maxDelay, maxRetryAfter, retryStatuses},
+ *                           {label} naming the service in messages, {timeout} per attempt in ms, {signal} to cancel,
+ *                           {errorMessage(response)} building the message of a failed response,
+ *                           {networkErrorMessage} used when the service cannot be reached
+ * @returns {Promise<Response>} The first OK response
+ * @throws {Error} createHttpError error with code and status once retries are exhausted
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+  const settings = { ...config.HTTP, ...options };
+  const label = settings.label || 'API';
+
+  for (let attempt = 0; ; attempt++) {
+    settings.signal?.throwIfAborted();
+
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetch(url, {
+        ...init,
+        signal: settings.timeout ? createRequestSignal(settings.timeout, settings.signal) : settings.signal
+      });
+    } catch (error) {
+      if (settings.signal?.aborted) {
+        throw error; // Cancelled by the caller - never retried
+      }
+      failure = error.name === 'TimeoutError'
+        ? createHttpError(`${label} did not respond within ${Math.round(settings.timeout / 1000)}s`, 'TIMEOUT')
+        : createHttpError(settings.networkErrorMessage || `Network error connecting to ${label}. Please check your connection.`, 'NETWORK');
+    }
+
+    if (response?.ok) {
+      return response;
+    }
+
+    let delay;
+    if (response) {
+      const retryAfter = parseRetryAfter(response);
+      const retryable = settings.retryStatuses.includes(response.status)
+        && attempt < settings.retries
+        && (retryAfter === null || retryAfter <= settings.maxRetryAfter);
+
+      if (!retryable) {
+        const message = settings.errorMessage
+          ? await settings.errorMessage(response)
+          : `${label} error ${response.status}: ${await response.text().catch(() => response.statusText)}`;
+        throw createHttpError(message, getHttpErrorCode(response.status), response.status);
+      }
+
+      response.body?.cancel().catch(() => {}); // Release the connection
+      failure = { code: getHttpErrorCode(response.status), status: response.status };
+      delay = retryAfter ?? getBackoffDelay(attempt, settings);
+    } else {
+      if (attempt >= settings.retries) {
+        throw failure;
+      }
+      delay = getBackoffDelay(attempt, settings);
+    }
+
+    debugLog(`${label}: ${failure.status || failure.code} - retry ${attempt + 1} of ${settings.retries} in ${delay}ms`, 'warn');
+    retryListeners.forEach(listener => listener({
+      label,
+      attempt: attempt + 1,
+      retries: settings.retries,
+      delay,
+      code: failure.code,
+      status: failure.status
+    }));
+
+    await sleep(delay, settings.signal);
+  }
+}
+
+// =====================================
+// CONTENT HASHING
+// =====================================
+
+/**
+ * Hash a text (or binary data) with SHA-256 (Web Crypto - available in browsers on https/localhost and in Node)
+ * @param {string|ArrayBuffer|Uint8Array} text - Text or bytes to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashText(text) {
+  const bytes = typeof text === 'string' ? new TextEncoder().encode(text) : text;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 // =====================================
 // PERFORMANCE UTILITIES
 // =====================================
@@ -320,32 +626,44 @@ export function isValidInput(text) {
 }
 
 /**
- * Check if a model name is compatible with jina-embeddings-v3
- * @param {string} modelName - Model name from vector metadata
+ * Normalize an embedding model name for comparison
+ * e.g. 'jinaai/jina-embeddings-v3.0' → 'jina-embeddings-v3'
+ * @param {string} modelName - Model name or Hugging Face id
+ * @returns {string} Normalized name
+ */
+function normalizeModelName(modelName) {
+  return String(modelName)
+    .toLowerCase()
+    .split('/')
+    .pop()
+    .replace(/(\.0)+$/, '');
+}
+
+/**
+ * Check if vectors built with one model can be compared with a provider's embeddings
+ * @param {string} vectorModel - Model name from vector metadata
+ * @param {string[]} providerModels - Model names the embedding provider produces
+ *   (defaults to the corpus model configured in config.MODELS.EMBEDDING)
  * @returns {boolean} True if compatible
  */
-function isJinaV3Compatible(modelName) {
-  // Accept various forms of the model name that match your config
-  const compatibleNames = [
-    config.MODELS.EMBEDDING.name,           // 'jina-embeddings-v3'
-    config.MODELS.EMBEDDING.transformersId, // 'jinaai/jina-embeddings-v3'
-    'jinaai/jina-embeddings-v3',
-    'jina-embeddings-v3',
-    'jinaai/jina-embeddings-v3.0'
-  ];
-  
-  return compatibleNames.some(name => 
-    modelName === name || 
-    modelName.includes('jina-embeddings-v3')
-  );
+export function isEmbeddingModelCompatible(vectorModel, providerModels = [config.MODELS.EMBEDDING.name, config.MODELS.EMBEDDING.transformersId]) {
+  if (!vectorModel) {
+    return false;
+  }
+
+  const normalizedVectorModel = normalizeModelName(vectorModel);
+  return providerModels
+    .filter(Boolean)
+    .some(name => normalizeModelName(name) === normalizedVectorModel);
 }
 
 /**
  * Validate vector data structure matches expected schema - UPDATED for flexible validation
  * @param {Object} vectorData - Vector data object
+ * @param {string[]} providerModels - Model names of the embedding provider (optional)
  * @returns {boolean} True if valid structure
  */
-export function isValidVectorData(vectorData) {
+export function isValidVectorData(vectorData, providerModels) {
   // Basic structure validation
   if (!vectorData) {
     debugLog('Vector data is null or undefined', 'error');
@@ -367,15 +685,15 @@ export function isValidVectorData(vectorData) {
     return false;
   }
   
-  // Model validation - more flexible for jina-embeddings-v3
+  // Model validation - compared against the embedding provider's model
   if (!vectorData.metadata.model) {
     debugLog('Vector metadata missing model field', 'error');
     return false;
   }
   
-  if (!isJinaV3Compatible(vectorData.metadata.model)) {
-    debugLog(`Vector model "${vectorData.metadata.model}" is not compatible with jina-embeddings-v3`, 'error');
-    debugLog(`Expected model containing "jina-embeddings-v3", got: ${vectorData.metadata.model}`, 'warn');
+  if (!isEmbeddingModelCompatible(vectorData.metadata.model, providerModels)) {
+    debugLog(`Vector model "${vectorData.metadata.model}" is not compatible with the embedding provider`, 'error');
+    debugLog(`Expected a ${config.MODELS.EMBEDDING.name} variant, got: ${vectorData.metadata.model}`, 'warn');
     return false;
   }
   
@@ -411,11 +729,14 @@ export function isValidVectorData(vectorData) {
 
 /**
  * Enhanced validation with detailed error reporting
- * @param {Object} vectorData - Vector data object
+ * Binary vector manifests (vector-format.js) are checked the same way, with their items
+ * in place of the vectors and the .bin layout in place of a sample vector
+ * @param {Object} vectorData - Vector data object (or binary vector manifest)
  * @param {string} filePath - File path for error reporting
+ * @param {string[]} providerModels - Model names of the embedding provider (optional)
  * @returns {Object} Validation result with detailed messages
  */
-export function validateVectorDataDetailed(vectorData, filePath = 'unknown') {
+export function validateVectorDataDetailed(vectorData, filePath = 'unknown', providerModels) {
   const result = {
     isValid: false,
     errors: [],
@@ -433,18 +754,20 @@ export function validateVectorDataDetailed(vectorData, filePath = 'unknown') {
     return result;
   }
 
-  if (!vectorData.vectors || !Array.isArray(vectorData.vectors)) {
-    result.errors.push('Missing or invalid vectors array');
+  const isBinaryManifest = Boolean(vectorData.format);
+  const entries = isBinaryManifest ? vectorData.items : vectorData.vectors;
+  if (!entries || !Array.isArray(entries)) {
+    result.errors.push(isBinaryManifest ? 'Missing or invalid items array in binary manifest' : 'Missing or invalid vectors array');
     return result;
   }
 
   result.metadata = vectorData.metadata;
 
-  // Model validation - more flexible for jina-embeddings-v3
+  // Model validation - compared against the embedding provider's model
   if (!vectorData.metadata.model) {
     result.errors.push('Missing model field in metadata');
-  } else if (!isJinaV3Compatible(vectorData.metadata.model)) {
-    result.errors.push(`Incompatible model: ${vectorData.metadata.model} (expected jina-embeddings-v3 variant)`);
+  } else if (!isEmbeddingModelCompatible(vectorData.metadata.model, providerModels)) {
+    result.errors.push(`Incompatible model: ${vectorData.metadata.model} (expected ${config.MODELS.EMBEDDING.name} variant)`);
     // Show what we're comparing against for debugging
     debugLog(`Config model name: ${config.MODELS.EMBEDDING.name}`, 'info');
     debugLog(`Config transformers ID: ${config.MODELS.EMBEDDING.transformersId}`, 'info');
@@ -462,8 +785,24 @@ export function validateVectorDataDetailed(vectorData, filePath = 'unknown') {
   }
 
   // Vector content validation
-  if (vectorData.vectors.length === 0) {
+  if (entries.length === 0) {
     result.warnings.push('No vectors found in file');
+  } else if (isBinaryManifest) {
+    const bytesPerValue = { float32: 4, int8: 1 }[vectorData.encoding];
+    if (!bytesPerValue) {
+      result.errors.push(`Unknown vector encoding: ${vectorData.encoding}`);
+    } else if (vectorData.dimension !== expectedDimension) {
+      result.errors.push(`Vector dimension mismatch: expected ${expectedDimension}, got ${vectorData.dimension}`);
+    } else if (vectorData.count !== entries.length) {
+      result.errors.push(`Manifest lists ${entries.length} items but ${vectorData.count} vectors`);
+    } else if (!vectorData.data) {
+      result.errors.push('Missing data (.bin file) in binary manifest');
+    } else {
+      const expectedBytes = entries.length * expectedDimension * bytesPerValue + (vectorData.encoding === 'int8' ? entries.length * 4 : 0);
+      if (vectorData.byteLength !== expectedBytes) {
+        result.errors.push(`Binary data size mismatch: expected ${expectedBytes} bytes, manifest says ${vectorData.byteLength}`);
+      }
+    }
   } else {
     const sampleVector = vectorData.vectors[0];
     if (!sampleVector.vector || !Array.isArray(sampleVector.vector)) {
@@ -476,7 +815,7 @@ export function validateVectorDataDetailed(vectorData, filePath = 'unknown') {
   result.isValid = result.errors.length === 0;
   
   if (result.isValid) {
-    debugLog(`✅ ${filePath} validation passed: ${vectorData.vectors.length} vectors`, 'info');
+    debugLog(`✅ ${filePath} validation passed: ${entries.length} vectors${isBinaryManifest ? ` (${vectorData.encoding} binary)` : ''}`, 'info');
   } else {
     debugLog(`❌ ${filePath} validation failed:`, 'error');
     result.errors.forEach(error => debugLog(`  - ${error}`, 'error'));
@@ -0,0 +1,222 @@
+// =====================================
+// BINARY VECTOR FILES
+// Compact distribution format for the vector files: a JSON manifest plus a .bin file
+// next to it, instead of one JSON file where every float is text
+//
+// Manifest: {format: 'pragmatic-vectors', version, metadata (as in the JSON files),
+//            encoding, dimension, count, data (.bin file name, relative to the manifest),
+//            byteLength, dataHash (SHA-256 of the .bin), items (the vector entries without 'vector')}
+//
+// .bin layout (little-endian, the byte order of typed arrays on every browser platform):
+// - float32: count × dimension Float32 values
+// - int8:    count Float32 scales, then count × dimension Int8 values (value = int8 × scale,
+//            scale = largest absolute value of the vector / 127) - about 4x smaller than float32
+//
+// A domain lists the manifest in place of the JSON file (corpora/domains.json); loaders
+// recognize manifests by their content. scripts/convert-vectors.mjs converts the JSON files.
+// =====================================
+
+import { debugLog, hashText } from './utils.js';
+
+export const BINARY_VECTOR_FORMAT = 'pragmatic-vectors';
+const FORMAT_VERSION = 1;
+
+// Bytes per stored value
+export const VECTOR_ENCODINGS = {
+  float32: 4,
+  int8: 1
+};
+
+// =====================================
+// FORMAT DETECTION
+// =====================================
+
+/**
+ * Check whether parsed JSON is a binary vector manifest (rather than a {metadata, vectors} file)
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True for a manifest
+ */
+export function isBinaryVectorManifest(data) {
+  return data?.format === BINARY_VECTOR_FORMAT && Array.isArray(data.items);
+}
+
+/**
+ * Get the path of a manifest's .bin file
+ * @param {string} manifestPath - Path or URL of the manifest
+ * @param {Object} manifest - Manifest
+ * @returns {string} Path of the .bin file (resolved next to the manifest)
+ */
+export function getBinaryDataPath(manifestPath, manifest) {
+  return manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1) + manifest.data;
+}
+
+/**
+ * Get the size the .bin file of a manifest must have
+ * @param {Object} manifest - Manifest {encoding, dimension, count}
+ * @returns {number} Size in bytes
+ */
+export function getBinaryDataSize(manifest) {
+  const values = manifest.count * manifest.dimension * VECTOR_ENCODINGS[manifest.encoding];
+  return manifest.encoding === 'int8' ? manifest.count * 4 + values : values;
+}
+
+// =====================================
+// ENCODING
+// =====================================
+
+/**
+ * Encode a vector file into a manifest and .bin data
+ * @param {Object} vectorData - {metadata, vectors: [{..., vector: number[]}]}
+ * @param {Object} options - {encoding: 'float32' (default) or 'int8', dataFile: name of the .bin file}
+ * @returns {Promise<Object>} {manifest, data: Uint8Array}
+ */
+export async function encodeVectorFile(vectorData, options = {}) {
+  const encoding = options.encoding || 'float32';
+  if (!VECTOR_ENCODINGS[encoding]) {
+    throw new Error(`Unknown vector encoding "${encoding}" (expected ${Object.keys(VECTOR_ENCODINGS).join(' or ')})`);
+  }
+  if (!options.dataFile) {
+    throw new Error('A .bin file name (dataFile) is required');
+  }
+
+  const items = vectorData.vectors;
+  const dimension = vectorData.metadata.dimension || items[0]?.vector?.length || 0;
+  const manifest = { count: items.length, dimension, encoding };
+  const data = new Uint8Array(getBinaryDataSize(manifest));
+
+  items.forEach((item, index) => {
+    if (!item.vector || item.vector.length !== dimension) {
+      throw new Error(`Vector ${item.id || index} has ${item.vector?.length || 0} dimensions, expected ${dimension}`);
+    }
+  });
+
+  if (encoding === 'float32') {
+    const values = new Float32Array(data.buffer);
+    items.forEach((item, index) => values.set(item.vector, index * dimension));
+  } else {
+    const scales = new Float32Array(data.buffer, 0, items.length);
+    const values = new Int8Array(data.buffer, items.length * 4);
+    items.forEach((item, index) => {
+      const largest = item.vector.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+      const scale = largest / 127 || 1;
+      scales[index] = scale;
+      item.vector.forEach((value, position) => {
+        values[index * dimension + position] = Math.round(value / scale);
+      });
+    });
+  }
+
+  return {
+    manifest: {
+      format: BINARY_VECTOR_FORMAT,
+      version: FORMAT_VERSION,
+      metadata: vectorData.metadata,
+      ...manifest,
+      data: options.dataFile,
+      byteLength: data.byteLength,
+      dataHash: await hashText(data),
+      items: items.map(({ vector, ...fields }) => fields)
+    },
+    data
+  };
+}
+
+/**
+ * Decode a manifest and its .bin data into a vector file
+ * @param {Object} manifest - Manifest
+ * @param {ArrayBuffer|Uint8Array} data - Content of the .bin file
+ * @returns {Promise<Object>} {metadata, vectors: [{..., vector: number[]}]}
+ * @throws {Error} When the data doesn't match the manifest (size, hash, encoding)
+ */
+export async function decodeVectorFile(manifest, data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const { encoding, dimension, count } = manifest;
+
+  if (!VECTOR_ENCODINGS[encoding]) {
+    throw new Error(`Unknown vector encoding "${encoding}"`);
+  }
+  if (bytes.byteLength !== getBinaryDataSize(manifest)) {
+    throw new Error(`${manifest.data} has ${bytes.byteLength} bytes, expected ${getBinaryDataSize(manifest)} for ${count} × ${dimension} ${encoding} values`);
+  }
+  if (manifest.dataHash && typeof crypto !== 'undefined' && crypto.subtle) {
+    if (await hashText(bytes) !== manifest.dataHash) {
+      throw new Error(`${manifest.data} does not match its manifest (content hash differs) - the two files are from different versions`);
+    }
+  } else if (manifest.dataHash) {
+    // crypto.subtle is missing on non-secure http origins - the size check above still applies
+    debugLog(`Cannot check the content hash of ${manifest.data} (crypto.subtle unavailable)`, 'warn');
+  }
+
+  // Typed array views need aligned offsets - copy when the bytes don't start on one
+  const buffer = bytes.byteOffset % 4 === 0 ? bytes.buffer : bytes.slice().buffer;
+  const offset = buffer === bytes.buffer ? bytes.byteOffset : 0;
+
+  let readVector;
+  if (encoding === 'float32') {
+    const values = new Float32Array(buffer, offset, count * dimension);
+    readVector = index => Array.from(values.subarray(index * dimension, (index + 1) * dimension));
+  } else {
+    const scales = new Float32Array(buffer, offset, count);
+    const values = new Int8Array(buffer, offset + count * 4, count * dimension);
+    const normalized = Boolean(manifest.metadata?.normalization);
+    readVector = index => {
+      const vector = Array.from(values.subarray(index * dimension, (index + 1) * dimension), value => value * scales[index]);
+      if (!normalized) return vector;
+      // Quantization leaves the vectors slightly off unit length - restore it for dot-product search
+      const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / magnitude);
+    };
+  }
+
+  return {
+    metadata: manifest.metadata,
+    vectors: manifest.items.map((item, index) => ({ ...item, vector: readVector(index) }))
+  };
+}
+
+// =====================================
+// LOADING
+// =====================================
+
+/**
+ * Fetch the .bin file of a manifest
+ * @param {string} dataPath - Path or URL of the .bin file
+ * @returns {Promise<ArrayBuffer>} File content
+ */
+async function fetchBinaryData(dataPath) {
+  const response = await fetch(dataPath);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${dataPath}: ${response.status} ${response.statusText}`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Turn the parsed content of a vector file path into vector data - manifests are decoded
+ * with their .bin file, {metadata, vectors} files are returned as they are
+ * @param {Object} data - Parsed JSON of the file
+ * @param {string} filePath - Path of the file (the .bin file is resolved next to it)
+ * @param {Function} readData - async (dataPath) => ArrayBuffer|Uint8Array (defaults to fetch; the Node scripts read from disk)
+ * @returns {Promise<Object>} {metadata, vectors}
+ */
+export async function resolveVectorFile(data, filePath, readData = fetchBinaryData) {
+  if (!isBinaryVectorManifest(data)) {
+    return data;
+  }
+
+  const dataPath = getBinaryDataPath(filePath, data);
+  const vectorData = await decodeVectorFile(data, await readData(dataPath));
+  debugLog(`Decoded ${data.count} ${data.encoding} vectors from ${dataPath} (${(data.byteLength / (1024 * 1024)).toFixed(2)}MB)`, 'info');
+  return vectorData;
+}
+
+export default {
+  BINARY_VECTOR_FORMAT,
+  VECTOR_ENCODINGS,
+  isBinaryVectorManifest,
+  getBinaryDataPath,
+  getBinaryDataSize,
+  encodeVectorFile,
+  decodeVectorFile,
+  resolveVectorFile
+};
@@ -0,0 +1,333 @@
+// =====================================
+// VECTOR INDEX
+// Similarity search over one level of corpus vectors (similarity.js)
+//
+// - Vectors are packed into one Float32Array (count × dimension)
+// - Dot-product fast path: the corpus vectors are stored normalized
+//   (normalize_embeddings - checked when the index is built), so cosine similarity is the
+//   dot product divided by the query's magnitude - computed once per search instead
+//   of both magnitudes on every comparison. Vectors that aren't normalized keep a
+//   precomputed inverse magnitude.
+// - Levels with config.SIMILARITY.INDEX.annThreshold vectors or more also get an IVF
+//   (inverted file) index: k-means clusters the vectors into lists around centroids,
+//   and a search only scans the lists of the `probes` centroids closest to the query.
+//   This is approximate - a neighbour in an unprobed list is missed.
+//
+// The index is built when a level is first searched and kept with its vector array
+// (getVectorIndex); the corpus worker (corpus-worker.js) builds it off the main thread.
+// =====================================
+
+import config from './config.js';
+import { debugLog, startTimer } from './utils.js';
+
+// Vectors whose magnitude is within this of 1 count as normalized
+const NORMALIZATION_TOLERANCE = 1e-3;
+
+const levelIndexes = new WeakMap();
+
+// =====================================
+// VECTOR MATH
+// =====================================
+
+/**
+ * Dot product of a query with the vector at a position of a matrix
+ * @param {Float32Array|number[]} query - Query vector
+ * @param {Float32Array} matrix - Packed vectors
+ * @param {number} offset - Start of the vector in the matrix
+ * @param {number} dimension - Vector dimension
+ * @returns {number} Dot product
+ */
+function dotAt(query, matrix, offset, dimension) {
+  let sum = 0;
+  for (let i = 0; i < dimension; i++) {
+    sum += query[i] * matrix[offset + i];
+  }
+  return sum;
+}
+
+/**
+ * Magnitude of the vector at a position of a matrix
+ * @param {Float32Array} matrix - Packed vectors
+ * @param {number} offset - Start of the vector in the matrix
+ * @param {number} dimension - Vector dimension
+ * @returns {number} Magnitude
+ */
+function magnitudeAt(matrix, offset, dimension) {
+  let sum = 0;
+  for (let i = offset; i < offset + dimension; i++) {
+    sum += matrix[i] * matrix[i];
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Scale the vectors of a matrix to unit length (in place)
+ * @param {Float32Array} matrix - Packed vectors
+ * @param {number} dimension - Vector dimension
+ */
+function normalizeRows(matrix, dimension) {
+  for (let offset = 0; offset < matrix.length; offset += dimension) {
+    const magnitude = magnitudeAt(matrix, offset, dimension) || 1;
+    for (let i = offset; i < offset + dimension; i++) {
+      matrix[i] /= magnitude;
+    }
+  }
+}
+
+// =====================================
+// IVF INDEX
+// =====================================
+
+/**
+ * Pick the position of the centroid closest to a vector
+ * @param {Float32Array} centroids - Packed centroids
+ * @param {Float32Array} vector - Unit vector
+ * @param {number} dimension - Vector dimension
+ * @returns {number} Centroid position
+ */
+function nearestCentroid(centroids, vector, dimension) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c * dimension < centroids.length; c++) {
+    const score = dotAt(vector, centroids, c * dimension, dimension);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Cluster unit vectors with spherical k-means (centroids are kept at unit length)
+ * @param {Float32Array} matrix - Packed unit vectors
+ * @param {number} dimension - Vector dimension
+ * @param {Object} settings - {lists, iterations, trainingSample}
+ * @returns {Object} {centroids: Float32Array, lists: Int32Array[]}
+ */
+function buildInvertedLists(matrix, dimension, settings) {
+  const count = matrix.length / dimension;
+  const listCount = Math.max(1, Math.min(settings.lists || Math.round(Math.sqrt(count)), count));
+
+  // Train on an evenly spread sample - deterministic, so the same corpus gives the same index
+  const sampleStep = Math.max(1, Math.floor(count / settings.trainingSample));
+  const sample = [];
+  for (let position = 0; position < count; position += sampleStep) {
+    sample.push(position);
+  }
+
+  const centroids = new Float32Array(listCount * dimension);
+  const centroidStep = sample.length / listCount;
+  for (let c = 0; c < listCount; c++) {
+    const position = sample[Math.floor(c * centroidStep)];
+    centroids.set(matrix.subarray(position * dimension, (position + 1) * dimension), c * dimension);
+  }
+
+  for (let iteration = 0; iteration < settings.iterations; iteration++) {
+    const sums = new Float32Array(listCount * dimension);
+    const sizes = new Int32Array(listCount);
+    for (const position of sample) {
+      const c = nearestCentroid(centroids, matrix.subarray(position * dimension, (position + 1) * dimension), dimension);
+      sizes[c] += 1;
+      for (let i = 0; i < dimension; i++) {
+        sums[c * dimension + i] += matrix[position * dimension + i];
+      }
+    }
+    // Empty clusters keep their centroid
+    for (let c = 0; c < listCount; c++) {
+      if (sizes[c] > 0) {
+        centroids.set(sums.subarray(c * dimension, (c + 1) * dimension), c * dimension);
+      }
+    }
+    normalizeRows(centroids, dimension);
+  }
+
+  const members = Array.from({ length: listCount }, () => []);
+  for (let position = 0; position < count; position++) {
+    members[nearestCentroid(centroids, matrix.subarray(position * dimension, (position + 1) * dimension), dimension)].push(position);
+  }
+
+  return { centroids, lists: members.map(list => Int32Array.from(list)) };
+}
+
+// =====================================
+// INDEX
+// =====================================
+
+/**
+ * Create an index over packed vectors
+ * @param {Float32Array} matrix - Vectors, count × dimension
+ * @param {number} dimension - Vector dimension
+ * @param {Object} options - Overrides for config.SIMILARITY.INDEX {annThreshold, lists, probes, iterations, trainingSample},
+ *                           {label} for logging
+ * @returns {Object} Index {type: 'flat'|'ivf', size, dimension, normalized, search, score, stats}
+ */
+export function createVectorIndex(matrix, dimension, options = {}) {
+  const settings = { ...config.SIMILARITY.INDEX, ...options };
+  const size = dimension > 0 ? matrix.length / dimension : 0;
+  const endTimer = startTimer(`Vector index${settings.label ? ` (${settings.label})` : ''}`);
+
+  // Inverse magnitudes only for vectors that aren't normalized
+  const inverseMagnitudes = new Float32Array(size);
+  let normalized = true;
+  for (let position = 0; position < size; position++) {
+    const magnitude = magnitudeAt(matrix, position * dimension, dimension);
+    inverseMagnitudes[position] = magnitude > 0 ? 1 / magnitude : 0;
+    if (Math.abs(magnitude - 1) > NORMALIZATION_TOLERANCE) {
+      normalized = false;
+    }
+  }
+
+  let ivf = null;
+  if (size >= settings.annThreshold) {
+    // k-means works on directions - cluster unit copies when the vectors aren't normalized
+    const unitMatrix = normalized ? matrix : Float32Array.from(matrix);
+    if (!normalized) normalizeRows(unitMatrix, dimension);
+    ivf = buildInvertedLists(unitMatrix, dimension, settings);
+  }
+
+  const scoreAt = (query, position) => {
+    const dot = dotAt(query, matrix, position * dimension, dimension);
+    return normalized ? dot : dot * inverseMagnitudes[position];
+  };
+
+  /**
+   * Scale a query so that a dot product with a normalized vector is their cosine similarity
+   * @param {number[]|Float32Array} query - Query vector
+   * @returns {Float32Array|null} Unit query, or null when it can't be compared
+   */
+  const prepareQuery = (query) => {
+    if (!query || query.length !== dimension) {
+      debugLog(`Vector index: query has ${query?.length || 0} dimensions, expected ${dimension}`, 'error');
+      return null;
+    }
+    const unit = Float32Array.from(query);
+    const magnitude = magnitudeAt(unit, 0, dimension);
+    if (magnitude === 0) return null;
+    for (let i = 0; i < dimension; i++) unit[i] /= magnitude;
+    return unit;
+  };
+
+  const index = {
+    type: ivf ? 'ivf' : 'flat',
+    size,
+    dimension,
+    normalized,
+
+    /**
+     * Find the vectors most similar to a query
+     * @param {number[]|Float32Array} query - Query vector
+     * @param {Object} searchOptions - {topK, threshold, filter(position) => boolean, probes (IVF lists to scan)}
+     * @returns {Array} [{position, score}] highest cosine similarity first
+     */
+    search(query, searchOptions = {}) {
+      const unitQuery = prepareQuery(query);
+      if (!unitQuery || size === 0) return [];
+
+      const threshold = searchOptions.threshold ?? -Infinity;
+      const topK = searchOptions.topK ?? size;
+      const filter = searchOptions.filter || null;
+      const results = [];
+
+      const consider = (position) => {
+        if (filter && !filter(position)) return;
+        const score = scoreAt(unitQuery, position);
+        if (score >= threshold) results.push({ position, score });
+      };
+
+      if (ivf) {
+        // Scan the lists of the closest centroids only
+        const probes = Math.min(searchOptions.probes || settings.probes, ivf.lists.length);
+        const centroidScores = ivf.lists.map((list, c) => ({ c, score: dotAt(unitQuery, ivf.centroids, c * dimension, dimension) }));
+        centroidScores.sort((a, b) => b.score - a.score);
+        for (const { c } of centroidScores.slice(0, probes)) {
+          ivf.lists[c].forEach(consider);
+        }
+      } else {
+        for (let position = 0; position < size; position++) consider(position);
+      }
+
+      results.sort((a, b) => b.score - a.score);
+      return results.slice(0, topK);
+    },
+
+    /**
+     * Cosine similarity of a query with one indexed vector
+     * @param {number[]|Float32Array} query - Query vector
+     * @param {number} position - Position of the vector
+     * @returns {number} Similarity (0 when the query can't be compared)
+     */
+    score(query, position) {
+      const unitQuery = prepareQuery(query);
+      return unitQuery && position >= 0 && position < size ? scoreAt(unitQuery, position) : 0;
+    },
+
+    /**
+     * Describe the index (for status and debugging)
+     * @returns {Object} {type, size, dimension, normalized, lists, probes}
+     */
+    stats() {
+      return {
+        type: index.type,
+        size,
+        dimension,
+        normalized,
+        lists: ivf ? ivf.lists.length : null,
+        probes: ivf ? Math.min(settings.probes, ivf.lists.length) : null
+      };
+    }
+  };
+
+  endTimer();
+  debugLog(`Vector index${settings.label ? ` (${settings.label})` : ''}: ${size} vectors, ${index.type}${ivf ? ` with ${ivf.lists.length} lists` : ''}, ${normalized ? 'normalized (dot product)' : 'not normalized (cosine)'}`, 'info');
+  return index;
+}
+
+/**
+ * Pack the vectors of vector items into a matrix
+ * @param {Array} items - Vector items [{..., vector: number[]}]
+ * @returns {Object} {matrix: Float32Array, dimension}
+ */
+export function packVectors(items) {
+  const dimension = items.find(item => item.vector)?.vector.length || 0;
+  const matrix = new Float32Array(items.length * dimension);
+  items.forEach((item, position) => {
+    // Items without a usable vector stay zero - they never score above a threshold
+    if (item.vector?.length === dimension) {
+      matrix.set(item.vector, position * dimension);
+    }
+  });
+  return { matrix, dimension };
+}
+
+/**
+ * Get the index of a level's vector items, building it on first use
+ * @param {Array} items - Vector items of one level (the index is kept with this array)
+ * @param {Object} options - createVectorIndex options
+ * @returns {Object} Index (positions are indexes into items)
+ */
+export function getVectorIndex(items, options = {}) {
+  let index = levelIndexes.get(items);
+  if (!index) {
+    const { matrix, dimension } = packVectors(items);
+    index = createVectorIndex(matrix, dimension, options);
+    levelIndexes.set(items, index);
+  }
+  return index;
+}
+
+/**
+ * Keep a prebuilt index with a level's vector items (e.g. items received without their vectors)
+ * @param {Array} items - Vector items of one level
+ * @param {Object} index - Index whose positions match items
+ */
+export function setVectorIndex(items, index) {
+  levelIndexes.set(items, index);
+}
+
+export default {
+  createVectorIndex,
+  packVectors,
+  getVectorIndex,
+  setVectorIndex
+};
@@ -0,0 +1,285 @@
+// =====================================
+// VECTOR STORE
+// Cached copies of the corpus vector files, stored in the browser
+// (IndexedDB database config.DEV.VECTOR_CACHE_DATABASE) - one record per domain and vector type
+//
+// - Vectors are packed into one Float32Array (count × dimension) instead of JSON
+//   number arrays; the other item fields (id, title, text...) are kept as they are
+// - Each file has a small entry in a second object store with the validators of the
+//   file it was made from (ETag, Last-Modified and a SHA-256 hash of its content), so
+//   corpora-retrieval.js can ask the server whether the file changed instead of trusting
+//   the copy for a fixed time. Revalidations and cache status only touch these entries.
+// =====================================
+
+import config from './config.js';
+import { debugLog } from './utils.js';
+
+const DATABASE_VERSION = 2;
+const VECTOR_STORE = 'vectors'; // Packed data: {key, metadata, dimension, items, vectors}
+const FILE_STORE = 'files';     // File entries: {key, domain, type, path, etag, lastModified, hash, stored, validated, count, dimension, bytes}
+
+// =====================================
+// PACKING
+// =====================================
+
+/**
+ * Pack vector data for storage
+ * @param {Object} vectorData - {metadata, vectors: [{id, ..., vector: number[]}]}
+ * @returns {Object} {metadata, dimension, items (without vectors), vectors: Float32Array}
+ */
+export function packVectorData(vectorData) {
+  const items = vectorData.vectors;
+  const dimension = vectorData.metadata?.dimension || items[0]?.vector?.length || 0;
+  const vectors = new Float32Array(items.length * dimension);
+
+  const packedItems = items.map((item, index) => {
+    if (!item.vector || item.vector.length !== dimension) {
+      throw new Error(`Vector ${item.id || index} has ${item.vector?.length || 0} dimensions, expected ${dimension}`);
+    }
+    vectors.set(item.vector, index * dimension);
+
+    const { vector, ...fields } = item;
+    return fields;
+  });
+
+  return { metadata: vectorData.metadata, dimension, items: packedItems, vectors };
+}
+
+/**
+ * Unpack stored vector data into the shape of a vector file
+ * @param {Object} record - Packed data (packVectorData)
+ * @returns {Object} {metadata, vectors: [{id, ..., vector: number[]}]}
+ */
+export function unpackVectorData(record) {
+  const { dimension, vectors } = record;
+
+  return {
+    metadata: record.metadata,
+    vectors: record.items.map((item, index) => ({
+      ...item,
+      vector: Array.from(vectors.subarray(index * dimension, (index + 1) * dimension))
+    }))
+  };
+}
+
+// =====================================
+// INDEXEDDB STORAGE
+// =====================================
+
+let databasePromise = null;
+
+/**
+ * Check whether the browser can hold the vector store
+ * Stored copies are checked against a SHA-256 hash of the file, so crypto.subtle is needed
+ * too (it is missing on non-secure http origins)
+ * @returns {boolean} True if IndexedDB and crypto.subtle are available and vector caching is enabled
+ */
+export function isVectorStoreAvailable() {
+  return config.DEV.CACHE_VECTORS_ONLY
+    && typeof indexedDB !== 'undefined'
+    && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Open (once) the vector store database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this environment'));
+        return;
+      }
+
+      const request = indexedDB.open(config.DEV.VECTOR_CACHE_DATABASE, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        // Version 1 kept the file details in the vector records - drop those copies,
+        // the files are downloaded and stored again on the next load
+        if (database.objectStoreNames.contains(VECTOR_STORE)) {
+          database.deleteObjectStore(VECTOR_STORE);
+        }
+        database.createObjectStore(VECTOR_STORE, { keyPath: 'key' });
+        database.createObjectStore(FILE_STORE, { keyPath: 'key' }).createIndex('domain', 'domain');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null; // Allow a retry
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run requests in one transaction on the vector store
+ * @param {string[]} storeNames - Object stores used (VECTOR_STORE, FILE_STORE)
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the stores, in the order of storeNames; its return value
+ *                              (or request result) resolves the promise
+ * @returns {Promise<*>} Callback result once the transaction completes
+ */
+async function withVectorStore(storeNames, mode, callback) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const result = callback(...storeNames.map(name => transaction.objectStore(name)));
+
+    transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Vector store transaction aborted'));
+  });
+}
+
+/**
+ * Describe a stored vector file (the entry kept in FILE_STORE)
+ * @param {Object} record - Stored record
+ * @returns {Object} {key, domain, type, path, etag, lastModified, hash, stored, validated, count, dimension, bytes}
+ */
+function describeStoredFile(record) {
+  return {
+    key: record.key,
+    domain: record.domain,
+    type: record.type,
+    path: record.path,
+    etag: record.etag,
+    lastModified: record.lastModified,
+    hash: record.hash,
+    stored: record.stored,
+    validated: record.validated,
+    count: record.count ?? record.items.length,
+    dimension: record.dimension,
+    bytes: record.bytes
+  };
+}
+
+/**
+ * Get the stored record of a vector file
+ * @param {string} domainCode - Corpus domain code
+ * @param {string} vectorType - 'document', 'section' or 'paragraph'
+ * @returns {Promise<Object|null>} Record {domain, type, path, etag, lastModified, hash, stored, validated,
+ *                                 count, metadata, dimension, items, vectors}, or null
+ */
+export async function getStoredVectors(domainCode, vectorType) {
+  if (!isVectorStoreAvailable()) {
+    return null;
+  }
+
+  const key = `${domainCode}|${vectorType}`;
+  const requests = await withVectorStore([VECTOR_STORE, FILE_STORE], 'readonly', (vectors, files) => ({
+    data: vectors.get(key),
+    file: files.get(key)
+  }));
+
+  const data = requests.data.result;
+  const file = requests.file.result;
+  return data && file ? { ...data, ...file } : null;
+}
+
+/**
+ * Store a vector file
+ * @param {string} domainCode - Corpus domain code
+ * @param {string} vectorType - 'document', 'section' or 'paragraph'
+ * @param {Object} vectorData - Vector file content
+ * @param {Object} details - {path, etag, lastModified, hash}
+ * @returns {Promise<Object>} Stored record
+ */
+export async function storeVectors(domainCode, vectorType, vectorData, details = {}) {
+  const packed = packVectorData(vectorData);
+  const now = Date.now();
+  const record = {
+    key: `${domainCode}|${vectorType}`,
+    domain: domainCode,
+    type: vectorType,
+    path: details.path || null,
+    etag: details.etag || null,
+    lastModified: details.lastModified || null,
+    hash: details.hash || null,
+    stored: now,
+    validated: now,
+    count: packed.items.length,
+    bytes: packed.vectors.byteLength,
+    ...packed
+  };
+
+  await withVectorStore([VECTOR_STORE, FILE_STORE], 'readwrite', (vectors, files) => {
+    vectors.put({ key: record.key, ...packed });
+    files.put(describeStoredFile(record));
+  });
+  debugLog(`Stored ${vectorType} vectors for ${domainCode} (${packed.items.length} items, ${(record.bytes / (1024 * 1024)).toFixed(2)}MB of vectors)`, 'info');
+  return record;
+}
+
+/**
+ * Record that a stored vector file is still current (new validators from the server)
+ * Only the file entry is written - the packed vectors stay as they are
+ * @param {Object} record - Stored record
+ * @param {Object} details - {etag, lastModified}
+ * @returns {Promise<Object>} Updated record
+ */
+export async function touchStoredVectors(record, details = {}) {
+  const updated = {
+    ...record,
+    etag: details.etag || record.etag,
+    lastModified: details.lastModified || record.lastModified,
+    validated: Date.now()
+  };
+  await withVectorStore([FILE_STORE], 'readwrite', files => files.put(describeStoredFile(updated)));
+  return updated;
+}
+
+/**
+ * Summarize the stored vector files of a domain (without loading the vectors into the page)
+ * @param {string} domainCode - Corpus domain code (all domains when null)
+ * @returns {Promise<Object[]>} [{domain, type, path, etag, hash, stored, validated, count, dimension, bytes}]
+ */
+export async function listStoredVectors(domainCode = null) {
+  if (!isVectorStoreAvailable()) {
+    return [];
+  }
+
+  const entries = await withVectorStore([FILE_STORE], 'readonly', files =>
+    domainCode ? files.index('domain').getAll(domainCode) : files.getAll()
+  );
+  return entries.map(({ key, ...entry }) => entry);
+}
+
+/**
+ * Remove stored vector files
+ * @param {string} domainCode - Only remove this domain's files (all domains when null)
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function removeStoredVectors(domainCode = null) {
+  if (!isVectorStoreAvailable()) {
+    return 0;
+  }
+
+  return withVectorStore([VECTOR_STORE, FILE_STORE], 'readwrite', (vectors, files) => {
+    const result = { removed: 0 };
+    const request = domainCode ? files.index('domain').openCursor(domainCode) : files.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      vectors.delete(cursor.primaryKey);
+      cursor.delete();
+      result.removed += 1;
+      cursor.continue();
+    };
+    return result;
+  }).then(result => result.removed);
+}
+
+export default {
+  packVectorData,
+  unpackVectorData,
+  isVectorStoreAvailable,
+  getStoredVectors,
+  storeVectors,
+  touchStoredVectors,
+  listStoredVectors,
+  removeStoredVectors
+};
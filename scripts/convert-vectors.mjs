@@ -0,0 +1,152 @@
+// =====================================
+// VECTOR FILE CONVERTER CLI
+// Converts {metadata, vectors} JSON vector files into the binary distribution
+// format (frontend/js/vector-format.js): <name>.manifest.json plus <name>.bin,
+// written next to the JSON file, which is left in place.
+//
+// Usage:
+//   node scripts/convert-vectors.mjs <vector-file>... [options]
+//   node scripts/convert-vectors.mjs --domain <code> [options]
+//
+//   <vector-file>        JSON vector file (or a manifest, to re-encode it)
+//   --domain <code>      Convert the document/section/paragraph files of a domain (corpora/domains.json)
+//   --encoding <name>    float32 (default, lossless for the stored embeddings) or int8 (about 4x smaller)
+//   --use                Point the domain's entry in corpora/domains.json at the manifests
+//                        (the page and ingest-document.mjs read both formats)
+//   --verbose            Show debug logging from the frontend modules
+//
+// Each converted file is decoded again and compared with the original: the lowest
+// cosine similarity between an original vector and its decoded copy is printed.
+// Needs Node 22+ (or Node 20 with --experimental-detect-module) to load the frontend modules.
+// =====================================
+
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import config from '../frontend/js/config.js';
+import { validateVectorDataDetailed, cosineSimilarity } from '../frontend/js/utils.js';
+import { VECTOR_ENCODINGS } from '../frontend/js/vector-format.js';
+import { readVectorFile, writeVectorFile } from './vector-files.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST_PATH = path.join(ROOT, 'corpora', 'domains.json');
+const VECTOR_LEVELS = ['document', 'section', 'paragraph'];
+
+// =====================================
+// ARGUMENTS
+// =====================================
+
+function parseCommandLine() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      domain: { type: 'string' },
+      encoding: { type: 'string', default: 'float32' },
+      use: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  if ((positionals.length === 0) === !values.domain) {
+    throw new Error('Usage: node scripts/convert-vectors.mjs <vector-file>... | --domain <code> [--encoding float32|int8] [--use]');
+  }
+  if (!VECTOR_ENCODINGS[values.encoding]) {
+    throw new Error(`Unknown encoding "${values.encoding}" (expected ${Object.keys(VECTOR_ENCODINGS).join(' or ')})`);
+  }
+  if (values.use && !values.domain) {
+    throw new Error('--use needs --domain');
+  }
+
+  return { ...values, files: positionals };
+}
+
+// =====================================
+// CONVERSION
+// =====================================
+
+/**
+ * Path of the manifest written for a vector file
+ * e.g. vectors/gai/gai-section-vectors.json → vectors/gai/gai-section-vectors.manifest.json
+ */
+function getManifestPath(filePath) {
+  return filePath.endsWith('.manifest.json') ? filePath : filePath.replace(/\.json$/, '') + '.manifest.json';
+}
+
+function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+}
+
+async function convertFile(filePath, encoding) {
+  const label = path.relative(ROOT, filePath);
+  const source = await readVectorFile(filePath);
+  if (!source) {
+    throw new Error(`File not found: ${label}`);
+  }
+
+  const validation = validateVectorDataDetailed(source.vectorData, label, [source.vectorData.metadata?.model]);
+  if (!validation.isValid) {
+    throw new Error(`${label} is not a valid vector file: ${validation.errors.join('; ')}`);
+  }
+
+  const manifestPath = getManifestPath(filePath);
+  const written = await writeVectorFile(manifestPath, source.vectorData, { encoding });
+
+  // Read the files back the way the page does and compare with the original vectors
+  const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+  const manifestValidation = validateVectorDataDetailed(manifest, path.relative(ROOT, manifestPath), [manifest.metadata?.model]);
+  if (!manifestValidation.isValid) {
+    throw new Error(`Written manifest is invalid: ${manifestValidation.errors.join('; ')}`);
+  }
+  const decoded = (await readVectorFile(manifestPath)).vectorData;
+  const lowestSimilarity = source.vectorData.vectors.reduce((lowest, item, index) =>
+    Math.min(lowest, cosineSimilarity(item.vector, decoded.vectors[index].vector)), 1);
+
+  const sourceSize = (await stat(filePath)).size;
+  const sizes = await Promise.all(written.map(async file => (await stat(file)).size));
+  console.log(`✅ ${label} → ${written.map(file => path.relative(ROOT, file)).join(' + ')}`);
+  console.log(`   ${source.vectorData.vectors.length} vectors, ${encoding}: ${formatSize(sourceSize)} → ${formatSize(sizes.reduce((a, b) => a + b, 0))} (lowest cosine to original: ${lowestSimilarity.toFixed(6)})`);
+
+  return manifestPath;
+}
+
+async function main() {
+  const args = parseCommandLine();
+  config.DEV.DEBUG = args.verbose;
+
+  if (!args.domain) {
+    for (const file of args.files) {
+      await convertFile(path.resolve(file), args.encoding);
+    }
+    return;
+  }
+
+  const manifest = JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+  const entry = manifest.domains?.[args.domain];
+  if (!entry) {
+    throw new Error(`Domain "${args.domain}" is not listed in corpora/domains.json`);
+  }
+
+  const converted = {};
+  for (const level of VECTOR_LEVELS) {
+    const filePath = entry.vectors[level] && path.join(ROOT, entry.vectors[level]);
+    if (!filePath || !existsSync(filePath)) {
+      console.log(`⏭️ ${args.domain} has no ${level} vector file - skipped`);
+      continue;
+    }
+    converted[level] = path.relative(ROOT, await convertFile(filePath, args.encoding)).split(path.sep).join('/');
+  }
+
+  if (args.use) {
+    entry.vectors = { ...entry.vectors, ...converted };
+    await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2), 'utf8');
+    console.log(`🗂️ ${args.domain} in corpora/domains.json now lists the binary files`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Conversion failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,250 @@
+// =====================================
+// CORPUS INGESTION CLI
+// Adds (or re-ingests) one document: writes its processed file, embeds it at
+// document/section/paragraph level, merges the vectors into vectors/<domain>/
+// and marks the database entry as vectorized.
+//
+// Usage:
+//   node scripts/ingest-document.mjs <document> --id <document_id> [options]
+//
+//   <document>           Processed JSON ({title, paragraphs, sections}), Markdown or plain text
+//   --id <id>            Document id, e.g. gai-eng_item005 (domain and language are read from it;
+//                        paths come from corpora/domains.json, new domains are added to it)
+//   --metadata <file>    JSON with document_metadata (and optionally processing_metadata);
+//                        required when the id is not in the database yet
+//   --provider <id>      Embedding provider: jina (default), openai, transformers
+//   --model <name>       Override the provider's model
+//   --base-url <url>     Override the provider's endpoint (openai) or library URL (transformers)
+//   --dimensions <n>     Embedding size (must match the domain's existing vector files)
+//   --late-chunking      Embed each level as one text so sections and paragraphs keep their
+//                        document context (Jina only)
+//   --dry-run            Build and validate everything without writing files
+//   --verbose            Show debug logging from the frontend modules
+//
+// API keys are read from JINA_API_KEY / OPENAI_API_KEY.
+// Vector files listed as binary manifests (scripts/convert-vectors.mjs) are written back in their encoding.
+// Needs Node 22+ (or Node 20 with --experimental-detect-module) to load the frontend modules.
+// =====================================
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import config from '../frontend/js/config.js';
+import { validateVectorDataDetailed } from '../frontend/js/utils.js';
+import { setJinaApiKey } from '../frontend/js/embedding-jina.js';
+import { getEmbeddingProvider } from '../frontend/js/embedding-providers.js';
+import {
+  VECTOR_LEVELS,
+  parseDocumentText,
+  normalizeProcessedDocument,
+  createDocumentUnits,
+  embedDocumentUnits,
+  mergeDocumentVectors,
+  markDocumentVectorized
+} from '../frontend/js/corpus-ingestion.js';
+import { readVectorFile, writeVectorFile } from './vector-files.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// =====================================
+// ARGUMENTS & PATHS
+// =====================================
+
+function parseCommandLine() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      id: { type: 'string' },
+      metadata: { type: 'string' },
+      provider: { type: 'string', default: config.MODELS.EMBEDDING.defaultProvider },
+      model: { type: 'string' },
+      'base-url': { type: 'string' },
+      dimensions: { type: 'string' },
+      'late-chunking': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  if (positionals.length !== 1 || !values.id) {
+    throw new Error('Usage: node scripts/ingest-document.mjs <document> --id <document_id> [--metadata <file>] [--provider jina|openai|transformers] [--dry-run]');
+  }
+
+  const idMatch = values.id.match(/^([a-z0-9]+)-([a-z]{3})_[\w-]+$/i);
+  if (!idMatch) {
+    throw new Error(`Document id "${values.id}" does not follow the <domain>-<language>_<item> pattern (e.g. gai-eng_item005)`);
+  }
+
+  return { ...values, documentPath: positionals[0], domain: idMatch[1], language: idMatch[2] };
+}
+
+const MANIFEST_PATH = path.join(ROOT, 'corpora', 'domains.json');
+
+/**
+ * Get (or create) the manifest entry for a domain
+ * New domains follow the layout of the existing ones: vectors/<domain>/, corpora/<domain>/<language>/
+ */
+function getDomainEntry(manifest, domain, language) {
+  const entry = manifest.domains[domain] || {
+    name: domain.toUpperCase(),
+    vectors: Object.fromEntries(VECTOR_LEVELS.map(level => [level, `vectors/${domain}/${domain}-${level}-vectors.json`])),
+    databases: {}
+  };
+
+  const apiCode = config.LANGUAGE_MAPPING.TO_API_CODES[language] || language;
+  entry.databases[apiCode] = entry.databases[apiCode] || `corpora/${domain}/${language}/${domain}-${language}_database.json`;
+
+  return entry;
+}
+
+function getCorpusPaths(entry, language) {
+  const apiCode = config.LANGUAGE_MAPPING.TO_API_CODES[language] || language;
+  return {
+    database: path.join(ROOT, entry.databases[apiCode]),
+    vectors: Object.fromEntries(VECTOR_LEVELS.map(level => [level, path.join(ROOT, entry.vectors[level])]))
+  };
+}
+
+async function readJson(filePath, fallback = undefined) {
+  if (!existsSync(filePath)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`File not found: ${path.relative(ROOT, filePath)}`);
+  }
+  return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+// Same layout as the existing corpus files (2-space indent, no trailing newline)
+async function writeJson(filePath, data) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+// =====================================
+// INGESTION
+// =====================================
+
+async function loadDocument(documentPath, title) {
+  const raw = await readFile(documentPath, 'utf8');
+  if (documentPath.toLowerCase().endsWith('.json')) {
+    return normalizeProcessedDocument(JSON.parse(raw));
+  }
+  return parseDocumentText(raw, { title });
+}
+
+function getProviderSettings(args) {
+  if (process.env.JINA_API_KEY) {
+    setJinaApiKey(process.env.JINA_API_KEY);
+  }
+
+  const settings = {};
+  if (args.model) settings.model = args.model;
+  if (args['base-url']) settings[args.provider === 'transformers' ? 'libraryUrl' : 'baseUrl'] = args['base-url'];
+  if (args.dimensions) settings.dimensions = Number(args.dimensions);
+  if (args.provider === 'openai' && process.env.OPENAI_API_KEY) settings.apiKey = process.env.OPENAI_API_KEY;
+
+  return settings;
+}
+
+async function main() {
+  const args = parseCommandLine();
+  config.DEV.DEBUG = args.verbose;
+
+  const provider = getEmbeddingProvider(args.provider);
+  const manifest = await readJson(MANIFEST_PATH, { default: args.domain, domains: {} });
+  const originalDomainEntry = JSON.stringify(manifest.domains[args.domain]);
+  const domainEntry = getDomainEntry(manifest, args.domain, args.language);
+  const paths = getCorpusPaths(domainEntry, args.language);
+  const database = await readJson(paths.database, { documents: {} });
+  database.documents = database.documents || {};
+
+  // Database entry: existing one, optionally updated from --metadata
+  let entry = database.documents[args.id];
+  if (args.metadata) {
+    const metadata = await readJson(path.resolve(args.metadata));
+    entry = {
+      document_metadata: { ...entry?.document_metadata, ...metadata.document_metadata },
+      processing_metadata: {
+        submission_file_name: path.basename(args.documentPath),
+        creation_date: new Date().toISOString().slice(0, 10),
+        ...entry?.processing_metadata,
+        ...metadata.processing_metadata
+      }
+    };
+  }
+  if (!entry?.document_metadata) {
+    throw new Error(`${args.id} is not in ${path.relative(ROOT, paths.database)} - pass --metadata with its document_metadata`);
+  }
+
+  const processed = await loadDocument(path.resolve(args.documentPath), entry.document_metadata.title);
+  processed.title = processed.title || entry.document_metadata.title;
+
+  const units = createDocumentUnits(args.id, processed);
+  console.log(`📄 ${args.id}: ${units.section.length} sections, ${units.paragraph.length} paragraphs, ${units.wordCount} words`);
+
+  if (units.section.length === 0 && units.paragraph.length === 0) {
+    throw new Error('Document has no text to embed');
+  }
+
+  const embedded = await embedDocumentUnits(units, {
+    providerId: provider.id,
+    settings: getProviderSettings(args),
+    lateChunking: args['late-chunking'],
+    onProgress: (done, total) => process.stdout.write(`\r🧮 Embedding with ${provider.name}: ${done}/${total}`)
+  });
+  process.stdout.write('\n');
+
+  const embeddingInfo = { ...embedded, environment: 'node' };
+  const vectorFiles = {};
+  const vectorFormats = {};
+
+  for (const level of VECTOR_LEVELS) {
+    // Binary vector files (scripts/convert-vectors.mjs) are written back in their own encoding
+    const existing = await readVectorFile(paths.vectors[level]);
+    vectorFormats[level] = existing?.format || null;
+    vectorFiles[level] = mergeDocumentVectors(existing?.vectorData || null, args.id, embedded.vectors[level], embeddingInfo);
+
+    const label = path.relative(ROOT, paths.vectors[level]);
+    const validation = validateVectorDataDetailed(vectorFiles[level], label, [embedded.model]);
+    if (!validation.isValid) {
+      throw new Error(`${label} would be invalid: ${validation.errors.join('; ')}`);
+    }
+  }
+
+  const processedPath = entry.processing_metadata?.file_paths?.processed
+    || `${args.domain}/${args.language}/processed/${args.id}.json`;
+
+  database.documents[args.id] = markDocumentVectorized(entry, {
+    wordCount: units.wordCount,
+    processedPath,
+    vectorCounts: Object.fromEntries(VECTOR_LEVELS.map(level => [level, embedded.vectors[level].length])),
+    provider: embedded.provider,
+    model: embedded.model
+  });
+
+  if (args['dry-run']) {
+    console.log('🔍 Dry run - nothing written');
+    return;
+  }
+
+  await writeJson(path.join(ROOT, 'corpora', processedPath), processed);
+  for (const level of VECTOR_LEVELS) {
+    await writeVectorFile(paths.vectors[level], vectorFiles[level], vectorFormats[level]);
+  }
+  await writeJson(paths.database, database);
+
+  if (JSON.stringify(domainEntry) !== originalDomainEntry) {
+    manifest.domains[args.domain] = domainEntry;
+    await writeJson(MANIFEST_PATH, manifest);
+    console.log(`🗂️ Updated ${args.domain} in corpora/domains.json`);
+  }
+
+  console.log(`✅ ${args.id} ingested: vectors in vectors/${args.domain}/, processed text in corpora/${processedPath}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Ingestion failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+// =====================================
+// VECTOR FILE I/O (Node)
+// Reads and writes vector files in either format - {metadata, vectors} JSON or a
+// binary manifest with its .bin file (frontend/js/vector-format.js) - for the CLI scripts
+// =====================================
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import {
+  isBinaryVectorManifest,
+  encodeVectorFile,
+  resolveVectorFile
+} from '../frontend/js/vector-format.js';
+
+/**
+ * Name of the .bin file that goes with a manifest
+ * @param {string} manifestPath - e.g. vectors/gai/gai-section-vectors.manifest.json
+ * @returns {string} e.g. gai-section-vectors.bin
+ */
+export function getDataFileName(manifestPath) {
+  return path.basename(manifestPath).replace(/(\.manifest)?\.json$/, '') + '.bin';
+}
+
+/**
+ * Read a vector file (binary manifests are decoded with their .bin file)
+ * @param {string} filePath - Path of the JSON file or manifest
+ * @returns {Promise<Object|null>} {vectorData, format: {encoding} for binary files, else null}, or null if the file doesn't exist
+ */
+export async function readVectorFile(filePath) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+
+  const data = JSON.parse(await readFile(filePath, 'utf8'));
+  const vectorData = await resolveVectorFile(data, filePath, dataPath => readFile(dataPath));
+  return {
+    vectorData,
+    format: isBinaryVectorManifest(data) ? { encoding: data.encoding, data: data.data } : null
+  };
+}
+
+/**
+ * Write a vector file
+ * @param {string} filePath - Path of the JSON file or manifest
+ * @param {Object} vectorData - {metadata, vectors}
+ * @param {Object} format - {encoding, data} to write a manifest and .bin file, null for JSON
+ * @returns {Promise<string[]>} Paths written
+ */
+export async function writeVectorFile(filePath, vectorData, format = null) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+
+  // Same layout as the existing corpus files (2-space indent, no trailing newline)
+  if (!format) {
+    await writeFile(filePath, JSON.stringify(vectorData, null, 2), 'utf8');
+    return [filePath];
+  }
+
+  const dataFile = format.data || getDataFileName(filePath);
+  const { manifest, data } = await encodeVectorFile(vectorData, { encoding: format.encoding, dataFile });
+  const dataPath = path.join(path.dirname(filePath), dataFile);
+  await writeFile(dataPath, data);
+  await writeFile(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+  return [filePath, dataPath];
+}